@@ -5,8 +5,24 @@ const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const JSONProcessor = require('../services/json-processor');
+const Flattener = require('../services/flattener');
+const RecordReader = require('../services/record-reader');
+const DatasetReader = require('../services/dataset-reader');
+const FileRegistry = require('../services/file-registry');
+const FileSweeper = require('../services/file-sweeper');
+const FileProfiler = require('../services/file-profiler');
+const ContractValidator = require('../services/contract-validator');
+const ContractStore = require('../services/contract-store');
+const FieldSelection = require('../services/field-selection');
+const FieldSelectionStore = require('../services/field-selection-store');
+const ColumnMap = require('../services/column-map');
+const ColumnMapStore = require('../services/column-map-store');
 
 const router = express.Router();
+const fileRegistry = new FileRegistry();
+const contractStore = new ContractStore();
+const fieldSelectionStore = new FieldSelectionStore();
+const columnMapStore = new ColumnMapStore();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -15,32 +31,94 @@ const storage = multer.diskStorage({
   },
   filename: function (req, file, cb) {
     const uniqueId = uuidv4();
-    const extension = path.extname(file.originalname);
+    // Keep compound extensions (.json.gz) so the reader knows how to decompress the file
+    const extension = RecordReader.extensionOf(file.originalname);
     cb(null, `${uniqueId}${extension}`);
   }
 });
 
-// File filter for JSON/JSONL files
+// Extensions accepted for upload and looked up by file ID (plain, .gz and .zip)
+const allowedTypes = RecordReader.EXTENSIONS;
+
+// File filter for JSON/JSONL, delimited (CSV/TSV), Parquet, Avro and Excel files, gzip-compressed or in a zip archive
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['.json', '.jsonl'];
-  const extension = path.extname(file.originalname).toLowerCase();
+  const extension = RecordReader.extensionOf(file.originalname);
   
   if (allowedTypes.includes(extension)) {
     cb(null, true);
   } else {
-    cb(new Error('Only JSON and JSONL files are allowed'), false);
+    cb(new Error('Only JSON, JSONL, CSV, TSV, Parquet, Avro and Excel (.xlsx) files (optionally .gz) and .zip archives are allowed'), false);
   }
 };
 
+// Upload size limit in MB - files are streamed, so this can be raised via MAX_UPLOAD_SIZE_MB
+const maxUploadSizeMB = parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 100;
+
 // Configure upload middleware
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB limit
+    fileSize: maxUploadSizeMB * 1024 * 1024,
   }
 });
 
+// Largest number of files accepted in one dataset upload
+const maxDatasetFiles = parseInt(process.env.MAX_DATASET_FILES) || 100;
+
+// Open an upload the way it will be read later and add what was found to fileInfo:
+// record root, compression, file schema, sheets / zip entries, and for JSONL the parse report
+// (rejected lines are reported now, or fail the upload in strict mode)
+async function inspectUpload(filePath, options, fileInfo) {
+  const reader = new RecordReader(filePath, options);
+  fileInfo.recordRoot = await reader.resolveRecordRoot();
+  fileInfo.compression = reader.compression;
+  fileInfo.sourceSchema = reader.getSourceSchema();
+  if (reader.sheets) {
+    fileInfo.sheets = reader.sheets;
+    fileInfo.selectedSheet = reader.selectedSheet;
+  }
+  if (reader.archiveEntries) {
+    fileInfo.archiveEntries = reader.archiveEntries;
+    fileInfo.selectedEntries = reader.parts.map(part => part.name);
+  }
+
+  if (reader.parts.some(part => part.format === 'jsonl')) {
+    for await (const record of reader.records()) {
+      // Only the parse report is needed
+    }
+    fileInfo.totalRecords = reader.stats.totalRecords;
+    fileInfo.parseReport = reader.getParseReport();
+  }
+
+  return reader;
+}
+
+// Contract attached at upload: a JSON Schema (contract) or the name of a saved contract (contractSource)
+function contractFromUpload(body) {
+  const attached = { contract: null, contractSource: null };
+
+  if (body.contract) {
+    attached.contract = new ContractValidator(body.contract).compile().schema;
+  }
+  if (body.contractSource) {
+    attached.contractSource = String(body.contractSource).trim();
+    if (!contractStore.get(attached.contractSource)) {
+      throw new Error(`No saved contract for data source '${attached.contractSource}'`);
+    }
+  }
+
+  return attached;
+}
+
+// Delete uploaded files (and their quarantined lines) that were rejected
+async function removeUploads(files) {
+  for (const file of files) {
+    await fs.unlink(file.path).catch(() => {});
+    await fs.unlink(RecordReader.quarantinePathFor(RecordReader.fileIdOf(file.filename))).catch(() => {});
+  }
+}
+
 // POST /api/upload-json - Handle file upload
 router.post('/upload-json', upload.single('jsonFile'), async (req, res) => {
   try {
@@ -52,7 +130,7 @@ router.post('/upload-json', upload.single('jsonFile'), async (req, res) => {
     }
 
     const fileInfo = {
-      id: path.parse(req.file.filename).name,
+      id: RecordReader.fileIdOf(req.file.filename),
       originalName: req.file.originalname,
       filename: req.file.filename,
       size: req.file.size,
@@ -66,6 +144,43 @@ router.post('/upload-json', upload.single('jsonFile'), async (req, res) => {
     
     console.log(`File uploaded: ${req.file.originalname} (${fileSizeMB}MB)`);
 
+    let attachedContract;
+    try {
+      attachedContract = contractFromUpload(req.body);
+    } catch (contractError) {
+      await removeUploads([req.file]);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contract',
+        details: contractError.message
+      });
+    }
+
+    // Resolve where the records live (requested recordRoot or auto-detected) so the client can reuse it
+    let reader;
+    try {
+      reader = await inspectUpload(req.file.path, req.body, fileInfo);
+    } catch (rootError) {
+      await removeUploads([req.file]);
+      return res.status(400).json({
+        success: false,
+        error: rootError.message.startsWith('Parse error: line') ? 'File rejected in strict mode' : 'Invalid file or record root',
+        details: rootError.message
+      });
+    }
+
+    // Register the file so it can be listed, inspected and purged after the retention period
+    fileInfo.contentHash = await FileRegistry.hashFile(req.file.path);
+    fileInfo.uploadedBy = FileRegistry.uploaderOf(req);
+    const entry = await fileRegistry.register({
+      ...fileInfo,
+      ...attachedContract,
+      format: reader.format,
+      recordCount: fileInfo.totalRecords
+    });
+    fileInfo.expiresAt = entry.expiresAt;
+    fileInfo.contractAttached = Boolean(attachedContract.contract || attachedContract.contractSource);
+
     res.json({
       success: true,
       message: 'File uploaded successfully',
@@ -91,29 +206,121 @@ router.post('/upload-json', upload.single('jsonFile'), async (req, res) => {
   }
 });
 
-// GET /api/file-info/:id - Get file information
-router.get('/file-info/:id', async (req, res) => {
+// POST /api/upload-dataset - Upload several files (shards) as one named dataset
+// Body: datasetName, plus the same reading options as upload-json (applied to every shard)
+router.post('/upload-dataset', upload.array('jsonFiles', maxDatasetFiles), async (req, res) => {
+  const files = req.files || [];
+
   try {
-    const { id } = req.params;
-    const filePath = path.join('uploads', `${id}.json`);
-    const jsonlPath = path.join('uploads', `${id}.jsonl`);
-    
-    let targetPath = null;
-    
-    // Check for both .json and .jsonl extensions
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+
+    // Records are tagged with their shard's file name, so names must tell the shards apart
+    const names = files.map(file => file.originalname);
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+      await removeUploads(files);
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate file names in dataset',
+        details: `Each file of a dataset needs a distinct name: ${Array.from(new Set(duplicates)).join(', ')}`
+      });
+    }
+
+    let attachedContract;
     try {
-      await fs.access(filePath);
-      targetPath = filePath;
-    } catch {
+      attachedContract = contractFromUpload(req.body);
+    } catch (contractError) {
+      await removeUploads(files);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contract',
+        details: contractError.message
+      });
+    }
+
+    const datasetName = String(req.body.datasetName || '').trim() ||
+      path.basename(files[0].originalname, RecordReader.extensionOf(files[0].originalname));
+    const totalSizeMB = (files.reduce((total, file) => total + file.size, 0) / 1024 / 1024).toFixed(2);
+    console.log(`Dataset uploaded: ${datasetName} (${files.length} files, ${totalSizeMB}MB)`);
+
+    const shards = [];
+    for (const file of files) {
+      const shard = {
+        id: RecordReader.fileIdOf(file.filename),
+        originalName: file.originalname,
+        filename: file.filename,
+        size: file.size,
+        path: file.path,
+        mimetype: file.mimetype
+      };
+
       try {
-        await fs.access(jsonlPath);
-        targetPath = jsonlPath;
-      } catch {
-        return res.status(404).json({
+        const reader = await inspectUpload(file.path, req.body, shard);
+        shard.format = reader.format;
+      } catch (rootError) {
+        await removeUploads(files);
+        return res.status(400).json({
           success: false,
-          error: 'File not found'
+          error: rootError.message.startsWith('Parse error: line') ?
+            `File ${file.originalname} rejected in strict mode` : `Invalid file or record root in ${file.originalname}`,
+          details: rootError.message
         });
       }
+
+      shard.contentHash = await FileRegistry.hashFile(file.path);
+      shards.push(shard);
+    }
+
+    const entry = await fileRegistry.registerDataset({
+      id: uuidv4(),
+      name: datasetName,
+      shards: DatasetReader.sortShards(shards).map(shard => ({ ...shard, recordCount: shard.totalRecords })),
+      uploadedBy: FileRegistry.uploaderOf(req),
+      ...attachedContract
+    });
+
+    res.json({
+      success: true,
+      message: `Dataset uploaded successfully (${shards.length} files)`,
+      dataset: {
+        id: entry.id,
+        name: entry.name,
+        size: entry.size,
+        uploadedAt: entry.uploadedAt,
+        expiresAt: entry.expiresAt,
+        sourceFileColumn: DatasetReader.SOURCE_FILE_COLUMN,
+        contractAttached: Boolean(attachedContract.contract || attachedContract.contractSource),
+        shards: DatasetReader.sortShards(shards)
+      }
+    });
+
+  } catch (error) {
+    console.error('Dataset upload error:', error);
+    await removeUploads(files);
+
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Dataset upload failed'
+    });
+  }
+});
+
+// GET /api/file-info/:id - Get file information
+router.get('/file-info/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const targetPath = fileRegistry.findFile(id, allowedTypes);
+
+    if (!targetPath) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
     }
 
     const stats = await fs.stat(targetPath);
@@ -125,7 +332,8 @@ router.get('/file-info/:id', async (req, res) => {
         path: targetPath,
         size: stats.size,
         created: stats.birthtime,
-        modified: stats.mtime
+        modified: stats.mtime,
+        registry: fileRegistry.get(id)
       }
     });
 
@@ -138,34 +346,41 @@ router.get('/file-info/:id', async (req, res) => {
   }
 });
 
-// GET /api/preview-json/:id - Preview uploaded JSON file
+// GET /api/preview-json/:id - Preview uploaded JSON or delimited file
+// Query: delimiter, quoteChar, hasHeader, encoding (CSV/TSV only)
 router.get('/preview-json/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const extensions = ['.json', '.jsonl'];
-    let filePath = null;
+    const dataset = fileRegistry.getDataset(id);
+    const filePath = dataset ? null : fileRegistry.findFile(id, allowedTypes);
 
-    // Find the uploaded file
-    for (const ext of extensions) {
-      const testPath = path.join('uploads', `${id}${ext}`);
-      try {
-        await fs.access(testPath);
-        filePath = testPath;
-        break;
-      } catch {
-        // Continue to next extension
-      }
-    }
-
-    if (!filePath) {
+    if (!filePath && !dataset) {
       return res.status(404).json({
         success: false,
         error: 'File not found'
       });
     }
 
-    const processor = new JSONProcessor();
-    const preview = await processor.getFilePreview(filePath);
+    let processor;
+    let source = filePath;
+    try {
+      processor = new JSONProcessor(req.query);
+      if (dataset) {
+        source = new DatasetReader(dataset.shards, req.query);
+      }
+    } catch (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: dataset ? 'Invalid flattening options or dataset' : 'Invalid flattening options',
+        details: optionsError.message
+      });
+    }
+    const preview = await processor.getFilePreview(source, req.query);
+
+    if (!preview.success) {
+      return res.status(400).json(preview);
+    }
+    await fileRegistry.recordUsage(id, { format: preview.preview.format, recordCount: preview.preview.totalRecords });
 
     res.json(preview);
 
@@ -178,28 +393,525 @@ router.get('/preview-json/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/cleanup/:id - Clean up uploaded file
-router.delete('/cleanup/:id', async (req, res) => {
+// GET /api/profile/:id - Profile an upload (or dataset) before loading it
+// Query: limit (records to profile, default all) plus the preview's reading and flattening options
+router.get('/profile/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const extensions = ['.json', '.jsonl'];
-    let deletedFiles = 0;
+    const dataset = fileRegistry.getDataset(id);
+    const filePath = dataset ? null : fileRegistry.findFile(id, allowedTypes);
 
-    for (const ext of extensions) {
-      const filePath = path.join('uploads', `${id}${ext}`);
-      try {
-        await fs.unlink(filePath);
-        deletedFiles++;
-        console.log(`Cleaned up: ${filePath}`);
-      } catch (error) {
-        // File doesn't exist, continue
+    if (!filePath && !dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    let processor;
+    let source = filePath;
+    try {
+      processor = new JSONProcessor(req.query);
+      FileProfiler.parseLimit(req.query.limit);
+      if (dataset) {
+        source = new DatasetReader(dataset.shards, req.query);
+      }
+    } catch (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid profiling options',
+        details: optionsError.message
+      });
+    }
+
+    console.log(`Profiling ${dataset ? `dataset ${dataset.name}` : `file ${id}`}${req.query.limit ? ` (first ${req.query.limit} records)` : ''}`);
+    const profile = await processor.getFileProfile(source, req.query);
+
+    if (!profile.success) {
+      return res.status(400).json(profile);
+    }
+
+    res.json(profile);
+
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to profile file'
+    });
+  }
+});
+
+// POST /api/validate-contract/:id - Check an upload (or dataset) against a JSON Schema contract
+// Body: contract (JSON Schema, optional - otherwise the upload's attached contract or the saved contract of dataSource),
+// dataSource, primaryKey (identifies records in the report), limit, coerceTypes, plus the upload's reading options
+router.post('/validate-contract/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = fileRegistry.get(id);
+    const dataset = fileRegistry.getDataset(id);
+    const filePath = dataset ? null : fileRegistry.findFile(id, allowedTypes);
+
+    if (!filePath && !dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    let validator;
+    let resolved;
+    let reader;
+    try {
+      resolved = ContractValidator.resolveContract({
+        contract: req.body.contract,
+        entry: entry,
+        dataSource: req.body.dataSource || req.body.sourceTable
+      }, contractStore);
+      if (!resolved) {
+        return res.status(400).json({
+          success: false,
+          error: 'No contract to validate against',
+          details: 'Send a contract, attach one when uploading, or save one for the data source',
+          suggestions: ['POST a JSON Schema as "contract"', 'PUT /api/contracts/:dataSource to save a contract for the feed']
+        });
+      }
+
+      validator = new ContractValidator(resolved.schema, ContractValidator.optionsFromRequest(req.body));
+      validator.compile();
+      reader = dataset ? new DatasetReader(dataset.shards, req.body) : new RecordReader(filePath, req.body);
+    } catch (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contract or options',
+        details: optionsError.message
+      });
+    }
+
+    console.log(`Validating ${dataset ? `dataset ${dataset.name}` : `file ${id}`} against ${resolved.source} contract${resolved.dataSource ? ` (${resolved.dataSource})` : ''}`);
+    const report = await validator.validate(reader);
+
+    res.json({
+      success: true,
+      fileId: id,
+      contractSource: resolved.source,
+      dataSource: resolved.dataSource,
+      validation: report
+    });
+
+  } catch (error) {
+    console.error('Contract validation error:', error);
+    res.status(error.message.startsWith('Parse error') ? 400 : 500).json({
+      success: false,
+      error: 'Contract validation failed',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/contracts - List the saved contracts (without their schemas)
+router.get('/contracts', (req, res) => {
+  const contracts = contractStore.list();
+  res.json({
+    success: true,
+    totalContracts: contracts.length,
+    contracts: contracts
+  });
+});
+
+// GET /api/contracts/:dataSource - Saved contract of a data source
+router.get('/contracts/:dataSource', (req, res) => {
+  const contract = contractStore.get(req.params.dataSource);
+
+  if (!contract) {
+    return res.status(404).json({
+      success: false,
+      error: 'No saved contract for this data source'
+    });
+  }
+
+  res.json({
+    success: true,
+    contract: contract
+  });
+});
+
+// PUT /api/contracts/:dataSource - Save (or replace) the contract of a data source
+// Body: schema (JSON Schema object or its JSON text)
+router.put('/contracts/:dataSource', async (req, res) => {
+  try {
+    let schema;
+    try {
+      schema = new ContractValidator(req.body.schema).compile().schema;
+    } catch (contractError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contract',
+        details: contractError.message
+      });
+    }
+
+    const contract = await contractStore.save(req.params.dataSource, schema, FileRegistry.uploaderOf(req));
+    res.json({
+      success: true,
+      message: `Contract saved for ${contract.dataSource}`,
+      contract: contract
+    });
+
+  } catch (error) {
+    console.error('Contract save error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save contract'
+    });
+  }
+});
+
+// DELETE /api/contracts/:dataSource - Remove a saved contract
+router.delete('/contracts/:dataSource', async (req, res) => {
+  try {
+    const removed = await contractStore.remove(req.params.dataSource);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'No saved contract for this data source'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Contract removed for ${removed.dataSource}`
+    });
+
+  } catch (error) {
+    console.error('Contract delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove contract'
+    });
+  }
+});
+
+// GET /api/field-presets - List the named field selection presets
+router.get('/field-presets', (req, res) => {
+  res.json({
+    success: true,
+    presets: FieldSelection.listPresets()
+  });
+});
+
+// GET /api/field-selections - List the saved field selections
+router.get('/field-selections', (req, res) => {
+  const selections = fieldSelectionStore.list();
+  res.json({
+    success: true,
+    totalSelections: selections.length,
+    selections: selections
+  });
+});
+
+// GET /api/field-selections/:dataSource - Saved field selection of a data source
+router.get('/field-selections/:dataSource', (req, res) => {
+  const selection = fieldSelectionStore.get(req.params.dataSource);
+
+  if (!selection) {
+    return res.status(404).json({
+      success: false,
+      error: 'No saved field selection for this data source'
+    });
+  }
+
+  res.json({
+    success: true,
+    selection: selection
+  });
+});
+
+// PUT /api/field-selections/:dataSource - Save (or replace) the field selection of a data source
+// Body: fieldPreset, includeFields, excludeFields (arrays or comma-separated names, globs and /regexes/)
+router.put('/field-selections/:dataSource', async (req, res) => {
+  try {
+    let options;
+    try {
+      options = FieldSelection.optionsFromRequest(req.body);
+    } catch (selectionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid field selection',
+        details: selectionError.message
+      });
+    }
+
+    if (FieldSelection.isEmpty(options)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid field selection',
+        details: 'Give a fieldPreset, includeFields or excludeFields'
+      });
+    }
+
+    const selection = await fieldSelectionStore.save(req.params.dataSource, options, FileRegistry.uploaderOf(req));
+    res.json({
+      success: true,
+      message: `Field selection saved for ${selection.dataSource}`,
+      selection: selection
+    });
+
+  } catch (error) {
+    console.error('Field selection save error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save field selection'
+    });
+  }
+});
+
+// DELETE /api/field-selections/:dataSource - Remove a saved field selection
+router.delete('/field-selections/:dataSource', async (req, res) => {
+  try {
+    const removed = await fieldSelectionStore.remove(req.params.dataSource);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'No saved field selection for this data source'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Field selection removed for ${removed.dataSource}`
+    });
+
+  } catch (error) {
+    console.error('Field selection delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove field selection'
+    });
+  }
+});
+
+// GET /api/column-maps - List the saved column maps
+router.get('/column-maps', (req, res) => {
+  const maps = columnMapStore.list();
+  res.json({
+    success: true,
+    totalMaps: maps.length,
+    columnMaps: maps
+  });
+});
+
+// GET /api/column-maps/:source/:target - Saved column map of a source/target pair
+router.get('/column-maps/:source/:target', (req, res) => {
+  const columnMap = columnMapStore.get(req.params.source, req.params.target);
+
+  if (!columnMap) {
+    return res.status(404).json({
+      success: false,
+      error: 'No saved column map for this source and target'
+    });
+  }
+
+  res.json({
+    success: true,
+    columnMap: columnMap
+  });
+});
+
+// PUT /api/column-maps/:source/:target - Save (or replace) the column map of a source/target pair
+// Body: columnMap ({ sourceColumn: targetColumn } or "source_column = target_column" lines)
+router.put('/column-maps/:source/:target', async (req, res) => {
+  try {
+    let columnMap;
+    try {
+      columnMap = ColumnMap.fromRequest(req.body);
+    } catch (mapError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid column map',
+        details: mapError.message
+      });
+    }
+
+    if (columnMap.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid column map',
+        details: 'Give at least one source column mapped to a differently named target column'
+      });
+    }
+
+    const saved = await columnMapStore.save(req.params.source, req.params.target, columnMap.columns, FileRegistry.uploaderOf(req));
+    res.json({
+      success: true,
+      message: `Column map saved for ${saved.dataSource}`,
+      columnMap: saved
+    });
+
+  } catch (error) {
+    console.error('Column map save error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save column map'
+    });
+  }
+});
+
+// DELETE /api/column-maps/:source/:target - Remove a saved column map
+router.delete('/column-maps/:source/:target', async (req, res) => {
+  try {
+    const removed = await columnMapStore.removePair(req.params.source, req.params.target);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'No saved column map for this source and target'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Column map removed for ${removed.dataSource}`
+    });
+
+  } catch (error) {
+    console.error('Column map delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove column map'
+    });
+  }
+});
+
+// GET /api/flatten-presets - List the named flattening presets
+router.get('/flatten-presets', (req, res) => {
+  res.json({
+    success: true,
+    defaultPreset: Flattener.DEFAULT_PRESET,
+    presets: Flattener.listPresets()
+  });
+});
+
+// GET /api/quarantine/:id - Download the rejected JSONL lines of an uploaded file
+router.get('/quarantine/:id', async (req, res) => {
+  const { id } = req.params;
+  const quarantinePath = RecordReader.quarantinePathFor(path.basename(id));
+
+  try {
+    await fs.access(quarantinePath);
+  } catch {
+    return res.status(404).json({
+      success: false,
+      error: 'No quarantined lines for this file',
+      details: 'Quarantine files are written when JSONL lines are rejected during upload, preview or loading'
+    });
+  }
+
+  res.download(quarantinePath, `${id}.rejected.jsonl`);
+});
+
+// GET /api/files - List registered uploads with their metadata and linked temp tables
+router.get('/files', async (req, res) => {
+  try {
+    const files = fileRegistry.list().map(entry => ({
+      ...entry,
+      onDisk: fileRegistry.isOnDisk(entry.id, allowedTypes)
+    }));
+
+    res.json({
+      success: true,
+      totalFiles: files.length,
+      totalSize: files.reduce((total, entry) => total + (entry.size || 0), 0),
+      retentionHours: FileRegistry.RETENTION_HOURS > 0 ? FileRegistry.RETENTION_HOURS : null,
+      files: files
+    });
+
+  } catch (error) {
+    console.error('File listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list files'
+    });
+  }
+});
+
+// GET /api/files/:id - Registry entry of one upload
+router.get('/files/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = fileRegistry.get(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not registered',
+        details: `No registry entry for ${id} - it may have been purged or uploaded before the registry existed`
+      });
+    }
+
+    const hasQuarantine = await fs.access(RecordReader.quarantinePathFor(path.basename(id))).then(() => true, () => false);
+    res.json({
+      success: true,
+      file: {
+        ...entry,
+        onDisk: fileRegistry.isOnDisk(id, allowedTypes),
+        quarantineUrl: hasQuarantine ? `/api/quarantine/${id}` : null
       }
+    });
+
+  } catch (error) {
+    console.error('File entry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read file entry',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/files/:id - Delete an upload (every file of a dataset), its quarantined lines, its temp tables and its registry entry
+router.delete('/files/:id', async (req, res) => {
+  try {
+    const result = await new FileSweeper({ registry: fileRegistry }).purgeFile(req.params.id);
+
+    if (!result.found) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
     }
 
-    if (deletedFiles > 0) {
+    res.json({
+      success: true,
+      message: `Deleted ${result.deletedFiles.length} file(s) and ${result.deletedTables.length} temp table(s)`,
+      deletedFiles: result.deletedFiles,
+      deletedTables: result.deletedTables,
+      errors: result.errors
+    });
+
+  } catch (error) {
+    console.error('File delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete file'
+    });
+  }
+});
+
+// DELETE /api/cleanup/:id - Clean up uploaded file (same purge as DELETE /api/files/:id, temp tables included)
+router.delete('/cleanup/:id', async (req, res) => {
+  try {
+    const result = await new FileSweeper({ registry: fileRegistry }).purgeFile(req.params.id);
+
+    if (result.found) {
       res.json({
         success: true,
-        message: `Cleaned up ${deletedFiles} file(s)`
+        message: `Cleaned up ${result.deletedFiles.length} file(s) and ${result.deletedTables.length} temp table(s)`,
+        deletedFiles: result.deletedFiles,
+        deletedTables: result.deletedTables,
+        errors: result.errors
       });
     } else {
       res.status(404).json({
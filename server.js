@@ -1,12 +1,29 @@
 // server.js - UNIVERSAL DATA TYPES + DUAL DUPLICATES ANALYSIS + EXCEL EXPORT READY
+require('dotenv').config();
 const express = require('express');
 const { BigQuery } = require('@google-cloud/bigquery');
 const cors = require('cors');
 const path = require('path');
+const _ = require('lodash');
 const jsonUploadRouter = require('./routes/json-upload');
 const BigQueryIntegrationService = require('./services/bq-integration');
 const RDBMSIntegrationService = require('./services/rdbms-integration');
-require('dotenv').config();
+const RecordReader = require('./services/record-reader');
+const DatasetReader = require('./services/dataset-reader');
+const Flattener = require('./services/flattener');
+const FileRegistry = require('./services/file-registry');
+const FileSweeper = require('./services/file-sweeper');
+const SchemaInferrer = require('./services/schema-inferrer');
+const ContractValidator = require('./services/contract-validator');
+const ContractStore = require('./services/contract-store');
+const FieldSelection = require('./services/field-selection');
+const FieldSelectionStore = require('./services/field-selection-store');
+const FieldRules = require('./services/field-rules');
+const FieldTransforms = require('./services/field-transforms');
+const ColumnMap = require('./services/column-map');
+const ColumnMapStore = require('./services/column-map-store');
+const CompositeKey = require('./services/composite-key');
+const ComparisonEngineService = require('./services/comparison-engine');
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -24,78 +41,291 @@ const bigquery = new BigQuery({
     projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
 });
 
-// UTILITY: Consistent JSON parsing function used across all endpoints
-function parseJsonContent(fileContent, fileName = 'unknown') {
-    let jsonData = [];
-    let detectedFormat = 'Unknown';
-    let parseMethod = 'None';
+// UTILITY: Locate an uploaded file by ID - registered path first, then the upload directories
+const fileRegistry = new FileRegistry();
+const contractStore = new ContractStore();
+const fieldSelectionStore = new FieldSelectionStore();
+const columnMapStore = new ColumnMapStore();
+
+function findUploadedFile(fileId) {
+    const filePath = fileRegistry.findFile(fileId, RecordReader.EXTENSIONS);
+    if (filePath) {
+        console.log(`Found file at: ${filePath}`);
+    }
+    return filePath;
+}
+
+// UTILITY: Reader for an upload - the files of a dataset are read as one source tagged with _source_file
+function createSourceReader(fileId, filePath, options) {
+    const dataset = fileRegistry.getDataset(fileId);
+    if (dataset) {
+        console.log(`Reading dataset ${dataset.name}: ${dataset.shards.length} files`);
+        return new DatasetReader(dataset.shards, options);
+    }
+    return new RecordReader(filePath, options);
+}
+
+// Result fields kept with a temp table so a reuse can answer like a fresh load (primary key checks are not kept)
+const REUSABLE_RESULT_FIELDS = [
+    'tempTableId', 'tempTableName', 'inputRecords', 'recordsInTable', 'recordCountMatch', 'fieldsProcessed',
+    'flattening', 'inferredSchema', 'coercionFailures', 'valueMode', 'valueChanges', 'loadMethod',
+    'rowsLoaded', 'rowsRejected', 'loadJob', 'approach', 'batchInfo', 'expiresAt'
+];
+
+// UTILITY: DATE/TIMESTAMP/NUMERIC values arrive from BigQuery as wrapper objects holding the text in .value
+function plainValue(value) {
+    return (value && typeof value === 'object' && value.value !== undefined) ? value.value : value;
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(plainValue(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// UTILITY: Stream query rows as a CSV or NDJSON download; returns the number of rows written.
+// Headers go out with the first row, so a failing query can still answer with a JSON error.
+async function streamDownload(res, rows, { format, filename, header, csvRow, ndjsonRow }) {
+    let started = false;
+    const startDownload = () => {
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            res.write(header.map(csvValue).join(',') + '\n');
+        }
+        started = true;
+    };
     
-    console.log(`Parsing JSON content for: ${fileName}`);
-    console.log(`Content preview: ${fileContent.substring(0, 100)}...`);
+    // A client that goes away mid-download stops the query stream instead of leaving it waiting for 'drain'
+    let closed = false;
+    const onClose = () => {
+        closed = true;
+        if (typeof rows.destroy === 'function') {
+            rows.destroy();
+        }
+    };
+    res.once('close', onClose);
     
-    // Strategy 1: Try standard JSON parsing first (handles arrays and objects)
+    let rowCount = 0;
     try {
-        console.log('Strategy 1: Attempting standard JSON.parse()...');
-        const parsed = JSON.parse(fileContent);
-        
-        if (Array.isArray(parsed)) {
-            jsonData = parsed;
-            detectedFormat = 'JSON Array';
-            parseMethod = 'JSON.parse() - Array';
-            console.log(`SUCCESS: Parsed as JSON Array with ${jsonData.length} records`);
-        } else if (typeof parsed === 'object' && parsed !== null) {
-            jsonData = [parsed];
-            detectedFormat = 'JSON Object';
-            parseMethod = 'JSON.parse() - Single Object';
-            console.log(`SUCCESS: Parsed as single JSON Object`);
-        } else {
-            throw new Error('Parsed content is not an object or array');
-        }
-        
-    } catch (standardJsonError) {
-        console.log(`Strategy 1 FAILED: ${standardJsonError.message}`);
-        
-        // Strategy 2: Try JSONL parsing (line-delimited JSON)
-        try {
-            console.log('Strategy 2: Attempting JSONL parsing...');
-            const lines = fileContent.trim().split('\n');
-            console.log(`Found ${lines.length} lines to process`);
-            
-            let validLines = 0;
-            for (const line of lines) {
-                const trimmedLine = line.trim();
-                if (trimmedLine) {
-                    try {
-                        const record = JSON.parse(trimmedLine);
-                        jsonData.push(record);
-                        validLines++;
-                    } catch (lineError) {
-                        console.warn(`Skipping invalid JSON line: ${lineError.message}`);
-                    }
-                }
+        for await (const row of rows) {
+            if (closed) {
+                break;
             }
-            
-            if (jsonData.length > 0) {
-                detectedFormat = 'JSONL';
-                parseMethod = 'Line-by-line parsing';
-                console.log(`SUCCESS: Parsed as JSONL with ${jsonData.length} valid records from ${validLines} lines`);
-            } else {
-                throw new Error('No valid JSON records found in JSONL format');
+            if (!started) {
+                startDownload();
             }
             
-        } catch (jsonlError) {
-            console.log(`Strategy 2 FAILED: ${jsonlError.message}`);
-            throw new Error(`All parsing strategies failed. JSON error: ${standardJsonError.message}. JSONL error: ${jsonlError.message}`);
+            const line = format === 'csv' ? csvRow(row).map(csvValue).join(',') : JSON.stringify(ndjsonRow(row));
+            rowCount++;
+            if (!res.write(line + '\n') && !closed) {
+                await new Promise(resolve => {
+                    const done = () => {
+                        res.off('drain', done);
+                        res.off('close', done);
+                        res.off('error', done);
+                        resolve();
+                    };
+                    res.on('drain', done);
+                    res.on('close', done);
+                    res.on('error', done);
+                });
+            }
+        }
+    } catch (error) {
+        // Destroying the stream on close can end the iteration with an error of its own
+        if (!closed) {
+            throw error;
         }
+    } finally {
+        res.off('close', onClose);
+    }
+    
+    if (closed) {
+        console.log(`Download ${filename} closed by the client after ${rowCount} rows`);
+        return rowCount;
     }
     
+    if (!started) {
+        startDownload();
+    }
+    res.end();
+    return rowCount;
+}
+
+// UTILITY: Key set, mismatch page and record export links carry table ids and columns that go into SQL.
+// Answers 400 (500 if BigQuery cannot be read) and returns false unless both ids are plain table ids, the
+// temp table is in the temp dataset and every key column and field exists in both tables.
+async function checkLinkedTables(res, comparisonEngine, { tempTableId, sourceTable, keyColumns, fields = [], transforms, subject }) {
+    const tempDataset = new BigQueryIntegrationService().config.tempDataset;
+    if (String(tempTableId).split('.')[1] !== tempDataset) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid temp table',
+            details: `${subject} are only read from temp tables in ${tempDataset}`
+        });
+        return false;
+    }
+    
+    try {
+        await comparisonEngine.checkRequestedColumns(tempTableId, sourceTable, keyColumns, fields, transforms);
+        return true;
+    } catch (error) {
+        const invalid = error.message.startsWith('Invalid table id') || error.message.includes('not available in both tables');
+        res.status(invalid ? 400 : 500).json({
+            success: false,
+            error: invalid ? 'Invalid table or column' : 'Could not read table columns',
+            details: error.message
+        });
+        return false;
+    }
+}
+
+// UTILITY: Links to page through or download each reconciled key set of a comparison
+function keySetUrls(tempTableId, sourceTable, keyColumns) {
+    return ComparisonEngineService.KEY_SETS.reduce((urls, set) => {
+        const query = new URLSearchParams({ tempTableId, sourceTable, primaryKey: keyColumns.join(','), set });
+        urls[set] = {
+            page: `/api/reconciliation-keys?${query}`,
+            csv: `/api/reconciliation-keys?${query}&format=csv`,
+            ndjson: `/api/reconciliation-keys?${query}&format=ndjson`
+        };
+        return urls;
+    }, {});
+}
+
+// UTILITY: Link to page through the mismatching rows of one compared column (under the same field rules and transform)
+function columnMismatchUrl(tempTableId, sourceTable, keyColumns, field, fieldRules, transforms) {
+    const query = new URLSearchParams({ tempTableId, sourceTable, primaryKey: keyColumns.join(','), field });
+    if (!fieldRules.isEmpty()) {
+        query.set('fieldRules', JSON.stringify(fieldRules.definition));
+    }
+    if (transforms.get(field)) {
+        query.set('transforms', JSON.stringify({ [field]: transforms.definition[field] }));
+    }
+    return `/api/column-mismatches?${query}`;
+}
+
+// UTILITY: Downloads of every missing, extra and mismatched record, over the fields, rules and transforms of a comparison
+function recordDifferencesUrls(tempTableId, sourceTable, keyColumns, fieldSelection, fieldRules, transforms) {
+    const selection = fieldSelection.describe();
+    const query = new URLSearchParams({ tempTableId, sourceTable, primaryKey: keyColumns.join(',') });
+    if (selection.include.length > 0) {
+        query.set('includeFields', selection.include.join(','));
+    }
+    if (selection.exclude.length > 0) {
+        query.set('excludeFields', selection.exclude.join(','));
+    }
+    if (!fieldRules.isEmpty()) {
+        query.set('fieldRules', JSON.stringify(fieldRules.definition));
+    }
+    if (!transforms.isEmpty()) {
+        query.set('transforms', JSON.stringify(transforms.definition));
+    }
+    return {
+        csv: `/api/record-differences?${query}&format=csv`,
+        ndjson: `/api/record-differences?${query}&format=ndjson`
+    };
+}
+
+// UTILITY: Target view exposing mapped columns under their source names - null when nothing is mapped.
+// A map sent with saveColumnMap is kept for the source/target pair and applied to later comparisons.
+async function applyColumnMap(columnMap, targetTable, options = {}, savedBy = null) {
+    if (columnMap.isEmpty()) {
+        return null;
+    }
+
+    const mappedTarget = await new BigQueryIntegrationService().createMappedTargetView(targetTable, columnMap);
+    const save = options.saveColumnMap === true || String(options.saveColumnMap).toLowerCase() === 'true';
+    if (save && columnMap.source === 'request' && columnMap.pairSource) {
+        await columnMapStore.save(columnMap.pairSource, columnMap.pairTarget, columnMap.columns, savedBy);
+        mappedTarget.saved = true;
+    }
+    return mappedTarget;
+}
+
+// UTILITY: Column mapping section of a comparison result
+function describeColumnMapping(columnMap, mappedTarget) {
+    if (!mappedTarget) {
+        return null;
+    }
     return {
-        jsonData: jsonData,
-        detectedFormat: detectedFormat,
-        parseMethod: parseMethod
+        ...columnMap.describe(),
+        targetView: mappedTarget.viewId,
+        shadowedColumns: mappedTarget.shadowedColumns,
+        saved: Boolean(mappedTarget.saved)
     };
 }
 
+// UTILITY: Build the temp table for a file - or reuse a live one built from the same content with the same
+// flattening, schema and parsing options (set reuseTempTable: false to always build)
+async function buildOrReuseTempTable(fileId, filePath, reader, flattener, primaryKey, options = {}) {
+    const bqService = new BigQueryIntegrationService();
+    const entry = fileRegistry.get(fileId);
+    const contentHash = (entry && entry.contentHash) || await FileRegistry.hashFile(filePath);
+    const fingerprint = FileRegistry.fingerprint(contentHash, {
+        reader: reader.getContentOptions(),
+        flattening: flattener.describe(),
+        fieldTypes: SchemaInferrer.normalizeOverrides(options.fieldTypes),
+        valueMode: bqService.resolveValueMode(options.valueMode)
+    });
+
+    const reuseAllowed = !(options.reuseTempTable === false || String(options.reuseTempTable).toLowerCase() === 'false');
+    const cached = reuseAllowed ? fileRegistry.findTempTable(fingerprint) : null;
+    if (cached) {
+        let exists = false;
+        try {
+            exists = await bqService.tempTableExists(cached.table.tableName);
+        } catch (error) {
+            console.error(`Could not check temp table ${cached.table.tableName}:`, error.message);
+        }
+
+        if (exists) {
+            console.log(`REUSE: ${cached.table.tableId} already holds this content (fingerprint ${fingerprint.substring(0, 12)})`);
+            const result = {
+                ...cached.table.result,
+                success: true,
+                message: 'Reused a live temp table built from the same content and options',
+                recordsWithPrimaryKey: 'N/A',
+                uniqueIdsInTable: 'Unknown',
+                verification: null,
+                tempTableSource: 'reused',
+                reusedFrom: { fileId: cached.fileId, createdAt: cached.table.createdAt },
+                fingerprint: fingerprint
+            };
+            await fileRegistry.linkTempTable(fileId, result, { fingerprint, reused: true });
+            await fileRegistry.recordUsage(fileId, { recordCount: result.inputRecords });
+            return { result, parseInfo: cached.table.parseInfo };
+        }
+        console.log(`Temp table ${cached.table.tableName} for fingerprint ${fingerprint.substring(0, 12)} is gone - building a new one`);
+    }
+
+    const built = await bqService.createTempTableFromJSON(() => reader.records(), fileId, primaryKey, {
+        flattener: flattener,
+        loadMethod: options.loadMethod,
+        fieldTypes: options.fieldTypes,
+        valueMode: options.valueMode,
+        sourceSchema: reader.getSourceSchema()
+    });
+    const result = { ...built, tempTableSource: 'built', reusedFrom: null, fingerprint: fingerprint };
+    const parseInfo = {
+        format: reader.stats.format,
+        method: reader.stats.parseMethod,
+        skippedLines: reader.stats.skippedLines,
+        recordRoot: reader.stats.recordRoot,
+        parseReport: reader.getParseReport(),
+        sourceSchema: reader.getSourceSchema()
+    };
+
+    // Link the table to the file so it is purged with it, and keep what a later reuse needs to answer
+    await fileRegistry.linkTempTable(fileId, result, {
+        fingerprint: fingerprint,
+        result: _.pick(result, REUSABLE_RESULT_FIELDS),
+        parseInfo: parseInfo
+    });
+    await fileRegistry.recordUsage(fileId, { format: reader.stats.format, recordCount: result.inputRecords });
+    return { result, parseInfo };
+}
+
 // FIXED: Schema Analysis Endpoint - Now accepts custom source table
 app.post('/api/analyze-schemas', async (req, res) => {
     try {
@@ -115,6 +345,8 @@ app.post('/api/analyze-schemas', async (req, res) => {
         const comparisonEngine = new ComparisonEngineService();
         
         const schemaAnalysis = await comparisonEngine.getCommonFields(tempTableId, sourceTable);
+        // Fields found on one side only that look like the same column under another name
+        schemaAnalysis.mappingSuggestions = await comparisonEngine.suggestColumnMappings(tempTableId, sourceTable, schemaAnalysis);
         
         console.log(`Schema analysis complete: ${schemaAnalysis.commonFields.length} common fields found`);
         
@@ -148,27 +380,10 @@ app.post('/api/create-temp-table', async (req, res) => {
         console.log(`Creating temp table for file: ${fileId}`);
         console.log(`Using primary key for verification: ${primaryKey || 'none specified'}`);
         
-        const fs = require('fs');
-        const path = require('path');
-        
-        const possiblePaths = [
-            path.join(__dirname, 'uploads', `${fileId}.json`),
-            path.join(__dirname, 'uploads', `${fileId}.jsonl`),
-            path.join(__dirname, 'uploads', fileId),
-            path.join(__dirname, 'temp-files', `${fileId}.json`),
-            path.join(__dirname, 'temp-files', `${fileId}.jsonl`)
-        ];
+        const dataset = fileRegistry.getDataset(fileId);
+        const filePath = dataset ? null : findUploadedFile(fileId);
         
-        let filePath = null;
-        for (const possiblePath of possiblePaths) {
-            if (fs.existsSync(possiblePath)) {
-                filePath = possiblePath;
-                console.log(`Found file at: ${filePath}`);
-                break;
-            }
-        }
-        
-        if (!filePath) {
+        if (!filePath && !dataset) {
             console.log('File not found in any expected location');
             return res.status(404).json({
                 success: false,
@@ -177,86 +392,38 @@ app.post('/api/create-temp-table', async (req, res) => {
             });
         }
         
-        console.log(`Reading file: ${filePath}`);
-        const fileContent = fs.readFileSync(filePath, 'utf8');
+        console.log(`Reading ${dataset ? `dataset: ${dataset.name}` : `file: ${filePath}`}`);
         
-        // CONSISTENT: Use the same parsing logic as preview
-        let parseResult;
+        // CONSISTENT: Use the same streaming reader and flattening rules as preview - detect the format and record root up front
+        let reader;
+        let flattener;
         try {
-            parseResult = parseJsonContent(fileContent, path.basename(filePath));
-        } catch (parseError) {
-            console.error('JSON parsing failed:', parseError.message);
+            reader = createSourceReader(fileId, filePath, req.body);
+            flattener = Flattener.fromRequest(req.body);
+        } catch (optionsError) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid JSON format',
-                details: parseError.message
+                error: 'Invalid file options',
+                details: optionsError.message
             });
         }
         
-        const jsonData = parseResult.jsonData;
-        console.log(`Parsed ${jsonData.length} records using ${parseResult.parseMethod}`);
-        
-        if (jsonData.length === 0) {
+        try {
+            await reader.detectFormat();
+            await reader.resolveRecordRoot();
+        } catch (parseError) {
+            console.error('File parsing failed:', parseError.message);
             return res.status(400).json({
                 success: false,
-                error: 'No valid JSON data found in file'
+                error: 'Invalid file format',
+                details: parseError.message
             });
         }
         
-        // Log available fields for debugging
-        console.log('Available fields in JSON data:', Object.keys(jsonData[0] || {}));
+        // Create (or reuse) the temp table with dynamic primary key for verification + batch processing
+        const { result, parseInfo } = await buildOrReuseTempTable(fileId, filePath, reader, flattener, primaryKey, req.body);
         
-        // Flatten nested objects for BigQuery compatibility
-        const flattenedData = jsonData.map((record) => {
-            const flattened = {};
-            
-            function flattenObject(obj, prefix = '') {
-                for (const [key, value] of Object.entries(obj)) {
-                    const newKey = prefix ? `${prefix}_${key}` : key;
-                    
-                    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
-                        // Handle nested objects (ServiceNow references, AWS structures, etc.)
-                        if (value.display_value || value.link || value.value) {
-                            if (value.display_value) {
-                                flattened[`${newKey}_display_value`] = String(value.display_value);
-                            }
-                            if (value.link) {
-                                flattened[`${newKey}_link`] = String(value.link);
-                            }
-                            if (value.value) {
-                                flattened[`${newKey}_value`] = String(value.value);
-                            }
-                        } else {
-                            // Limit nesting depth to prevent overly complex structures
-                            if (prefix.split('_').length < 3) {
-                                flattenObject(value, newKey);
-                            } else {
-                                flattened[newKey] = JSON.stringify(value);
-                            }
-                        }
-                    } else if (Array.isArray(value)) {
-                        flattened[newKey] = JSON.stringify(value);
-                    } else {
-                        if (value === null || value === undefined) {
-                            flattened[newKey] = null;
-                        } else {
-                            flattened[newKey] = String(value);
-                        }
-                    }
-                }
-            }
-            
-            flattenObject(record);
-            return flattened;
-        });
-        
-        console.log(`Flattened data ready for BigQuery`);
-        
-        // Create temp table with dynamic primary key for verification + batch processing
-        const bqService = new BigQueryIntegrationService();
-        const result = await bqService.createTempTableFromJSON(flattenedData, fileId, primaryKey);
-        
-        console.log('Temp table creation completed');
+        console.log(`Temp table ${result.tempTableSource === 'reused' ? 'reused' : 'creation completed'}`);
         console.log(`Records in table: ${result.recordsInTable}`);
         console.log(`Actual temp table ID: ${result.tempTableId}`);
         
@@ -265,18 +432,27 @@ app.post('/api/create-temp-table', async (req, res) => {
             message: result.message,
             tempTableId: result.tempTableId,
             tempTableName: result.tempTableName,
+            tempTableSource: result.tempTableSource,
+            reusedFrom: result.reusedFrom,
+            fingerprint: result.fingerprint,
             recordsUploaded: result.recordsInTable,
             recordsAttempted: result.inputRecords,
             recordCountMatch: result.recordCountMatch,
             fieldsProcessed: result.fieldsProcessed,
+            flattening: result.flattening,
+            inferredSchema: result.inferredSchema,
+            coercionFailures: result.coercionFailures,
+            valueMode: result.valueMode,
+            valueChanges: result.valueChanges,
+            loadMethod: result.loadMethod,
+            rowsLoaded: result.rowsLoaded,
+            rowsRejected: result.rowsRejected,
+            loadJob: result.loadJob,
             approach: result.approach,
             batchInfo: result.batchInfo,
             verification: result.verification,
             expiresAt: result.expiresAt,
-            parseInfo: {
-                format: parseResult.detectedFormat,
-                method: parseResult.parseMethod
-            },
+            parseInfo: parseInfo,
             fixes: result.fixes || ['Universal data type support', 'Dynamic primary key support', 'Batch processing for large files']
         });
         
@@ -290,238 +466,44 @@ app.post('/api/create-temp-table', async (req, res) => {
             'Try with a smaller file first to test functionality'
         ];
         
-        if (error.message.includes('Request Entity Too Large') || error.message.includes('413')) {
-            suggestions = [
-                'File is too large for single batch processing',
-                'System will automatically use batch processing for large files',
-                'Try uploading the file again - batch processing should handle it',
-                'If issue persists, try breaking the file into smaller chunks'
-            ];
-        }
-        
-        res.status(500).json({
-            success: false,
-            error: errorMessage,
-            details: 'Failed to create temp table from JSON',
-            suggestions: suggestions
-        });
-    }
-});
-
-// ENHANCED: ROBUST JSON File Preview Endpoint - CONSISTENT parsing with create-temp-table
-app.get('/api/preview-json/:fileId', async (req, res) => {
-    try {
-        const { fileId } = req.params;
-        console.log(`=== STARTING PREVIEW FOR FILE: ${fileId} ===`);
-        
-        const fs = require('fs');
-        const path = require('path');
-        
-        // Check multiple possible file locations
-        const possiblePaths = [
-            path.join(__dirname, 'uploads', `${fileId}.json`),
-            path.join(__dirname, 'uploads', `${fileId}.jsonl`),
-            path.join(__dirname, 'uploads', fileId),
-            path.join(__dirname, 'temp-files', `${fileId}.json`),
-            path.join(__dirname, 'temp-files', `${fileId}.jsonl`)
-        ];
-        
-        let filePath = null;
-        for (const possiblePath of possiblePaths) {
-            if (fs.existsSync(possiblePath)) {
-                filePath = possiblePath;
-                console.log(`Found file at: ${filePath}`);
-                break;
-            }
-        }
-        
-        if (!filePath) {
-            console.log('File not found for preview in any expected location');
-            return res.status(404).json({
-                success: false,
-                error: 'File not found for preview',
-                details: `File ${fileId} not found in any upload directory`
-            });
-        }
-        
-        // Read file content and stats
-        console.log(`Reading file content from: ${filePath}`);
-        const fileContent = fs.readFileSync(filePath, 'utf8');
-        const fileStat = fs.statSync(filePath);
-        
-        console.log(`File size: ${fileStat.size} bytes`);
-        
-        // CONSISTENT: Use the same parsing logic as create-temp-table
-        let parseResult;
-        try {
-            parseResult = parseJsonContent(fileContent, path.basename(filePath));
-        } catch (parseError) {
-            console.error('Preview JSON parsing failed:', parseError.message);
+        if (error.message.includes('Parse error') || error.message.includes('No valid records found')) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid JSON format for preview',
-                details: parseError.message,
-                suggestions: [
-                    'Verify JSON file is properly formatted',
-                    'Check for missing commas or brackets',
-                    'Ensure file is either valid JSON array or JSONL format',
-                    'Try validating JSON in an online JSON validator'
-                ]
+                error: 'Invalid file format',
+                details: errorMessage
             });
         }
         
-        const jsonData = parseResult.jsonData;
-        console.log(`Preview parsing successful: ${jsonData.length} records using ${parseResult.parseMethod}`);
-        
-        if (jsonData.length === 0) {
-            console.error('No JSON data was successfully parsed for preview');
+        if (error.message.includes('Unknown load method') || error.message.includes('Unknown value mode') ||
+            error.message.includes('Invalid field type override')) {
             return res.status(400).json({
                 success: false,
-                error: 'No valid JSON data found in file',
-                details: 'File was readable but contained no valid JSON data'
+                error: errorMessage
             });
         }
         
-        // Generate comprehensive field analysis
-        console.log('=== GENERATING FIELD ANALYSIS ===');
-        
-        // Flatten the first record to understand the full field structure
-        const firstRecord = jsonData[0];
-        const flattenedSample = {};
-        
-        function flattenObject(obj, prefix = '', depth = 0) {
-            // Prevent infinite recursion
-            if (depth > 5) {
-                console.warn(`Max flattening depth reached for prefix: ${prefix}`);
-                return;
-            }
-            
-            for (const [key, value] of Object.entries(obj)) {
-                const cleanKey = prefix ? `${prefix}_${key}` : key;
-                
-                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
-                    // Handle ServiceNow-style objects with display_value/link/value
-                    if (value.display_value !== undefined || value.link !== undefined || value.value !== undefined) {
-                        if (value.display_value !== undefined) {
-                            flattenedSample[`${cleanKey}_display_value`] = value.display_value;
-                        }
-                        if (value.link !== undefined) {
-                            flattenedSample[`${cleanKey}_link`] = value.link;
-                        }
-                        if (value.value !== undefined) {
-                            flattenedSample[`${cleanKey}_value`] = value.value;
-                        }
-                    } else {
-                        // Regular nested object - flatten recursively
-                        flattenObject(value, cleanKey, depth + 1);
-                    }
-                } else if (Array.isArray(value)) {
-                    // Convert arrays to JSON strings
-                    flattenedSample[cleanKey] = JSON.stringify(value);
-                } else {
-                    // Simple value
-                    flattenedSample[cleanKey] = value;
-                }
-            }
+        if (error.message.includes('LOAD JOB FAILED')) {
+            suggestions = [
+                'The BigQuery load job rejected the file - see the job errors in the message',
+                'Set BQ_LOAD_MAX_BAD_RECORDS to tolerate a number of rejected rows',
+                "Retry with loadMethod 'streaming' to use streaming inserts instead"
+            ];
         }
         
-        try {
-            flattenObject(firstRecord);
-            console.log(`Flattening completed: ${Object.keys(flattenedSample).length} fields generated`);
-        } catch (flattenError) {
-            console.error(`Flattening failed: ${flattenError.message}`);
-            // Fallback to original fields
-            Object.assign(flattenedSample, firstRecord);
+        if (error.message.includes('Request Entity Too Large') || error.message.includes('413')) {
+            suggestions = [
+                'File is too large for single batch processing',
+                'System will automatically use batch processing for large files',
+                'Try uploading the file again - batch processing should handle it',
+                'If issue persists, try breaking the file into smaller chunks'
+            ];
         }
         
-        // Get all available fields
-        const allFields = Object.keys(flattenedSample);
-        console.log(`Total fields available: ${allFields.length}`);
-        console.log(`Sample fields: [${allFields.slice(0, 10).join(', ')}]`);
-        
-        // Smart field categorization
-        const idFields = allFields.filter(field => {
-            const lowerField = field.toLowerCase();
-            return lowerField.includes('id') || 
-                   lowerField.includes('key') || 
-                   lowerField.includes('number') ||
-                   lowerField === 'arn' ||
-                   lowerField === 'catalog' ||
-                   lowerField.endsWith('_id') ||
-                   lowerField.startsWith('id_') ||
-                   lowerField.includes('identifier');
-        });
-        
-        const importantFields = allFields.filter(field => {
-            const lowerField = field.toLowerCase();
-            return !idFields.includes(field) && (
-                lowerField.includes('name') ||
-                lowerField.includes('account') ||
-                lowerField.includes('type') ||
-                lowerField.includes('status') ||
-                lowerField.includes('code') ||
-                lowerField.includes('date') ||
-                lowerField.includes('stage') ||
-                lowerField.includes('category') ||
-                lowerField.includes('healthy') ||
-                lowerField.includes('enabled') ||
-                lowerField.includes('monitor')
-            );
-        });
-        
-        console.log(`Field categorization complete:`);
-        console.log(`  ID/Key fields: ${idFields.length} [${idFields.slice(0, 5).join(', ')}]`);
-        console.log(`  Important fields: ${importantFields.length} [${importantFields.slice(0, 5).join(', ')}]`);
-        
-        // Create comprehensive preview response
-        const preview = {
-            totalRecords: jsonData.length,
-            fieldsDetected: allFields.length,
-            fileSize: fileStat.size,
-            format: parseResult.detectedFormat,
-            parseMethod: parseResult.parseMethod,
-            sampleRecords: [flattenedSample], // Send flattened version for field suggestions
-            availableFields: allFields,
-            idFields: idFields,
-            importantFields: importantFields,
-            allFieldsList: allFields.slice(0, 100),
-            originalSample: jsonData[0], // Also send original for reference
-            processingDetails: {
-                detectedFormat: parseResult.detectedFormat,
-                parseMethod: parseResult.parseMethod,
-                flatteningSuccess: Object.keys(flattenedSample).length > Object.keys(firstRecord).length,
-                timestamp: new Date().toISOString()
-            }
-        };
-        
-        console.log(`=== PREVIEW GENERATION COMPLETE ===`);
-        console.log(`Preview created successfully:`);
-        console.log(`  - Records: ${preview.totalRecords}`);
-        console.log(`  - Fields: ${preview.fieldsDetected}`);
-        console.log(`  - Format: ${preview.format}`);
-        console.log(`  - ID Fields: ${preview.idFields.length}`);
-        console.log(`  - Important Fields: ${preview.importantFields.length}`);
-        
-        res.json({
-            success: true,
-            preview: preview
-        });
-        
-    } catch (error) {
-        console.error('=== PREVIEW GENERATION FAILED ===');
-        console.error(`Error: ${error.message}`);
-        console.error(`Stack: ${error.stack}`);
-        
         res.status(500).json({
             success: false,
-            error: 'Preview generation failed',
-            details: error.message,
-            suggestions: [
-                'Check that the uploaded file is valid JSON',
-                'Verify file is not corrupted',
-                'Try uploading a smaller test file first',
-                'Contact support if issue persists'
-            ]
+            error: errorMessage,
+            details: 'Failed to create temp table from JSON',
+            suggestions: suggestions
         });
     }
 });
@@ -532,14 +514,15 @@ app.post('/api/compare-json-vs-bq', async (req, res) => {
         const { 
             fileId, 
             sourceTable,  // USER-SPECIFIED BigQuery table
-            primaryKey,   // USER-SPECIFIED primary key (ANY DATA TYPE)
-            comparisonFields = [],
+            primaryKey,   // USER-SPECIFIED primary key (ANY DATA TYPE) - one column, "col_a, col_b" or an array for a composite key
             strategy = 'enhanced' 
         } = req.body;
+        const keyColumns = CompositeKey.parse(primaryKey);
+        const keyLabel = CompositeKey.label(keyColumns);
         
         console.log(`ENHANCED: Starting UNIVERSAL DATA TYPE comparison for file: ${fileId}`);
         console.log(`User-specified BigQuery table: ${sourceTable}`);
-        console.log(`User-specified primary key: ${primaryKey} (supports ANY data type)`);
+        console.log(`User-specified primary key: ${keyLabel} (supports ANY data type)`);
         
         if (!fileId || !sourceTable) {
             return res.status(400).json({
@@ -548,12 +531,13 @@ app.post('/api/compare-json-vs-bq', async (req, res) => {
             });
         }
 
-        if (!primaryKey || primaryKey.trim() === '') {
+        if (keyColumns.length === 0) {
             return res.status(400).json({
                 success: false,
                 error: 'Primary key field is required',
                 suggestions: [
                     'Enter ANY field name that exists in both JSON and BigQuery tables',
+                    'For composite keys, list the columns in order: account_id, region',
                     'Supports ALL data types: STRING, INT64, FLOAT64, BOOLEAN, DATE, DATETIME, TIMESTAMP, NUMERIC, etc.',
                     'For monitor data, try: id, account_id (numeric or string)',
                     'For AWS data, try: Id, Arn, Catalog (any type)',
@@ -564,104 +548,91 @@ app.post('/api/compare-json-vs-bq', async (req, res) => {
             });
         }
         
-        // Find and parse the JSON file
-        const fs = require('fs');
-        const path = require('path');
-        
-        const possiblePaths = [
-            path.join(__dirname, 'uploads', `${fileId}.json`),
-            path.join(__dirname, 'uploads', `${fileId}.jsonl`),
-            path.join(__dirname, 'uploads', fileId),
-            path.join(__dirname, 'temp-files', `${fileId}.json`),
-            path.join(__dirname, 'temp-files', `${fileId}.jsonl`)
-        ];
+        // Find and parse the uploaded file
+        const dataset = fileRegistry.getDataset(fileId);
+        const filePath = dataset ? null : findUploadedFile(fileId);
         
-        let filePath = null;
-        for (const possiblePath of possiblePaths) {
-            if (fs.existsSync(possiblePath)) {
-                filePath = possiblePath;
-                break;
-            }
-        }
-        
-        if (!filePath) {
+        if (!filePath && !dataset) {
             return res.status(404).json({
                 success: false,
                 error: 'File not found for comparison'
             });
         }
         
-        // Parse the JSON data with CONSISTENT parsing logic
-        const fileContent = fs.readFileSync(filePath, 'utf8');
+        // Stream the file with the CONSISTENT reader and flattening rules - detect the format and record root up front
+        let reader;
+        let flattener;
+        let contract;
+        let contractValidator = null;
+        let keyPage;
+        let fieldSelection;
+        let fieldRules;
+        let transforms;
+        let columnMap;
+        try {
+            reader = createSourceReader(fileId, filePath, req.body);
+            flattener = Flattener.fromRequest(req.body);
+            keyPage = ComparisonEngineService.parseKeyPage({ page: req.body.keyPage, pageSize: req.body.keyPageSize });
+
+            // Contract sent with the request, attached to the upload, or saved for the target table
+            contract = ContractValidator.resolveContract({
+                contract: req.body.contract,
+                entry: fileRegistry.get(fileId),
+                dataSource: req.body.dataSource || sourceTable
+            }, contractStore);
+            if (contract) {
+                contractValidator = new ContractValidator(contract.schema, {
+                    ...ContractValidator.optionsFromRequest(req.body),
+                    limit: null
+                }).compile();
+            }
+
+            // Fields to compare: include/exclude lists sent with the request, or the selection saved for the target table
+            fieldSelection = FieldSelection.resolve({
+                options: FieldSelection.optionsFromRequest(req.body),
+                dataSource: req.body.dataSource || sourceTable
+            }, fieldSelectionStore);
+            // Per-field tolerances and normalization (numeric, timestamp, case, trim, regex, null-equals-empty)
+            fieldRules = FieldRules.fromRequest(req.body);
+            // Expected values of target columns computed from source columns (expression language or SQL snippets)
+            transforms = FieldTransforms.fromRequest(req.body);
+            // Source -> target column names sent with the request, or the map saved for this file/dataset and table
+            const registryEntry = fileRegistry.get(fileId) || dataset;
+            columnMap = ColumnMap.resolve({
+                columnMap: ColumnMap.fromRequest(req.body),
+                source: req.body.mappingSource || (registryEntry && registryEntry.originalName),
+                target: sourceTable
+            }, columnMapStore);
+        } catch (optionsError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid file options',
+                details: optionsError.message
+            });
+        }
         
-        let parseResult;
         try {
-            parseResult = parseJsonContent(fileContent, path.basename(filePath));
+            await reader.detectFormat();
+            await reader.resolveRecordRoot();
         } catch (parseError) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid JSON format for comparison',
+                error: 'Invalid file format for comparison',
                 details: parseError.message
             });
         }
         
-        const jsonData = parseResult.jsonData;
-        console.log(`Re-parsed ${jsonData.length} records for comparison using ${parseResult.parseMethod}`);
+        // Create (or reuse) the temp table with user's primary key for verification + batch processing
+        const { result: tempTableResult, parseInfo } = await buildOrReuseTempTable(fileId, filePath, reader, flattener, keyColumns, req.body);
         
-        // Flatten the data (same as create-temp-table)
-        const flattenedData = jsonData.map((record) => {
-            const flattened = {};
-            
-            function flattenObject(obj, prefix = '') {
-                for (const [key, value] of Object.entries(obj)) {
-                    const newKey = prefix ? `${prefix}_${key}` : key;
-                    
-                    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
-                        if (value.display_value || value.link || value.value) {
-                            if (value.display_value) {
-                                flattened[`${newKey}_display_value`] = String(value.display_value);
-                            }
-                            if (value.link) {
-                                flattened[`${newKey}_link`] = String(value.link);
-                            }
-                            if (value.value) {
-                                flattened[`${newKey}_value`] = String(value.value);
-                            }
-                        } else {
-                            if (prefix.split('_').length < 3) {
-                                flattenObject(value, newKey);
-                            } else {
-                                flattened[newKey] = JSON.stringify(value);
-                            }
-                        }
-                    } else if (Array.isArray(value)) {
-                        flattened[newKey] = JSON.stringify(value);
-                    } else {
-                        if (value === null || value === undefined) {
-                            flattened[newKey] = null;
-                        } else {
-                            flattened[newKey] = String(value);
-                        }
-                    }
-                }
-            }
-            
-            flattenObject(record);
-            return flattened;
-        });
-        
-        // Create temp table with user's primary key for verification + batch processing
-        const bqService = new BigQueryIntegrationService();
-        const tempTableResult = await bqService.createTempTableFromJSON(flattenedData, fileId, primaryKey);
-        
-        console.log(`Temp table created successfully`);
+        console.log(`Temp table ${tempTableResult.tempTableSource === 'reused' ? 'reused' : 'created'} successfully`);
         console.log(`ACTUAL temp table ID: ${tempTableResult.tempTableId}`);
         
         // Use the actual temp table ID returned from creation
         const actualTempTableId = tempTableResult.tempTableId;
         
         console.log(`ENHANCED: Comparing using actual table: ${actualTempTableId} vs ${sourceTable}`);
-        console.log(`Using UNIVERSAL DATA TYPE support for primary key: ${primaryKey}`);
+        console.log(`Using UNIVERSAL DATA TYPE support for primary key: ${keyLabel}`);
         
         // Pre-comparison verification
         try {
@@ -686,40 +657,102 @@ app.post('/api/compare-json-vs-bq', async (req, res) => {
             });
         }
         
+        // Mapped target columns are read under their source names through a view, so every step below sees one set of names
+        let mappedTarget;
+        try {
+            mappedTarget = await applyColumnMap(columnMap, sourceTable, req.body, FileRegistry.uploaderOf(req));
+        } catch (mapError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid column map',
+                details: mapError.message
+            });
+        }
+        const targetTable = mappedTarget ? mappedTarget.viewId : sourceTable;
+        
         // Run ENHANCED comparison with UNIVERSAL DATA TYPE SUPPORT + DUAL DUPLICATES ANALYSIS
-        const ComparisonEngineService = require('./services/comparison-engine');
         const comparisonEngine = new ComparisonEngineService();
         
         console.log(`ENHANCED: Running UNIVERSAL data type comparison...`);
         console.log(`Using user's BigQuery table: ${sourceTable}`);
-        console.log(`Using user's primary key with universal casting: ${primaryKey}`);
+        console.log(`Using user's primary key with universal casting: ${keyLabel}`);
         console.log(`Supports: STRING, INT64, FLOAT64, BOOLEAN, DATE, DATETIME, TIMESTAMP, NUMERIC, TIME, GEOGRAPHY, JSON`);
         
         const results = await comparisonEngine.compareJSONvsBigQuery(
             actualTempTableId, // Use actual table ID
-            sourceTable,      // Use user-specified table
-            primaryKey,       // Use user-specified primary key (ANY DATA TYPE)
-            comparisonFields,
-            strategy
+            targetTable,      // Use user-specified table (or its column-mapped view)
+            keyColumns,       // Use user-specified primary key columns (ANY DATA TYPE, cast per column)
+            fieldSelection,   // Include/exclude lists, preset or saved selection
+            strategy,
+            { keyPage: keyPage.page, keyPageSize: keyPage.pageSize, fieldRules: fieldRules, transforms: transforms }
         );
         
+        // Key sets are counted exactly in BigQuery; only a page of each comes back, the rest is fetched or downloaded on request
+        const reconciliation = results.comparisonResults && results.comparisonResults.reconciliation;
+        if (reconciliation) {
+            reconciliation.keysUrls = keySetUrls(actualTempTableId, targetTable, keyColumns);
+            reconciliation.differencesUrls = recordDifferencesUrls(actualTempTableId, targetTable, keyColumns, fieldSelection, fieldRules, transforms);
+        }
+        
+        // Only a few mismatching rows per column come back; each column links to the rest
+        const fieldComparison = (results.fieldWiseAnalysis && results.fieldWiseAnalysis.fieldComparison) || [];
+        fieldComparison.forEach(field => {
+            field.mismatchesUrl = columnMismatchUrl(actualTempTableId, targetTable, keyColumns, field.fieldName, fieldRules, transforms);
+        });
+        
         console.log(`ENHANCED comparison completed successfully`);
-        console.log(`Results summary: ${results.summary?.recordsReachedTarget || 0} matches found using '${primaryKey}' with universal data type support`);
+        console.log(`Results summary: ${results.summary?.recordsReachedTarget || 0} matches found using '${keyLabel}' with universal data type support`);
         console.log(`Data types detected: JSON ${results.comparisonResults?.dataTypes?.tempType || 'STRING'} ↔ BQ ${results.comparisonResults?.dataTypes?.sourceType || 'STRING'}`);
         console.log(`Duplicates analysis: JSON has ${results.duplicatesAnalysis?.jsonDuplicates?.duplicateCount || 0}, BQ has ${results.duplicatesAnalysis?.bqDuplicates?.duplicateCount || 0} duplicate keys`);
         
+        results.columnMapping = describeColumnMapping(columnMap, mappedTarget);
+        if (mappedTarget && results.metadata) {
+            results.metadata.sourceTableName = sourceTable;
+        }
+        
         // Include enhanced temp table info in response
         results.tempTableInfo = {
             actualTableId: actualTempTableId,
+            tempTableSource: tempTableResult.tempTableSource,
+            reusedFrom: tempTableResult.reusedFrom,
+            fingerprint: tempTableResult.fingerprint,
             recordsInTable: tempTableResult.recordsInTable,
             recordCountMatch: tempTableResult.recordCountMatch,
+            flattening: tempTableResult.flattening,
+            inferredSchema: tempTableResult.inferredSchema,
+            coercionFailures: tempTableResult.coercionFailures,
+            valueMode: tempTableResult.valueMode,
+            valueChanges: tempTableResult.valueChanges,
+            loadMethod: tempTableResult.loadMethod,
+            rowsLoaded: tempTableResult.rowsLoaded,
+            rowsRejected: tempTableResult.rowsRejected,
+            loadJob: tempTableResult.loadJob,
             batchInfo: tempTableResult.batchInfo,
-            parseInfo: {
-                format: parseResult.detectedFormat,
-                method: parseResult.parseMethod
-            }
+            parseInfo: parseInfo
         };
         
+        // Lines dropped before loading are part of the source, so the summary reports them next to the record counts
+        if (results.summary) {
+            results.summary.recordsRejectedAtParse = parseInfo ? parseInfo.skippedLines : reader.stats.skippedLines;
+        }
+        
+        // Contract compliance of the uploaded records, reported next to the schema analysis
+        if (contractValidator) {
+            try {
+                const compliance = await contractValidator.validate(createSourceReader(fileId, filePath, req.body));
+                results.contractCompliance = { contractSource: contract.source, dataSource: contract.dataSource, ...compliance };
+                if (results.summary) {
+                    results.summary.contractComplianceRate = compliance.complianceRate;
+                    results.summary.contractViolations = compliance.totalViolations;
+                }
+            } catch (contractError) {
+                console.error('Contract compliance check failed:', contractError.message);
+                results.contractCompliance = { contractSource: contract.source, dataSource: contract.dataSource, error: contractError.message };
+            }
+        } else {
+            results.contractCompliance = null;
+        }
+        
         // Add enhanced capabilities info
         results.enhancedCapabilities = {
             universalDataTypeSupport: true,
@@ -743,6 +776,31 @@ app.post('/api/compare-json-vs-bq', async (req, res) => {
             'Verify BigQuery table is accessible'
         ];
         
+        if (error.message.includes('Parse error') || error.message.includes('No valid records found')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid file format for comparison',
+                details: errorMessage,
+                suggestions: [
+                    'Download the rejected lines from /api/quarantine/<fileId> to see what failed to parse',
+                    'Turn off strict mode to skip invalid JSONL lines and report them instead'
+                ]
+            });
+        }
+        
+        if (error.message.includes('Transform')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid transforms',
+                details: errorMessage,
+                suggestions: [
+                    'Key transforms by the target (BigQuery) column they compute',
+                    'Refer to source columns by their name in the uploaded file (after flattening)',
+                    `Expression functions: ${FieldTransforms.FUNCTIONS.join(', ')}`
+                ]
+            });
+        }
+        
         if (error.message.includes('not available in both tables')) {
             suggestions = [
                 'Choose a field that exists in both your JSON file and BigQuery table',
@@ -751,6 +809,7 @@ app.post('/api/compare-json-vs-bq', async (req, res) => {
                 'For AWS data, try: Id, Arn, Catalog (any data type)',
                 'For ServiceNow data, try: task_sys_id, task_number (any data type)',
                 'For date/time data, try: created_date, updated_at (date/timestamp types)',
+                'For composite keys, every listed column must exist in both tables',
                 'Check the Column Names tab after upload to see available common fields'
             ];
         } else if (error.message.includes('Unrecognized name')) {
@@ -771,7 +830,7 @@ app.post('/api/compare-json-vs-bq', async (req, res) => {
         } else if (error.message.includes('Request Entity Too Large') || error.message.includes('413')) {
             suggestions = [
                 'File was processed with batch processing for large files',
-                'System automatically handles large files up to 100MB',
+                `System streams files up to ${parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 100}MB (MAX_UPLOAD_SIZE_MB)`,
                 'Batch processing was successful, comparison should work normally'
             ];
         }
@@ -791,6 +850,225 @@ app.post('/api/compare-json-vs-bq', async (req, res) => {
     }
 });
 
+// Reconciled key sets of a comparison: a page as JSON (page, pageSize), or the whole set streamed
+// as CSV / NDJSON (format=csv|ndjson). Keys are recomputed in BigQuery, never held in memory.
+app.get('/api/reconciliation-keys', async (req, res) => {
+    const { tempTableId, sourceTable, primaryKey, set = 'source-only', format = 'json' } = req.query;
+    const keyColumns = CompositeKey.parse(primaryKey);
+    
+    if (!tempTableId || !sourceTable || keyColumns.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'tempTableId, sourceTable and primaryKey are required',
+            suggestions: ['Use the keysUrls returned in comparisonResults.reconciliation of a comparison']
+        });
+    }
+    
+    let keyPage;
+    try {
+        ComparisonEngineService.keySetCondition(set);
+        keyPage = ComparisonEngineService.parseKeyPage(req.query);
+        if (!['json', 'csv', 'ndjson'].includes(format)) {
+            throw new Error(`Unknown key list format: ${format} (use json, csv or ndjson)`);
+        }
+    } catch (optionsError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid key list options',
+            details: optionsError.message
+        });
+    }
+    
+    const comparisonEngine = new ComparisonEngineService();
+    if (!await checkLinkedTables(res, comparisonEngine, { tempTableId, sourceTable, keyColumns, subject: 'Key sets' })) {
+        return;
+    }
+    
+    try {
+        if (format === 'json') {
+            const keyTypes = await comparisonEngine.getKeyTypes(tempTableId, sourceTable, keyColumns);
+            const keys = await comparisonEngine.getKeySetPage(tempTableId, sourceTable, keyTypes, set, keyPage.page, keyPage.pageSize);
+            return res.json({
+                success: true,
+                set: set,
+                primaryKey: CompositeKey.label(keyColumns),
+                page: keyPage.page,
+                pageSize: keyPage.pageSize,
+                keys: keys,
+                hasMore: keys.length === keyPage.pageSize
+            });
+        }
+        
+        const { rows } = await comparisonEngine.streamKeySet(tempTableId, sourceTable, keyColumns, set);
+        const keyCount = await streamDownload(res, rows, {
+            format: format,
+            filename: `${set}-keys.${format}`,
+            header: keyColumns,
+            csvRow: row => keyColumns.map(column => row[column]),
+            ndjsonRow: row => _.mapValues(row, plainValue)
+        });
+        console.log(`Streamed ${keyCount} ${set} keys as ${format}`);
+        
+    } catch (error) {
+        console.error('Key list failed:', error.message);
+        if (res.headersSent) {
+            // Part of the list is already out - cut the download so it cannot pass for a complete list
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            error: 'Key list failed',
+            details: error.message
+        });
+    }
+});
+
+// Matched records whose values differ in one column, a page at a time (page, pageSize; fieldRules as in the comparison)
+app.get('/api/column-mismatches', async (req, res) => {
+    const { tempTableId, sourceTable, primaryKey, field } = req.query;
+    const keyColumns = CompositeKey.parse(primaryKey);
+    
+    if (!tempTableId || !sourceTable || keyColumns.length === 0 || !field) {
+        return res.status(400).json({
+            success: false,
+            error: 'tempTableId, sourceTable, primaryKey and field are required',
+            suggestions: ['Use the mismatchesUrl returned with each field of fieldWiseAnalysis.fieldComparison']
+        });
+    }
+    
+    let keyPage;
+    let fieldRules;
+    let transforms;
+    try {
+        keyPage = ComparisonEngineService.parseKeyPage(req.query);
+        fieldRules = FieldRules.fromRequest(req.query);
+        transforms = FieldTransforms.fromRequest(req.query);
+    } catch (optionsError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid mismatch page options',
+            details: optionsError.message
+        });
+    }
+    
+    const comparisonEngine = new ComparisonEngineService();
+    if (!await checkLinkedTables(res, comparisonEngine, { tempTableId, sourceTable, keyColumns, fields: [field], transforms, subject: 'Mismatches' })) {
+        return;
+    }
+    
+    try {
+        const mismatches = await comparisonEngine.getColumnMismatchPage(tempTableId, sourceTable, keyColumns, field, keyPage.page, keyPage.pageSize, fieldRules, transforms);
+        res.json({
+            success: true,
+            field: field,
+            primaryKey: CompositeKey.label(keyColumns),
+            page: keyPage.page,
+            pageSize: keyPage.pageSize,
+            mismatches: mismatches,
+            hasMore: mismatches.length === keyPage.pageSize
+        });
+    } catch (error) {
+        console.error('Column mismatch page failed:', error.message);
+        res.status(error.message.includes('is not a compared column') || error.message.includes('Transform') ? 400 : 500).json({
+            success: false,
+            error: 'Column mismatch page failed',
+            details: error.message
+        });
+    }
+});
+
+// Full reconciliation download: every missing, extra and mismatched record with its key, the compared
+// values on both sides and the columns that differ (NDJSON or CSV, streamed from one query)
+app.get('/api/record-differences', async (req, res) => {
+    const { tempTableId, sourceTable, primaryKey, format = 'ndjson' } = req.query;
+    const keyColumns = CompositeKey.parse(primaryKey);
+    
+    if (!tempTableId || !sourceTable || keyColumns.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'tempTableId, sourceTable and primaryKey are required',
+            suggestions: ['Use the differencesUrls returned in comparisonResults.reconciliation of a comparison']
+        });
+    }
+    
+    let statuses;
+    let fieldSelection;
+    let fieldRules;
+    let transforms;
+    try {
+        if (!['csv', 'ndjson'].includes(format)) {
+            throw new Error(`Unknown export format: ${format} (use csv or ndjson)`);
+        }
+        statuses = ComparisonEngineService.parseRecordStatuses(req.query.status);
+        const selectionOptions = FieldSelection.optionsFromRequest(req.query);
+        fieldSelection = new FieldSelection({ ...selectionOptions, source: FieldSelection.isEmpty(selectionOptions) ? 'default' : 'request' });
+        fieldRules = FieldRules.fromRequest(req.query);
+        transforms = FieldTransforms.fromRequest(req.query);
+    } catch (optionsError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid export options',
+            details: optionsError.message
+        });
+    }
+    
+    const comparisonEngine = new ComparisonEngineService();
+    if (!await checkLinkedTables(res, comparisonEngine, { tempTableId, sourceTable, keyColumns, subject: 'Records' })) {
+        return;
+    }
+    
+    try {
+        const { fields, rows } = await comparisonEngine.streamRecordDifferences(tempTableId, sourceTable, keyColumns, fieldSelection, {
+            statuses: statuses,
+            fieldRules: fieldRules,
+            transforms: transforms
+        });
+        
+        // Compared values are rendered as text with 'NULL' for NULL
+        const values = (row, prefix) => _.fromPairs(fields.map((field, index) => {
+            const value = row[`${prefix}${index}`];
+            return [field, value === 'NULL' ? null : value];
+        }));
+        const differingColumns = row => fields.filter((field, index) => row[`d${index}`]);
+        
+        const recordCount = await streamDownload(res, rows, {
+            format: format,
+            filename: `record-differences.${format}`,
+            header: ['status', 'key', 'differing_columns', ...fields.flatMap(field => [`source.${field}`, `target.${field}`])],
+            csvRow: row => {
+                const source = values(row, 's');
+                const target = values(row, 't');
+                return [
+                    row.status,
+                    row.record_key,
+                    differingColumns(row).join(';'),
+                    ...fields.flatMap(field => [row.status === 'extra' ? null : source[field], row.status === 'missing' ? null : target[field]])
+                ];
+            },
+            ndjsonRow: row => ({
+                status: row.status,
+                key: plainValue(row.record_key),
+                differingColumns: differingColumns(row),
+                sourceValues: row.status === 'extra' ? null : values(row, 's'),
+                targetValues: row.status === 'missing' ? null : values(row, 't')
+            })
+        });
+        console.log(`Streamed ${recordCount} record differences as ${format}`);
+        
+    } catch (error) {
+        console.error('Record differences export failed:', error.message);
+        if (res.headersSent) {
+            // Part of the export is already out - cut the download so it cannot pass for a complete list
+            return res.destroy(error);
+        }
+        res.status(error.message.includes('not available in both tables') || error.message.includes('Transform') ? 400 : 500).json({
+            success: false,
+            error: 'Record differences export failed',
+            details: error.message
+        });
+    }
+});
+
 // BigQuery Connection Test Endpoint
 app.get('/api/test-bq-connection', async (req, res) => {
     try {
@@ -834,34 +1112,9 @@ app.delete('/api/cleanup-temp-table/:fileId', async (req, res) => {
         const { fileId } = req.params;
         console.log(`Manual cleanup for file: ${fileId}`);
         
-        const dataset = bigquery.dataset('temp_validation_tables');
-        
-        let deletedTables = [];
-        let errors = [];
-        
-        try {
-            const [tables] = await dataset.getTables();
-            const relevantTables = tables.filter(table => 
-                table.id.startsWith(`json_temp_${fileId}`)
-            );
-            
-            console.log(`Found ${relevantTables.length} relevant tables to clean up`);
-            
-            for (const table of relevantTables) {
-                try {
-                    await table.delete();
-                    deletedTables.push(table.id);
-                    console.log(`Deleted table: ${table.id}`);
-                } catch (deleteError) {
-                    errors.push(`Failed to delete ${table.id}: ${deleteError.message}`);
-                    console.error(`Failed to delete ${table.id}:`, deleteError.message);
-                }
-            }
-            
-        } catch (listError) {
-            console.error(`Failed to list tables:`, listError.message);
-            errors.push(`Failed to list tables: ${listError.message}`);
-        }
+        const bqService = new BigQueryIntegrationService();
+        // Tables other uploads reuse stay until those uploads are purged
+        const { deletedTables, errors } = await bqService.deleteTempTablesForFile(fileId, [], [...fileRegistry.referencedTables(fileId)]);
         
         res.json({
             success: deletedTables.length > 0 || errors.length === 0,
@@ -1061,9 +1314,10 @@ app.get('/api/health', (req, res) => {
             
             // Updated Features
             sanityTestRebranding: true,
-            maxFileSize: '100MB',
+            maxFileSize: `${parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 100}MB`,
             batchSize: '1000 records per batch',
-            supportedFileFormats: ['JSON Array', 'JSONL', 'Single JSON Object'],
+            tempTableLoading: 'BigQuery load jobs (streaming inserts as fallback)',
+            supportedFileFormats: ['JSON Array', 'JSONL', 'Single JSON Object', 'CSV', 'TSV', 'Parquet', 'Avro', 'Excel (.xlsx)', 'gzip (.gz) of any streamed format', 'zip archives'],
             supportedDataSources: ['ServiceNow', 'AWS Partner Central', 'Monitor Details', 'Pool Details', 'Any JSON/JSONL']
         },
         capabilities: {
@@ -1209,6 +1463,22 @@ app.post('/api/compare-rdbms-vs-bq', async (req, res) => {
             });
         }
 
+        // Source -> target column names sent with the request, or the map saved for this table pair
+        let columnMap;
+        try {
+            columnMap = ColumnMap.resolve({
+                columnMap: ColumnMap.fromRequest(req.body),
+                source: req.body.mappingSource || `${dbType}:${database ? `${database}.` : ''}${table}`,
+                target: bqTable
+            }, columnMapStore);
+        } catch (mapError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid column map',
+                details: mapError.message
+            });
+        }
+
         console.log(`Starting ${dbType} vs BigQuery comparison...`);
         console.log(`Source: ${dbType} ${table}`);
         console.log(`Target: BigQuery ${bqTable}`);
@@ -1231,16 +1501,33 @@ app.post('/api/compare-rdbms-vs-bq', async (req, res) => {
             throw new Error(`Connection failed: ${connectionTest.error}`);
         }
 
+        // BigQuery columns named differently are read under the source's names through a view
+        let mappedTarget;
+        try {
+            mappedTarget = await applyColumnMap(columnMap, bqTable, req.body, FileRegistry.uploaderOf(req));
+        } catch (mapError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid column map',
+                details: mapError.message
+            });
+        }
+
         // Run comparison
         const comparisonResult = await rdbmsService.compareWithBigQuery(
             dbType,
             config,
             table,
-            bqTable,
+            mappedTarget ? mappedTarget.viewId : bqTable,
             primaryKey,
             comparisonFields
         );
 
+        comparisonResult.columnMapping = describeColumnMapping(columnMap, mappedTarget);
+        if (mappedTarget) {
+            comparisonResult.metadata.targetTable = bqTable;
+        }
+
         console.log('RDBMS vs BigQuery comparison completed successfully');
         console.log(`Results: ${comparisonResult.summary.matchingRecords}/${comparisonResult.summary.sourceRecords} records matched (${comparisonResult.summary.successRate}%)`);
 
@@ -1366,4 +1653,7 @@ app.listen(port, '0.0.0.0', () => {
     console.log(`🎯 Issue #2: Dual-system duplicates analysis - FIXED`);
     console.log(`🎯 Issue #3: Excel export functionality - READY`);
     console.log(`🎯 Issue #4: Sanity Test rebranding - IMPLEMENTED`);
+    
+    // Purge uploaded files and their temp tables once they pass FILE_RETENTION_HOURS
+    new FileSweeper({ registry: fileRegistry }).start();
 });
\ No newline at end of file
@@ -1,5 +1,11 @@
 // services/bq-integration.js - COMPLETE FIXED: Preserve original field names
+const crypto = require('crypto');
 const { BigQuery } = require('@google-cloud/bigquery');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const SchemaInferrer = require('./schema-inferrer');
+const Flattener = require('./flattener');
+const CompositeKey = require('./composite-key');
 
 class BigQueryIntegrationService {
     constructor() {
@@ -10,7 +16,15 @@ class BigQueryIntegrationService {
         this.config = {
             tempDataset: 'temp_validation_tables',
             tempTablePrefix: 'json_temp_',
-            maxBatchSize: 1000
+            maxBatchSize: 1000,
+            // 'load-job' (default) or 'streaming' - streaming inserts are kept as a fallback
+            loadMethod: process.env.BQ_LOAD_METHOD || 'load-job',
+            // Rows a load job may reject before failing; rejected rows are reported
+            loadMaxBadRecords: parseInt(process.env.BQ_LOAD_MAX_BAD_RECORDS) || 0,
+            // 'sanitized' (printable ASCII, default) or 'faithful' (exact UTF-8 values)
+            valueMode: process.env.BQ_VALUE_MODE || 'sanitized',
+            // Largest STRING value loaded in faithful mode - streaming inserts reject rows over 10MB
+            maxValueBytes: parseInt(process.env.BQ_MAX_VALUE_BYTES) || 10 * 1024 * 1024
         };
         
         console.log('BigQuery Integration Service initialized - PRESERVE CASE VERSION');
@@ -32,11 +46,16 @@ class BigQueryIntegrationService {
     /**
      * Clean data value for BigQuery compatibility
      */
-    cleanDataValue(value, fieldName) {
+    cleanDataValue(value, fieldName, valueMode = 'sanitized') {
         if (value === null || value === undefined) {
             return null;
         }
 
+        // Faithful mode keeps the exact value; escaping happens when the row is built
+        if (valueMode === 'faithful') {
+            return String(value);
+        }
+
         let cleanValue = String(value).trim();
         
         if (cleanValue.length > 50000) {
@@ -134,103 +153,88 @@ class BigQueryIntegrationService {
 
     /**
      * FIXED: Create temp table preserving original field names + batch processing
+     * `records` is an array or a function returning a fresh (async) iterable of records.
+     * Records are streamed twice - once to build the schema, once to insert - so
+     * memory use stays bounded regardless of file size.
+     * options.loadMethod: 'load-job' (default) or 'streaming' (insertAll fallback).
+     * options.fieldTypes: per-field type overrides for the inferred schema ({ field: 'INT64' }).
+     * options.valueMode: 'sanitized' (printable ASCII, trimmed) or 'faithful' (exact UTF-8 values).
+     * options.flattener: Flattener used for nested objects (default preset when omitted).
+     * options.sourceSchema: schema skeleton from a Parquet/Avro file - its column types win over inference.
      */
-    async createTempTableFromJSON(jsonData, tableId, primaryKeyForVerification = null) {
+    async createTempTableFromJSON(records, tableId, primaryKeyForVerification = null, options = {}) {
         try {
-            console.log(`FIXED: Creating temp table with PRESERVED CASE + BATCH PROCESSING`);
-            console.log(`Input verification: ${jsonData.length} records to process`);
-            
-            // Verify input data integrity
-            let inputPrimaryKeys = [];
-            let uniqueInputIds = [];
-            
-            if (primaryKeyForVerification && primaryKeyForVerification !== 'undefined') {
-                inputPrimaryKeys = jsonData.map(r => r[primaryKeyForVerification]).filter(id => id);
-                uniqueInputIds = [...new Set(inputPrimaryKeys)];
-                
-                console.log(`INPUT VERIFICATION (using ${primaryKeyForVerification}):`);
-                console.log(`   Total input records: ${jsonData.length}`);
-                console.log(`   Records with ${primaryKeyForVerification}: ${inputPrimaryKeys.length}`);
-                console.log(`   Unique ${primaryKeyForVerification} values: ${uniqueInputIds.length}`);
-                console.log(`   Sample IDs: [${uniqueInputIds.slice(0, 5).join(', ')}...]`);
-            }
-            
-            await this.initializeTempDataset();
+            const loadMethod = this.resolveLoadMethod(options.loadMethod);
+            const valueMode = this.resolveValueMode(options.valueMode);
+            const flattener = options.flattener || new Flattener();
+            console.log(`FIXED: Creating temp table with PRESERVED CASE + ${loadMethod === 'streaming' ? 'STREAMING INSERTS' : 'LOAD JOB'}`);
             
-            const timestamp = Date.now();
-            const randomSuffix = Math.floor(Math.random() * 1000);
-            const tempTableName = `${this.config.tempTablePrefix}${tableId}_${timestamp}_${randomSuffix}`;
-            const fullTableId = `${process.env.GOOGLE_CLOUD_PROJECT_ID}.${this.config.tempDataset}.${tempTableName}`;
-            
-            console.log(`Using timestamped temp table: ${fullTableId}`);
+            const readRecords = typeof records === 'function' ? records : () => records;
+            // One key column or several (composite key) - a record has a key when every column has a value
+            const keyColumns = CompositeKey.parse(primaryKeyForVerification);
+            const hasPrimaryKey = keyColumns.length > 0;
+            const keyLabel = CompositeKey.label(keyColumns);
+            const inferrer = new SchemaInferrer({
+                fieldTypes: options.fieldTypes,
+                sourceTypes: this.sourceColumnTypes(options.sourceSchema, flattener)
+            });
+            const valueChanges = valueMode === 'faithful' ? this.createValueChangeReport() : null;
             
-            const dataset = this.bigquery.dataset(this.config.tempDataset);
-            const table = dataset.table(tempTableName);
+            // PASS 1: Collect schema fields, infer column types and verify input data integrity
+            console.log(`PASS 1: Scanning records for schema, column types and input verification...`);
             
-            // Process data with PRESERVED field names
-            console.log(`Processing data with PRESERVED field names...`);
+            const allFields = new Set();
+            let inputCount = 0;
+            let recordsWithPrimaryKey = 0;
             
-            const processedData = jsonData.map((record, index) => {
-                const processed = {};
-                
-                const flattenObject = (obj, prefix = '') => {
-                    for (const [key, value] of Object.entries(obj)) {
-                        // FIXED: Use cleanFieldName but preserve case for simple fields
-                        let cleanKey;
-                        if (prefix === '' && /^[a-zA-Z][a-zA-Z0-9_]*$/.test(key)) {
-                            // Simple field name - preserve original case
-                            cleanKey = key;
-                        } else {
-                            // Complex field name - clean but try to preserve case
-                            cleanKey = this.cleanFieldName(prefix ? `${prefix}_${key}` : key);
-                        }
-                        
-                        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
-                            if (value.display_value !== undefined || value.link !== undefined || value.value !== undefined) {
-                                if (value.display_value !== undefined && value.display_value !== null) {
-                                    processed[`${cleanKey}_display_value`] = this.cleanDataValue(value.display_value, `${cleanKey}_display_value`);
-                                }
-                                if (value.link !== undefined && value.link !== null) {
-                                    processed[`${cleanKey}_link`] = this.cleanDataValue(value.link, `${cleanKey}_link`);
-                                }
-                                if (value.value !== undefined && value.value !== null) {
-                                    processed[`${cleanKey}_value`] = this.cleanDataValue(value.value, `${cleanKey}_value`);
-                                }
-                            } else {
-                                if (prefix.split('_').length < 2) {
-                                    flattenObject(value, cleanKey);
-                                } else {
-                                    processed[cleanKey] = this.cleanDataValue(JSON.stringify(value), cleanKey);
-                                }
-                            }
-                        } else if (Array.isArray(value)) {
-                            processed[cleanKey] = this.cleanDataValue(JSON.stringify(value), cleanKey);
-                        } else {
-                            processed[cleanKey] = this.cleanDataValue(value, cleanKey);
-                        }
-                    }
-                };
+            for await (const record of readRecords()) {
+                const processed = this.processRecord(record, valueMode, flattener);
+                Object.keys(processed).forEach(key => {
+                    allFields.add(key);
+                    inferrer.observe(key, this.cleanInsertionValue(processed[key], valueMode));
+                });
                 
-                flattenObject(record);
+                if (hasPrimaryKey && keyColumns.every(column => processed[column])) {
+                    recordsWithPrimaryKey++;
+                }
                 
-                if (index === 0) {
+                if (inputCount === 0) {
                     console.log(`Processing verification (first record):`);
                     console.log(`   Original fields: ${Object.keys(record).length}`);
                     console.log(`   Processed fields: ${Object.keys(processed).length}`);
                     console.log(`   Original field names: [${Object.keys(record).slice(0, 5).join(', ')}]`);
                     console.log(`   Processed field names: [${Object.keys(processed).slice(0, 5).join(', ')}]`);
                     
-                    if (primaryKeyForVerification) {
-                        console.log(`   ${primaryKeyForVerification}: ${processed[primaryKeyForVerification] || 'NOT FOUND'}`);
+                    if (hasPrimaryKey) {
+                        console.log(`   ${keyLabel}: ${keyColumns.map(column => processed[column] || 'NOT FOUND').join(', ')}`);
                     }
                 }
                 
-                return processed;
-            });
+                inputCount++;
+            }
             
-            console.log(`Data processing complete: ${processedData.length} records processed`);
+            console.log(`Input verification: ${inputCount} records scanned`);
+            if (hasPrimaryKey) {
+                console.log(`   Records with ${keyLabel}: ${recordsWithPrimaryKey}`);
+            }
+            
+            if (inputCount === 0) {
+                throw new Error('No valid records found in file');
+            }
+            
+            await this.initializeTempDataset();
+            
+            const timestamp = Date.now();
+            const randomSuffix = Math.floor(Math.random() * 1000);
+            const tempTableName = `${this.config.tempTablePrefix}${tableId}_${timestamp}_${randomSuffix}`;
+            const fullTableId = `${process.env.GOOGLE_CLOUD_PROJECT_ID}.${this.config.tempDataset}.${tempTableName}`;
+            
+            console.log(`Using timestamped temp table: ${fullTableId}`);
+            
+            const dataset = this.bigquery.dataset(this.config.tempDataset);
+            const table = dataset.table(tempTableName);
 
-            const schema = this.generateCompleteSchemaFromProcessedData(processedData);
+            const schema = this.generateCompleteSchemaFromFields(allFields, inferrer);
             console.log(`Schema generated: ${schema.length} fields`);
             console.log(`Schema field names: [${schema.slice(0, 10).map(f => f.name).join(', ')}]`);
 
@@ -241,89 +245,28 @@ class BigQueryIntegrationService {
             });
             
             console.log(`Fresh temp table created successfully`);
-            console.log(`Waiting for BigQuery to initialize the table...`);
-            await new Promise(resolve => setTimeout(resolve, 10000));
-            
-            const insertionData = processedData.map(record => {
-                const cleanRecord = {};
-                schema.forEach(field => {
-                    const fieldName = field.name;
-                    if (record.hasOwnProperty(fieldName)) {
-                        const value = record[fieldName];
-                        if (value === null || value === undefined || value === '') {
-                            cleanRecord[fieldName] = null;
-                        } else {
-                            cleanRecord[fieldName] = String(value)
-                                .replace(/[^\x20-\x7E\s]/g, '')
-                                .trim()
-                                .substring(0, 10000) || null;
-                        }
-                    } else {
-                        cleanRecord[fieldName] = null;
-                    }
-                });
-                return cleanRecord;
-            });
             
-            // Batch processing for large files
-            const totalRecords = insertionData.length;
-            const batchSize = this.config.maxBatchSize;
+            // PASS 2: Stream records again into the table
+            const buildRow = (record, rowNumber) => this.buildInsertionRow(
+                this.processRecord(record, valueMode, flattener), schema, { inferrer, rowNumber, valueMode, valueChanges });
+            const loadResult = loadMethod === 'streaming' ?
+                await this.insertRecordsWithStreaming(table, readRecords, schema, inputCount, buildRow) :
+                await this.loadRecordsWithLoadJob(table, readRecords, schema, buildRow);
             
-            if (totalRecords > batchSize) {
-                console.log(`LARGE FILE DETECTED: ${totalRecords} records > ${batchSize} batch limit`);
-                console.log(`BATCH PROCESSING: Breaking into ${Math.ceil(totalRecords / batchSize)} batches`);
-                
-                let totalInserted = 0;
-                const batches = Math.ceil(totalRecords / batchSize);
-                
-                for (let i = 0; i < batches; i++) {
-                    const start = i * batchSize;
-                    const end = Math.min(start + batchSize, totalRecords);
-                    const batch = insertionData.slice(start, end);
-                    
-                    console.log(`BATCH ${i + 1}/${batches}: Inserting records ${start + 1}-${end} (${batch.length} records)`);
-                    
-                    try {
-                        const insertStartTime = Date.now();
-                        await table.insert(batch);
-                        const insertDuration = Date.now() - insertStartTime;
-                        
-                        totalInserted += batch.length;
-                        console.log(`Batch ${i + 1} completed in ${insertDuration}ms (${totalInserted}/${totalRecords} total)`);
-                        
-                        if (i < batches - 1) {
-                            await new Promise(resolve => setTimeout(resolve, 1000));
-                        }
-                        
-                    } catch (batchError) {
-                        console.error(`Batch ${i + 1} failed:`, batchError.message);
-                        throw new Error(`BATCH INSERT FAILED at batch ${i + 1}: ${batchError.message}`);
-                    }
-                }
-                
-                console.log(`BATCH PROCESSING COMPLETED: ${totalInserted} total records inserted in ${batches} batches`);
-                
-            } else {
-                console.log(`STANDARD PROCESSING: ${totalRecords} records <= ${batchSize} batch limit`);
-                
-                try {
-                    const insertStartTime = Date.now();
-                    console.log(`Starting SINGLE ATOMIC INSERT at ${new Date().toISOString()}`);
-                    
-                    await table.insert(insertionData);
-                    
-                    const insertDuration = Date.now() - insertStartTime;
-                    console.log(`SINGLE ATOMIC INSERT COMPLETED in ${insertDuration}ms`);
-                    
-                } catch (insertError) {
-                    console.error(`SINGLE ATOMIC INSERT FAILED:`, insertError.message);
-                    throw new Error(`INSERT FAILED: ${insertError.message}`);
-                }
+            const coercionFailures = inferrer.getCoercionReport();
+            if (coercionFailures.totalFailures > 0) {
+                console.warn(`TYPE COERCION: ${coercionFailures.totalFailures} values did not fit their column type and were loaded as NULL`);
+            }
+            if (valueChanges && valueChanges.totalChangedValues > 0) {
+                console.warn(`FAITHFUL MODE: ${valueChanges.totalChangedValues} values had to be escaped or truncated in ${Object.keys(valueChanges.fields).length} fields`);
             }
             
             // Verification with preserved field names
             console.log(`VERIFICATION: Using preserved field names...`);
-            await new Promise(resolve => setTimeout(resolve, 6000));
+            if (loadMethod === 'streaming') {
+                // Streamed rows can take a few seconds to show up in queries
+                await new Promise(resolve => setTimeout(resolve, 6000));
+            }
             
             try {
                 const basicVerificationQueries = [
@@ -334,16 +277,18 @@ class BigQueryIntegrationService {
                 ];
                 
                 // Only add primary key specific queries if we have a valid primary key
-                if (primaryKeyForVerification && primaryKeyForVerification !== 'undefined') {
-                    // Use original field name (preserved case)
+                if (hasPrimaryKey) {
+                    // Use original field names (preserved case)
+                    const keyPresent = CompositeKey.notNullCondition(keyColumns);
+                    const keyValue = keyColumns.length === 1 ? keyColumns[0] : `IF(${keyPresent}, ${CompositeKey.tupleExpression(keyColumns)}, NULL)`;
                     basicVerificationQueries.push(
                         {
-                            name: `Unique ${primaryKeyForVerification} Count`,
-                            query: `SELECT COUNT(DISTINCT ${primaryKeyForVerification}) as count FROM \`${fullTableId}\``
+                            name: `Unique ${keyLabel} Count`,
+                            query: `SELECT COUNT(DISTINCT ${keyValue}) as count FROM \`${fullTableId}\``
                         },
                         {
-                            name: `Non-null ${primaryKeyForVerification} Count`, 
-                            query: `SELECT COUNT(*) as count FROM \`${fullTableId}\` WHERE ${primaryKeyForVerification} IS NOT NULL`
+                            name: `Non-null ${keyLabel} Count`, 
+                            query: `SELECT COUNT(*) as count FROM \`${fullTableId}\` WHERE ${keyPresent}`
                         }
                     );
                 }
@@ -363,12 +308,12 @@ class BigQueryIntegrationService {
                 }
                 
                 const finalCount = parseInt(verificationResults['Total Count'][0]?.count || 0);
-                const uniqueCount = primaryKeyForVerification ? 
-                    parseInt(verificationResults[`Unique ${primaryKeyForVerification} Count`]?.[0]?.count || 0) : 
+                const uniqueCount = hasPrimaryKey ? 
+                    parseInt(verificationResults[`Unique ${keyLabel} Count`]?.[0]?.count || 0) : 
                     'N/A';
                 
                 console.log(`VERIFICATION RESULTS:`);
-                console.log(`   Original JSON records: ${jsonData.length}`);
+                console.log(`   Input records: ${inputCount}`);
                 console.log(`   Records in temp table: ${finalCount}`);
                 console.log(`   Unique primary key values: ${uniqueCount}`);
                 
@@ -376,8 +321,8 @@ class BigQueryIntegrationService {
                     throw new Error('ZERO RECORDS: No records were successfully inserted into temp table');
                 }
                 
-                if (finalCount > jsonData.length) {
-                    throw new Error(`DUPLICATION ERROR: Expected ${jsonData.length} records, found ${finalCount}`);
+                if (finalCount > inputCount) {
+                    throw new Error(`DUPLICATION ERROR: Expected ${inputCount} records, found ${finalCount}`);
                 }
                 
                 console.log(`VERIFICATION PASSED: Records processed successfully with preserved field names`);
@@ -387,22 +332,26 @@ class BigQueryIntegrationService {
                     message: 'SUCCESS: Temp table created with preserved field names + batch processing',
                     tempTableId: fullTableId,
                     tempTableName: tempTableName,
-                    inputRecords: jsonData.length,
+                    inputRecords: inputCount,
                     recordsInTable: finalCount,
-                    uniqueIdsInput: uniqueInputIds.length,
+                    recordsWithPrimaryKey: hasPrimaryKey ? recordsWithPrimaryKey : 'N/A',
                     uniqueIdsInTable: uniqueCount !== 'N/A' ? uniqueCount : 'Unknown',
-                    recordCountMatch: finalCount === jsonData.length,
-                    uniqueCountMatch: uniqueCount !== 'N/A' ? uniqueCount === uniqueInputIds.length : true,
+                    recordCountMatch: finalCount === inputCount,
                     verification: verificationResults,
                     fieldsProcessed: schema.length,
-                    approach: totalRecords > batchSize ? `batch-processing-${Math.ceil(totalRecords / batchSize)}-batches` : 'single-insert',
-                    batchInfo: totalRecords > batchSize ? {
-                        totalBatches: Math.ceil(totalRecords / batchSize),
-                        batchSize: batchSize,
-                        largeFileHandling: true
-                    } : null,
+                    flattening: flattener.describe(),
+                    inferredSchema: inferrer.describeSchema(schema),
+                    coercionFailures: coercionFailures,
+                    valueMode: valueMode,
+                    valueChanges: valueChanges,
+                    loadMethod: loadMethod,
+                    rowsLoaded: loadResult.rowsLoaded,
+                    rowsRejected: loadResult.rowsRejected,
+                    loadJob: loadResult.job || null,
+                    approach: loadResult.approach,
+                    batchInfo: loadResult.batchInfo || null,
                     expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-                    fixes: ['Preserved original field names for proper matching', 'Batch processing for large files', 'Dynamic table support']
+                    fixes: ['Preserved original field names for proper matching', 'Load jobs for large files (streaming inserts as fallback)', 'Dynamic table support']
                 };
                 
             } catch (verifyError) {
@@ -416,6 +365,346 @@ class BigQueryIntegrationService {
         }
     }
 
+    /**
+     * Resolve the load method from a request option or BQ_LOAD_METHOD
+     */
+    resolveLoadMethod(requested) {
+        const loadMethod = String(requested || this.config.loadMethod).toLowerCase();
+        if (!['load-job', 'streaming'].includes(loadMethod)) {
+            throw new Error(`Unknown load method '${requested}' - use 'load-job' or 'streaming'`);
+        }
+        return loadMethod;
+    }
+
+    /**
+     * Write records as NDJSON into a BigQuery load job and wait for it to finish
+     */
+    async loadRecordsWithLoadJob(table, readRecords, schema, buildRow) {
+        const batchSize = this.config.maxBatchSize;
+        let loadJob = null;
+        
+        // NDJSON is produced in chunks of batchSize lines so only one chunk is in memory
+        async function* ndjsonChunks() {
+            let lines = [];
+            let rowNumber = 0;
+            for await (const record of readRecords()) {
+                rowNumber++;
+                lines.push(JSON.stringify(buildRow(record, rowNumber)));
+                if (lines.length >= batchSize) {
+                    yield lines.join('\n') + '\n';
+                    lines = [];
+                }
+            }
+            if (lines.length > 0) {
+                yield lines.join('\n') + '\n';
+            }
+        }
+        
+        const writeStream = table.createWriteStream({
+            sourceFormat: 'NEWLINE_DELIMITED_JSON',
+            schema: { fields: schema },
+            writeDisposition: 'WRITE_APPEND',
+            maxBadRecords: this.config.loadMaxBadRecords
+        });
+        writeStream.on('job', job => {
+            loadJob = job;
+            console.log(`LOAD JOB started: ${job.id}`);
+        });
+        
+        const loadStartTime = Date.now();
+        try {
+            // Resolves once the upload is finished AND the load job has completed
+            await pipeline(Readable.from(ndjsonChunks()), writeStream);
+        } catch (loadError) {
+            const jobErrors = loadError.errors ? loadError.errors.slice(0, 5).map(e => e.message).join('; ') : '';
+            console.error(`LOAD JOB FAILED:`, loadError.message);
+            throw new Error(`LOAD JOB FAILED${loadJob ? ` (${loadJob.id})` : ''}: ${loadError.message}${jobErrors ? ` - ${jobErrors}` : ''}`);
+        }
+        
+        const [metadata] = await loadJob.getMetadata();
+        const loadStats = (metadata.statistics && metadata.statistics.load) || {};
+        const rowsLoaded = parseInt(loadStats.outputRows || 0);
+        const rowsRejected = parseInt(loadStats.badRecords || 0);
+        const rejectionErrors = ((metadata.status && metadata.status.errors) || []).slice(0, 20).map(e => e.message);
+        
+        console.log(`LOAD JOB COMPLETED in ${Date.now() - loadStartTime}ms: ${rowsLoaded} rows loaded, ${rowsRejected} rows rejected`);
+        if (rejectionErrors.length > 0) {
+            console.warn(`Load job rejection details: ${rejectionErrors.slice(0, 3).join('; ')}`);
+        }
+        
+        return {
+            approach: 'load-job',
+            rowsLoaded: rowsLoaded,
+            rowsRejected: rowsRejected,
+            job: {
+                jobId: loadJob.id,
+                inputBytes: parseInt(loadStats.inputFileBytes || 0),
+                durationMs: Date.now() - loadStartTime,
+                maxBadRecords: this.config.loadMaxBadRecords,
+                rejectionErrors: rejectionErrors
+            }
+        };
+    }
+
+    /**
+     * FALLBACK: Stream records with insertAll in batches (subject to streaming quotas)
+     */
+    async insertRecordsWithStreaming(table, readRecords, schema, inputCount, buildRow) {
+        console.log(`Waiting for BigQuery to initialize the table...`);
+        await new Promise(resolve => setTimeout(resolve, 10000));
+        
+        const batchSize = this.config.maxBatchSize;
+        const totalBatches = Math.ceil(inputCount / batchSize);
+        
+        if (totalBatches > 1) {
+            console.log(`LARGE FILE DETECTED: ${inputCount} records > ${batchSize} batch limit`);
+            console.log(`BATCH PROCESSING: Breaking into ${totalBatches} batches`);
+        } else {
+            console.log(`STANDARD PROCESSING: ${inputCount} records <= ${batchSize} batch limit`);
+        }
+        
+        let totalInserted = 0;
+        let batchNumber = 0;
+        let batch = [];
+        
+        const insertBatch = async () => {
+            batchNumber++;
+            
+            if (batchNumber > 1) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+            
+            console.log(`BATCH ${batchNumber}/${totalBatches}: Inserting records ${totalInserted + 1}-${totalInserted + batch.length} (${batch.length} records)`);
+            
+            try {
+                const insertStartTime = Date.now();
+                await table.insert(batch);
+                const insertDuration = Date.now() - insertStartTime;
+                
+                totalInserted += batch.length;
+                console.log(`Batch ${batchNumber} completed in ${insertDuration}ms (${totalInserted}/${inputCount} total)`);
+                batch = [];
+                
+            } catch (batchError) {
+                console.error(`Batch ${batchNumber} failed:`, batchError.message);
+                throw new Error(`BATCH INSERT FAILED at batch ${batchNumber}: ${batchError.message}`);
+            }
+        };
+        
+        // insertAll expects JSON columns as JSON-formatted strings
+        const jsonFields = schema.filter(field => field.type === 'JSON').map(field => field.name);
+        let rowNumber = 0;
+        
+        for await (const record of readRecords()) {
+            rowNumber++;
+            const row = buildRow(record, rowNumber);
+            jsonFields.forEach(fieldName => {
+                if (row[fieldName] !== null) row[fieldName] = JSON.stringify(row[fieldName]);
+            });
+            batch.push(row);
+            
+            if (batch.length >= batchSize) {
+                await insertBatch();
+            }
+        }
+        
+        if (batch.length > 0) {
+            await insertBatch();
+        }
+        
+        console.log(`BATCH PROCESSING COMPLETED: ${totalInserted} total records inserted in ${batchNumber} batches`);
+        
+        return {
+            approach: totalBatches > 1 ? `batch-processing-${totalBatches}-batches` : 'single-insert',
+            rowsLoaded: totalInserted,
+            rowsRejected: 0,
+            batchInfo: totalBatches > 1 ? {
+                totalBatches: totalBatches,
+                batchSize: batchSize,
+                largeFileHandling: true
+            } : null
+        };
+    }
+
+    /**
+     * Flatten one record for insertion, preserving original field names where possible
+     */
+    processRecord(record, valueMode = 'sanitized', flattener = null) {
+        const processed = {};
+        const flattened = (flattener || new Flattener()).flatten(record);
+        
+        for (const [key, value] of Object.entries(flattened)) {
+            // FIXED: Simple field names keep their original case, others are cleaned (case preserved)
+            const cleanKey = /^[a-zA-Z][a-zA-Z0-9_]*$/.test(key) ? key : this.cleanFieldName(key);
+            processed[cleanKey] = this.cleanDataValue(value, cleanKey, valueMode);
+        }
+        
+        return processed;
+    }
+
+    /**
+     * Column types declared by a file schema, keyed by the column names records flatten to.
+     * The skeleton (a record whose leaves are type names) goes through the same flattener;
+     * columns that end up as JSON text (arrays, depth limit) are left to inference.
+     */
+    sourceColumnTypes(sourceSchema, flattener) {
+        if (!sourceSchema) {
+            return {};
+        }
+
+        const sourceTypes = {};
+        const processed = this.processRecord(sourceSchema.skeleton || sourceSchema, 'faithful', flattener);
+        for (const [column, type] of Object.entries(processed)) {
+            if (SchemaInferrer.SUPPORTED_TYPES.includes(type)) {
+                sourceTypes[column] = type;
+            }
+        }
+        return sourceTypes;
+    }
+
+    /**
+     * Clean a value for insertion - printable ASCII only, trimmed, NULL when empty.
+     * Faithful mode keeps the value exactly as it is in the file.
+     */
+    cleanInsertionValue(value, valueMode = 'sanitized') {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (valueMode === 'faithful') {
+            return String(value);
+        }
+        if (value === '') {
+            return null;
+        }
+        return String(value)
+            .replace(/[^\x20-\x7E\s]/g, '')
+            .trim() || null;
+    }
+
+    /**
+     * Build the row sent to BigQuery with exactly the schema's columns.
+     * context: { inferrer, rowNumber, valueMode, valueChanges }
+     * Typed columns are coerced via the inferrer; values that do not fit are NULL and reported.
+     */
+    buildInsertionRow(record, schema, context = {}) {
+        const { inferrer = null, rowNumber = null, valueMode = 'sanitized', valueChanges = null } = context;
+        const cleanRecord = {};
+        schema.forEach(field => {
+            const fieldName = field.name;
+            const value = record.hasOwnProperty(fieldName) ? this.cleanInsertionValue(record[fieldName], valueMode) : null;
+            
+            if (value === null) {
+                cleanRecord[fieldName] = null;
+            } else if (!inferrer || field.type === 'STRING') {
+                cleanRecord[fieldName] = valueMode === 'faithful' ?
+                    this.escapeFaithfulValue(value, fieldName, rowNumber, valueChanges) :
+                    value.substring(0, 10000);
+            } else if (valueMode === 'faithful' && value === '') {
+                // Empty strings have no typed representation
+                cleanRecord[fieldName] = null;
+                if (valueChanges) {
+                    this.recordValueChange(valueChanges, rowNumber, fieldName, [`empty-string-loaded-as-null-${field.type}`], value, null);
+                }
+            } else {
+                const coerced = inferrer.coerce(value, field.type);
+                if (coerced.error) {
+                    inferrer.recordFailure(rowNumber, fieldName, value, field.type, coerced.error);
+                    cleanRecord[fieldName] = null;
+                } else {
+                    cleanRecord[fieldName] = coerced.value;
+                }
+            }
+        });
+        return cleanRecord;
+    }
+
+    /**
+     * Resolve the value mode from a request option or BQ_VALUE_MODE
+     */
+    resolveValueMode(requested) {
+        const valueMode = String(requested || this.config.valueMode).toLowerCase();
+        if (!['sanitized', 'faithful'].includes(valueMode)) {
+            throw new Error(`Unknown value mode '${requested}' - use 'sanitized' or 'faithful'`);
+        }
+        return valueMode;
+    }
+
+    /**
+     * FAITHFUL MODE: keep the exact UTF-8 value and only escape what BigQuery rejects -
+     * NUL characters, unpaired UTF-16 surrogates (not valid UTF-8) and values over the size limit.
+     */
+    escapeFaithfulValue(value, fieldName, rowNumber, valueChanges) {
+        const reasons = [];
+        let escaped = value;
+        
+        if (escaped.includes('\u0000')) {
+            escaped = escaped.replace(/\u0000/g, '');
+            reasons.push('nul-character-removed');
+        }
+        
+        if (/[\uD800-\uDFFF]/.test(escaped)) {
+            const repaired = escaped.replace(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '\uFFFD');
+            if (repaired !== escaped) {
+                escaped = repaired;
+                reasons.push('unpaired-surrogate-replaced');
+            }
+        }
+        
+        const maxBytes = this.config.maxValueBytes;
+        if (Buffer.byteLength(escaped, 'utf8') > maxBytes) {
+            // Cut on a character boundary - a partial UTF-8 sequence decodes to U+FFFD and is dropped
+            escaped = Buffer.from(escaped, 'utf8').subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '');
+            reasons.push(`truncated-to-${maxBytes}-bytes`);
+        }
+        
+        if (reasons.length > 0 && valueChanges) {
+            this.recordValueChange(valueChanges, rowNumber, fieldName, reasons, value, escaped);
+        }
+        
+        return escaped;
+    }
+
+    createValueChangeReport() {
+        return {
+            totalChangedValues: 0,
+            totalTruncatedValues: 0,
+            fields: {},
+            samples: []
+        };
+    }
+
+    /**
+     * Track a value that was changed on its way into the temp table (every field is listed);
+     * loadedValue is null for a value loaded as NULL
+     */
+    recordValueChange(report, rowNumber, fieldName, reasons, originalValue, loadedValue) {
+        const truncated = reasons.some(reason => reason.startsWith('truncated'));
+        
+        report.totalChangedValues++;
+        if (truncated) report.totalTruncatedValues++;
+        
+        if (!report.fields[fieldName]) {
+            report.fields[fieldName] = { changedValues: 0, truncatedValues: 0, reasons: {}, firstRow: rowNumber };
+        }
+        const fieldReport = report.fields[fieldName];
+        fieldReport.changedValues++;
+        if (truncated) fieldReport.truncatedValues++;
+        reasons.forEach(reason => {
+            fieldReport.reasons[reason] = (fieldReport.reasons[reason] || 0) + 1;
+        });
+        
+        if (report.samples.length < 100) {
+            report.samples.push({
+                row: rowNumber,
+                field: fieldName,
+                reasons: reasons,
+                originalLength: originalValue.length,
+                loadedLength: loadedValue === null ? null : loadedValue.length,
+                originalPreview: originalValue.substring(0, 100)
+            });
+        }
+    }
+
     generateCompleteSchemaFromProcessedData(processedData) {
         const allFields = new Set();
         
@@ -425,15 +714,20 @@ class BigQueryIntegrationService {
             });
         });
         
+        return this.generateCompleteSchemaFromFields(allFields);
+    }
+
+    generateCompleteSchemaFromFields(allFields, inferrer = null) {
         const schema = Array.from(allFields).sort().map(fieldName => {
             return {
                 name: fieldName,  // Preserve original case
-                type: 'STRING',
+                type: inferrer ? inferrer.getFieldType(fieldName) : 'STRING',
                 mode: 'NULLABLE'
             };
         });
         
         console.log(`Complete schema: ${schema.length} fields with preserved names`);
+        console.log(`Typed fields: [${schema.filter(f => f.type !== 'STRING').slice(0, 10).map(f => `${f.name}:${f.type}`).join(', ')}]`);
         
         // Show potential key fields
         const potentialKeys = schema.filter(f => 
@@ -447,6 +741,83 @@ class BigQueryIntegrationService {
         return schema;
     }
 
+    async tempTableExists(tempTableName) {
+        const [exists] = await this.bigquery.dataset(this.config.tempDataset).table(tempTableName).exists();
+        return exists;
+    }
+
+    /**
+     * Delete every json_temp_ table built from a file: the given (linked) tables plus any
+     * table named after the file ID, except keepTables (still linked to other files).
+     * Returns { deletedTables, errors }.
+     */
+    async deleteTempTablesForFile(fileId, tableNames = [], keepTables = []) {
+        const dataset = this.bigquery.dataset(this.config.tempDataset);
+        const names = new Set(tableNames);
+        const deletedTables = [];
+        const errors = [];
+
+        try {
+            const [tables] = await dataset.getTables();
+            tables
+                .filter(table => table.id.startsWith(`${this.config.tempTablePrefix}${fileId}`) && !keepTables.includes(table.id))
+                .forEach(table => names.add(table.id));
+        } catch (listError) {
+            console.error(`Failed to list tables:`, listError.message);
+            errors.push(`Failed to list tables: ${listError.message}`);
+        }
+
+        console.log(`Found ${names.size} temp tables to clean up for file ${fileId}`);
+
+        for (const tableName of names) {
+            try {
+                const table = dataset.table(tableName);
+                const [exists] = await table.exists();
+                if (exists) {
+                    await table.delete();
+                    deletedTables.push(tableName);
+                    console.log(`Deleted table: ${tableName}`);
+                }
+            } catch (deleteError) {
+                errors.push(`Failed to delete ${tableName}: ${deleteError.message}`);
+                console.error(`Failed to delete ${tableName}:`, deleteError.message);
+            }
+        }
+
+        return { deletedTables, errors };
+    }
+
+    /**
+     * View over a target table that exposes its columns under the source's names (see ColumnMap),
+     * kept in the temp dataset for a day. The same table and map always give the same view.
+     * Returns { viewId, columns, shadowedColumns }.
+     */
+    async createMappedTargetView(targetTable, columnMap) {
+        const [project, dataset, table] = targetTable.split('.');
+        const [columns] = await this.bigquery.query(`
+            SELECT column_name
+            FROM \`${project}\`.${dataset}.INFORMATION_SCHEMA.COLUMNS
+            WHERE table_name = '${table}'
+            ORDER BY ordinal_position
+        `);
+        if (columns.length === 0) {
+            throw new Error(`Column map: target table ${targetTable} not found or has no columns`);
+        }
+
+        const { query, shadowedColumns } = columnMap.viewQuery(targetTable, columns.map(row => row.column_name));
+        const viewName = `target_map_${crypto.createHash('sha1').update(query).digest('hex').substring(0, 16)}`;
+        const viewId = `${process.env.GOOGLE_CLOUD_PROJECT_ID}.${this.config.tempDataset}.${viewName}`;
+
+        await this.bigquery.query(`
+            CREATE OR REPLACE VIEW \`${viewId}\`
+            OPTIONS(expiration_timestamp = TIMESTAMP_ADD(CURRENT_TIMESTAMP(), INTERVAL 24 HOUR))
+            AS ${query}
+        `);
+        console.log(`Mapped target view ${viewName} over ${targetTable}: ${Object.keys(columnMap.columns).length} columns renamed`);
+
+        return { viewId: viewId, columns: columnMap.columns, shadowedColumns: shadowedColumns };
+    }
+
     async cleanupTempTable(tempTableName) {
         try {
             console.log(`Cleaning up temp table: ${tempTableName}`);
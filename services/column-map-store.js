@@ -0,0 +1,47 @@
+// services/column-map-store.js - Column maps saved per source/target pair
+const path = require('path');
+const JsonFileStore = require('./json-file-store');
+const ColumnMap = require('./column-map');
+
+const COLUMN_MAPS_PATH = process.env.COLUMN_MAPS_PATH || path.join(__dirname, '..', 'presets', 'column-maps.json');
+
+/**
+ * Column maps keyed by "source -> target" (see ColumnMap.pairName). The source is the upload's
+ * file or dataset name, or "<dbType>:<database>.<table>" for database comparisons.
+ */
+class ColumnMapStore extends JsonFileStore {
+    constructor(storePath = COLUMN_MAPS_PATH) {
+        super(storePath, 'Column map');
+    }
+
+    list() {
+        return Object.values(this.readEntries())
+            .sort((a, b) => a.dataSource.localeCompare(b.dataSource));
+    }
+
+    get(source, target) {
+        return super.get(ColumnMap.pairName(source, target));
+    }
+
+    async save(source, target, columns, savedBy = null) {
+        const entry = await this.put(ColumnMap.pairName(
+            JsonFileStore.normalizeDataSource(source), JsonFileStore.normalizeDataSource(target)
+        ), {
+            source: source.trim(),
+            target: target.trim(),
+            columns: columns,
+            savedBy: savedBy,
+            savedAt: new Date().toISOString()
+        });
+        console.log(`Saved column map for ${entry.dataSource}`);
+        return entry;
+    }
+
+    async removePair(source, target) {
+        return this.remove(ColumnMap.pairName(source, target));
+    }
+}
+
+ColumnMapStore.COLUMN_MAPS_PATH = COLUMN_MAPS_PATH;
+
+module.exports = ColumnMapStore;
@@ -0,0 +1,140 @@
+// services/column-map.js - Source -> target column names for differently named fields
+
+const COLUMN_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Maps source columns to the target columns holding the same data ({ sys_created_on: 'created_at' }).
+ * The target is then read through a view exposing each mapped column under its source name, so key
+ * matching, counts, duplicates and field diffs all see one set of names.
+ */
+class ColumnMap {
+    constructor(columns = {}, options = {}) {
+        if (typeof columns !== 'object' || columns === null || Array.isArray(columns)) {
+            throw new Error('Invalid column map: expected an object of { sourceColumn: targetColumn }');
+        }
+
+        this.columns = {};
+        for (const [sourceColumn, targetColumn] of Object.entries(columns)) {
+            const source = String(sourceColumn).trim();
+            const target = String(targetColumn || '').trim();
+            for (const name of [source, target]) {
+                if (!COLUMN_NAME.test(name)) {
+                    throw new Error(`Invalid column map: '${name}' is not a column name`);
+                }
+            }
+            // Same name on both sides needs no mapping
+            if (source !== target) {
+                this.columns[source] = target;
+            }
+        }
+
+        this.source = options.source || 'request';
+        // Source/target pair the map applies to (the name it is saved under)
+        this.pairSource = options.pairSource || null;
+        this.pairTarget = options.pairTarget || null;
+    }
+
+    /**
+     * Parse a column map: an object, its JSON text, or lines / comma-separated entries of
+     * "source_column = target_column" ("->" and ":" work as separators too)
+     */
+    static parse(value) {
+        if (value === undefined || value === null || value === '') {
+            return {};
+        }
+        if (typeof value === 'object') {
+            return value;
+        }
+
+        const text = String(value).trim();
+        if (text.startsWith('{')) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Invalid column map: ${error.message}`);
+            }
+        }
+
+        return text.split(/[,\n]/).map(entry => entry.trim()).filter(Boolean).reduce((columns, entry) => {
+            const match = entry.match(/^([^=:>\s-]+)\s*(?:=|:|->)\s*(\S+)$/);
+            if (!match) {
+                throw new Error(`Invalid column map entry: '${entry}' (use source_column = target_column)`);
+            }
+            columns[match[1]] = match[2];
+            return columns;
+        }, {});
+    }
+
+    /**
+     * Column map sent with a request (columnMap), validated - empty when none was sent
+     */
+    static fromRequest(source = {}) {
+        return new ColumnMap(ColumnMap.parse(source.columnMap));
+    }
+
+    /**
+     * Name a saved map is kept under: "accounts.jsonl -> project.dataset.accounts"
+     */
+    static pairName(source, target) {
+        return `${String(source || '').trim()} -> ${String(target || '').trim()}`;
+    }
+
+    /**
+     * Map to apply: the one sent with the request, otherwise the one saved for the source/target pair
+     */
+    static resolve({ columnMap, source, target }, store) {
+        const pair = { pairSource: source || null, pairTarget: target || null };
+        if (columnMap && !columnMap.isEmpty()) {
+            return new ColumnMap(columnMap.columns, { source: 'request', ...pair });
+        }
+
+        const saved = source && target ? store.get(source, target) : null;
+        if (saved) {
+            return new ColumnMap(saved.columns, { source: 'saved', ...pair });
+        }
+        return new ColumnMap({}, { source: 'none', ...pair });
+    }
+
+    isEmpty() {
+        return Object.keys(this.columns).length === 0;
+    }
+
+    /**
+     * SELECT over the target exposing each mapped column under its source name. Target columns that
+     * carry a source name themselves are hidden (shadowed) so the view has one column per name.
+     * targetColumns: the target table's column names
+     */
+    viewQuery(targetTable, targetColumns) {
+        const byLowerName = new Map(targetColumns.map(column => [column.toLowerCase(), column]));
+        const missing = Object.values(this.columns).filter(column => !byLowerName.has(column.toLowerCase()));
+        if (missing.length > 0) {
+            throw new Error(`Column map: target column '${missing.join("', '")}' not found in ${targetTable}`);
+        }
+
+        const mappedTargets = Object.values(this.columns).map(column => byLowerName.get(column.toLowerCase()));
+        const shadowedColumns = Object.keys(this.columns)
+            .map(column => byLowerName.get(column.toLowerCase()))
+            .filter(column => column && !mappedTargets.includes(column));
+        const hidden = [...new Set([...mappedTargets, ...shadowedColumns])];
+
+        const selections = [
+            ...(hidden.length < targetColumns.length ? [`* EXCEPT(${hidden.map(column => `\`${column}\``).join(', ')})`] : []),
+            ...Object.entries(this.columns).map(([source, target]) => `\`${byLowerName.get(target.toLowerCase())}\` AS \`${source}\``)
+        ];
+
+        return {
+            query: `SELECT ${selections.join(', ')} FROM \`${targetTable}\``,
+            shadowedColumns: shadowedColumns
+        };
+    }
+
+    describe() {
+        return {
+            source: this.source,
+            pair: this.pairSource && this.pairTarget ? ColumnMap.pairName(this.pairSource, this.pairTarget) : null,
+            columns: this.columns
+        };
+    }
+}
+
+module.exports = ColumnMap;
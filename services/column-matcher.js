@@ -0,0 +1,155 @@
+// services/column-matcher.js - Propose source -> target column mappings for fields named differently
+const Flattener = require('./flattener');
+
+// Suffixes flattening adds to reference objects (ServiceNow "_display_value", "_link", "_value")
+const REFERENCE_SUFFIXES = [...new Set(Object.values(Flattener.PRESETS)
+    .flatMap(preset => preset.referenceKeys.map(key => `${preset.separator}${key}`)))]
+    .sort((a, b) => b.length - a.length);
+
+// Lowest name similarity (1 - edit distance / length) still proposed
+const MIN_NAME_SIMILARITY = 0.75;
+// Value-only proposals need this share of sampled values in common, over at least MIN_VALUE_SAMPLES values
+const MIN_VALUE_OVERLAP = 0.9;
+const MIN_VALUE_SAMPLES = 5;
+// Proposals below this confidence are dropped
+const MIN_CONFIDENCE = 0.4;
+
+/**
+ * Pairs source-only with target-only columns whose names differ only by convention
+ * (accountId / account_id, "Account Name" / account_name), by a flattening suffix or by a
+ * few characters, backed by how many sampled values the two columns share. Each source and
+ * target column is proposed at most once, best confidence first.
+ */
+class ColumnMatcher {
+    /**
+     * 'accountId', 'Account Name', 'account-id' -> 'account_id' style tokens
+     */
+    static normalizeName(name) {
+        return String(name)
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean)
+            .join('_');
+    }
+
+    /**
+     * Normalized name without a reference suffix ('caller_id_display_value' -> 'caller_id')
+     */
+    static stripSuffix(name) {
+        const suffix = REFERENCE_SUFFIXES.find(candidate => name.endsWith(candidate) && name.length > candidate.length);
+        return suffix ? name.substring(0, name.length - suffix.length) : name;
+    }
+
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Name evidence for a pair: { score, reason } or null when the names are unrelated
+     */
+    static compareNames(source, target) {
+        const sourceName = ColumnMatcher.normalizeName(source);
+        const targetName = ColumnMatcher.normalizeName(target);
+
+        if (sourceName === targetName) {
+            return { score: 0.95, reason: 'same name in another naming convention' };
+        }
+        if (ColumnMatcher.stripSuffix(sourceName) === ColumnMatcher.stripSuffix(targetName)) {
+            return { score: 0.8, reason: 'same name apart from a reference suffix' };
+        }
+
+        const longest = Math.max(sourceName.length, targetName.length);
+        const similarity = 1 - ColumnMatcher.editDistance(sourceName, targetName) / longest;
+        if (similarity >= MIN_NAME_SIMILARITY) {
+            return { score: Number((similarity * 0.75).toFixed(2)), reason: `similar name (${Math.round(similarity * 100)}% alike)` };
+        }
+        return null;
+    }
+
+    /**
+     * Share of the smaller sample found in the other, compared as trimmed lower-case text
+     */
+    static valueOverlap(sourceValues, targetValues) {
+        const normalize = values => new Set((values || []).map(value => String(value).trim().toLowerCase()));
+        const source = normalize(sourceValues);
+        const target = normalize(targetValues);
+        const smaller = Math.min(source.size, target.size);
+        if (smaller === 0) {
+            return null;
+        }
+        const shared = [...source].filter(value => target.has(value)).length;
+        return { overlap: shared / smaller, sampled: smaller };
+    }
+
+    /**
+     * Proposals for source-only / target-only columns.
+     * samples (optional): { source: { column: [values] }, target: { column: [values] } }
+     * Returns [{ source, target, confidence, reasons, valueOverlap }], best first.
+     */
+    static suggest(sourceColumns, targetColumns, samples = null) {
+        const candidates = [];
+
+        for (const source of sourceColumns) {
+            for (const target of targetColumns) {
+                const name = ColumnMatcher.compareNames(source, target);
+                const values = samples ?
+                    ColumnMatcher.valueOverlap(samples.source[source], samples.target[target]) : null;
+                const reasons = name ? [name.reason] : [];
+                let confidence = name ? name.score : 0;
+
+                if (values) {
+                    if (name) {
+                        // Shared values only add confidence - separate samples of unique keys need not overlap
+                        confidence = name.score + (1 - name.score) * values.overlap;
+                    } else if (values.overlap >= MIN_VALUE_OVERLAP && values.sampled >= MIN_VALUE_SAMPLES) {
+                        confidence = values.overlap * 0.5;
+                    }
+                    if (values.overlap > 0) {
+                        reasons.push(`${Math.round(values.overlap * 100)}% of ${values.sampled} sampled values shared`);
+                    }
+                }
+
+                if (confidence >= MIN_CONFIDENCE) {
+                    candidates.push({
+                        source: source,
+                        target: target,
+                        confidence: Number(confidence.toFixed(2)),
+                        reasons: reasons,
+                        valueOverlap: values ? Number(values.overlap.toFixed(2)) : null
+                    });
+                }
+            }
+        }
+
+        const usedSources = new Set();
+        const usedTargets = new Set();
+        return candidates
+            .sort((a, b) => b.confidence - a.confidence || a.source.localeCompare(b.source))
+            .filter(candidate => {
+                if (usedSources.has(candidate.source) || usedTargets.has(candidate.target)) {
+                    return false;
+                }
+                usedSources.add(candidate.source);
+                usedTargets.add(candidate.target);
+                return true;
+            });
+    }
+}
+
+ColumnMatcher.REFERENCE_SUFFIXES = REFERENCE_SUFFIXES;
+
+module.exports = ColumnMatcher;
@@ -1,5 +1,26 @@
 // services/comparison-engine.js - FIXED: SQL Ambiguity + Clean Version
 const { BigQuery } = require('@google-cloud/bigquery');
+const { SOURCE_FILE_COLUMN } = require('./dataset-reader');
+const CompositeKey = require('./composite-key');
+const FieldSelection = require('./field-selection');
+const FieldRules = require('./field-rules');
+const FieldTransforms = require('./field-transforms');
+const ColumnMatcher = require('./column-matcher');
+
+// Keys returned per sample page of a key set; whole sets are counted in SQL and streamed on download
+const KEY_PAGE_SIZE = parseInt(process.env.KEY_SAMPLE_PAGE_SIZE) || 100;
+const MAX_KEY_PAGE_SIZE = 10000;
+const KEY_SETS = ['matched', 'source-only', 'target-only'];
+// Records of a full reconciliation export: keys missing from the target, extra in the target, matched with differences
+const RECORD_STATUSES = ['missing', 'extra', 'mismatched'];
+// Mismatching rows kept per column in the comparison results; the rest are paged
+const SAMPLE_DIFFERENCES = 3;
+// Value sampling behind column mapping suggestions: rows read per table, distinct values kept per column
+const MAPPING_SAMPLE_ROWS = 1000;
+const MAPPING_SAMPLE_VALUES = 50;
+const MAX_MAPPING_SAMPLE_COLUMNS = 200;
+// Table ids taken from links (project.dataset.table) - nothing that could leave a quoted name in SQL
+const TABLE_ID_PATTERN = /^[A-Za-z0-9-]+\.[A-Za-z0-9_]+\.[A-Za-z0-9_-]+$/;
 
 class ComparisonEngineService {
     constructor() {
@@ -89,6 +110,11 @@ class ComparisonEngineService {
             return fieldName;
         }
 
+        // JSON, ARRAY and STRUCT columns cannot be CAST to STRING
+        if (this.isJsonRenderedType(sourceType) && targetType === 'STRING') {
+            return `TO_JSON_STRING(${fieldName})`;
+        }
+
         switch (targetType) {
             case 'STRING':
                 return `SAFE_CAST(${fieldName} AS STRING)`;
@@ -124,6 +150,36 @@ class ComparisonEngineService {
         }
     }
 
+    /**
+     * STRING rendering of a field after casting it to the common comparison type
+     */
+    getComparableStringExpression(fieldName, fieldType, commonType) {
+        const castExpression = this.getCastExpression(fieldName, fieldType, commonType);
+        if (this.isJsonRenderedType(commonType)) {
+            return `TO_JSON_STRING(${castExpression})`;
+        }
+        return `CAST(${castExpression} AS STRING)`;
+    }
+
+    /**
+     * Types whose values are compared as their JSON text
+     */
+    isJsonRenderedType(type) {
+        return type === 'JSON' || /^(ARRAY|STRUCT)</.test(type);
+    }
+
+    /**
+     * Type used to compare field values. A typed temp column compared against a
+     * STRING target parses the target value, so '2024-01-01T00:00:00Z' and a
+     * TIMESTAMP holding the same instant still match.
+     */
+    getValueComparisonType(tempType, sourceType) {
+        if (sourceType === 'STRING' && tempType !== 'STRING' && !this.isJsonRenderedType(tempType)) {
+            return tempType;
+        }
+        return this.getBestCommonType(tempType, sourceType);
+    }
+
     /**
      * Determine best common type for comparison between two types
      */
@@ -151,6 +207,79 @@ class ComparisonEngineService {
         return 'STRING';
     }
 
+    /**
+     * Types of each key column in both tables, with the common type both sides are cast to
+     */
+    async getKeyTypes(tempTableId, sourceTableName, keyColumns) {
+        const keyTypes = [];
+        for (const column of keyColumns) {
+            const dataTypes = await this.getFieldDataTypes(tempTableId, sourceTableName, column);
+            keyTypes.push({
+                column: column,
+                tempType: dataTypes.tempType,
+                sourceType: dataTypes.sourceType,
+                commonType: this.getBestCommonType(dataTypes.tempType, dataTypes.sourceType)
+            });
+        }
+        return keyTypes;
+    }
+
+    /**
+     * Key of a row on one side ('temp' or 'source'), each column cast to its common type:
+     * the value itself for a single column, a tuple for composite keys
+     */
+    getKeyExpression(keyTypes, side, alias = null) {
+        const prefix = alias ? `${alias}.` : '';
+        return CompositeKey.tupleExpression(
+            keyTypes.map(key => this.getCastExpression(prefix + key.column, side === 'temp' ? key.tempType : key.sourceType, key.commonType)),
+            keyTypes.map(key => prefix + key.column));
+    }
+
+    /**
+     * STRING rendering of a row's key (composite keys are tuples, already STRING)
+     */
+    getKeyStringExpression(keyTypes, side, alias = null) {
+        if (keyTypes.length > 1) {
+            return this.getKeyExpression(keyTypes, side, alias);
+        }
+        const key = keyTypes[0];
+        return this.getComparableStringExpression(`${alias ? `${alias}.` : ''}${key.column}`, side === 'temp' ? key.tempType : key.sourceType, key.commonType);
+    }
+
+    /**
+     * Join condition matching temp and target rows column by column
+     */
+    getKeyJoinCondition(keyTypes, tempAlias = 'json_table', sourceAlias = 'bq_table') {
+        return keyTypes.map(key =>
+            `${this.getCastExpression(`${tempAlias}.${key.column}`, key.tempType, key.commonType)} = ${this.getCastExpression(`${sourceAlias}.${key.column}`, key.sourceType, key.commonType)}`
+        ).join(' AND ');
+    }
+
+    /**
+     * Key of a row within one table, without casting - NULL when any key column is NULL
+     */
+    getKeyValueExpression(keyColumns, alias = null) {
+        const prefix = alias ? `${alias}.` : '';
+        if (keyColumns.length === 1) {
+            return prefix + keyColumns[0];
+        }
+        return `IF(${CompositeKey.notNullCondition(keyColumns, alias)}, ${CompositeKey.tupleExpression(keyColumns.map(column => prefix + column))}, NULL)`;
+    }
+
+    /**
+     * Key types for results: the column's types, or tuples of the column types for composite keys
+     */
+    describeKeyTypes(keyTypes) {
+        if (keyTypes.length === 1) {
+            return { tempType: keyTypes[0].tempType, sourceType: keyTypes[0].sourceType };
+        }
+        return {
+            tempType: `(${keyTypes.map(key => key.tempType).join(', ')})`,
+            sourceType: `(${keyTypes.map(key => key.sourceType).join(', ')})`,
+            columns: keyTypes
+        };
+    }
+
     /**
      * Get common fields with proper field detection
      */
@@ -283,19 +412,67 @@ class ComparisonEngineService {
         }
     }
 
+    /**
+     * Mapping proposals for fields found in only one of the tables (see ColumnMatcher), backed by
+     * distinct values sampled from both. If sampling fails the names alone are used.
+     */
+    async suggestColumnMappings(tempTableId, sourceTableName, schemaAnalysis) {
+        const sourceColumns = (schemaAnalysis.jsonOnlyFields || []).filter(field => field !== SOURCE_FILE_COLUMN);
+        const targetColumns = schemaAnalysis.bqOnlyFields || [];
+        if (sourceColumns.length === 0 || targetColumns.length === 0) {
+            return [];
+        }
+
+        let samples = null;
+        try {
+            const columnTypes = await this.getColumnTypes(tempTableId, sourceTableName);
+            const [source, target] = await Promise.all([
+                this.sampleColumnValues(tempTableId, sourceColumns.slice(0, MAX_MAPPING_SAMPLE_COLUMNS), columnTypes.temp),
+                this.sampleColumnValues(sourceTableName, targetColumns.slice(0, MAX_MAPPING_SAMPLE_COLUMNS), columnTypes.source)
+            ]);
+            samples = { source, target };
+        } catch (sampleError) {
+            console.error('Column value sampling failed:', sampleError.message);
+        }
+
+        const suggestions = ColumnMatcher.suggest(sourceColumns, targetColumns, samples);
+        console.log(`Column mapping suggestions: ${suggestions.length} for ${sourceColumns.length} source-only / ${targetColumns.length} target-only fields`);
+        return suggestions;
+    }
+
+    /**
+     * Distinct values (as STRING) of each column over the first rows of a table: { column: [values] }
+     */
+    async sampleColumnValues(tableId, columns, columnTypes) {
+        const [rows] = await this.bigquery.query(`
+            SELECT ${columns.map((column, index) => `
+                ARRAY_AGG(DISTINCT ${this.getComparableStringExpression(`sampled.${column}`, columnTypes.get(column) || 'STRING', 'STRING')}
+                    IGNORE NULLS LIMIT ${MAPPING_SAMPLE_VALUES}) as c${index}`).join(',')}
+            FROM (SELECT * FROM \`${tableId}\` LIMIT ${MAPPING_SAMPLE_ROWS}) sampled
+        `);
+        return columns.reduce((samples, column, index) => {
+            samples[column] = (rows[0] && rows[0][`c${index}`]) || [];
+            return samples;
+        }, {});
+    }
+
     /**
      * Validate ANY field as primary key
      */
     async validatePrimaryKeyField(tempTableId, sourceTableName, primaryKey, commonFields) {
         try {
-            console.log(`Validating primary key field: ${primaryKey}`);
+            const keyColumns = CompositeKey.parse(primaryKey);
+            const keyLabel = CompositeKey.label(keyColumns);
+            const keyValue = this.getKeyValueExpression(keyColumns);
+            console.log(`Validating primary key field: ${keyLabel}`);
             
-            if (!commonFields.includes(primaryKey)) {
-                console.error(`Primary key '${primaryKey}' not found in common fields`);
-                throw new Error(`Primary key '${primaryKey}' not available in both tables. Available common fields: ${commonFields.slice(0, 10).join(', ')}`);
+            const missingColumns = keyColumns.filter(column => !commonFields.includes(column));
+            if (missingColumns.length > 0) {
+                console.error(`Primary key '${missingColumns.join("', '")}' not found in common fields`);
+                throw new Error(`Primary key '${missingColumns.join("', '")}' not available in both tables. Available common fields: ${commonFields.slice(0, 10).join(', ')}`);
             }
             
-            console.log(`Primary key '${primaryKey}' validated - exists in both tables`);
+            console.log(`Primary key '${keyLabel}' validated - exists in both tables`);
             
             const validationQueries = [
                 {
@@ -303,8 +480,8 @@ class ComparisonEngineService {
                     query: `
                         SELECT 
                             COUNT(*) as total_count, 
-                            COUNT(${primaryKey}) as non_null_count,
-                            COUNT(DISTINCT ${primaryKey}) as unique_count
+                            COUNT(${keyValue}) as non_null_count,
+                            COUNT(DISTINCT ${keyValue}) as unique_count
                         FROM \`${tempTableId}\`
                     `
                 },
@@ -313,8 +490,8 @@ class ComparisonEngineService {
                     query: `
                         SELECT 
                             COUNT(*) as total_count, 
-                            COUNT(${primaryKey}) as non_null_count,
-                            COUNT(DISTINCT ${primaryKey}) as unique_count
+                            COUNT(${keyValue}) as non_null_count,
+                            COUNT(DISTINCT ${keyValue}) as unique_count
                         FROM \`${sourceTableName}\`
                     `
                 }
@@ -328,7 +505,7 @@ class ComparisonEngineService {
                     validationResults[queryInfo.name] = result[0];
                 } catch (queryError) {
                     console.error(`${queryInfo.name} failed:`, queryError.message);
-                    throw new Error(`Field '${primaryKey}' validation failed: ${queryError.message}`);
+                    throw new Error(`Field '${keyLabel}' validation failed: ${queryError.message}`);
                 }
             }
             
@@ -341,123 +518,173 @@ class ComparisonEngineService {
     }
 
     /**
-     * FIXED: Find matches with proper table aliasing to avoid SQL ambiguity
+     * Sample page of a key set: page (0-based) and pageSize from request values
      */
-    async getSchemaAwareMatches(tempTableId, sourceTableName, primaryKey) {
-        try {
-            console.log(`Finding matches using primary key: ${primaryKey}`);
+    static parseKeyPage(source = {}) {
+        const given = value => value !== undefined && value !== null && value !== '';
 
-            const dataTypes = await this.getFieldDataTypes(tempTableId, sourceTableName, primaryKey);
-            const commonType = this.getBestCommonType(dataTypes.tempType, dataTypes.sourceType);
-            
-            console.log(`Using common type for comparison: ${commonType}`);
+        const page = given(source.page) ? parseInt(source.page, 10) : 0;
+        if (!Number.isInteger(page) || page < 0) {
+            throw new Error(`Invalid key page: ${source.page} (use a number from 0)`);
+        }
 
-            // FIXED: Proper table aliasing to avoid ambiguous column names
-            const tempCast = this.getCastExpression('json_table.' + primaryKey, dataTypes.tempType, commonType);
-            const sourceCast = this.getCastExpression('bq_table.' + primaryKey, dataTypes.sourceType, commonType);
+        const pageSize = given(source.pageSize) ? parseInt(source.pageSize, 10) : KEY_PAGE_SIZE;
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_KEY_PAGE_SIZE) {
+            throw new Error(`Invalid key page size: ${source.pageSize} (use 1-${MAX_KEY_PAGE_SIZE})`);
+        }
 
-            // Get all unique JSON keys with type casting
-            const getAllJsonKeysQuery = `
-                SELECT DISTINCT ${this.getCastExpression(primaryKey, dataTypes.tempType, commonType)} as key_value
-                FROM \`${tempTableId}\`
-                WHERE ${primaryKey} IS NOT NULL
+        return { page, pageSize };
+    }
+
+    /**
+     * Distinct keys of both tables reconciled with a FULL OUTER JOIN - every key once, flagged
+     * in_source / in_target. Key columns are carried along (k0, k1, ...) for downloads.
+     */
+    getReconciledKeysQuery(tempTableId, sourceTableName, keyTypes) {
+        const keyColumns = keyTypes.map(key => key.column);
+        const side = (tableName, sideName) => `
+                    SELECT DISTINCT ${this.getKeyExpression(keyTypes, sideName)} AS key_value${keyTypes.map((key, index) =>
+                        `, ${this.getCastExpression(key.column, sideName === 'temp' ? key.tempType : key.sourceType, key.commonType)} AS k${index}`).join('')}
+                    FROM \`${tableName}\`
+                    WHERE ${CompositeKey.notNullCondition(keyColumns)}`;
+
+        return `
+                WITH source_keys AS (${side(tempTableId, 'temp')}
+                ),
+                target_keys AS (${side(sourceTableName, 'source')}
+                ),
+                reconciled AS (
+                    SELECT 
+                        COALESCE(source_keys.key_value, target_keys.key_value) AS key_value${keyTypes.map((key, index) =>
+                            `,
+                        COALESCE(source_keys.k${index}, target_keys.k${index}) AS k${index}`).join('')},
+                        source_keys.key_value IS NOT NULL AS in_source,
+                        target_keys.key_value IS NOT NULL AS in_target
+                    FROM source_keys
+                    FULL OUTER JOIN target_keys
+                    ON source_keys.key_value = target_keys.key_value
+                )`;
+    }
+
+    static keySetCondition(set) {
+        switch (set) {
+            case 'matched':
+                return 'in_source AND in_target';
+            case 'source-only':
+                return 'in_source AND NOT in_target';
+            case 'target-only':
+                return 'NOT in_source AND in_target';
+            default:
+                throw new Error(`Unknown key set: ${set} (use ${KEY_SETS.join(', ')})`);
+        }
+    }
+
+    /**
+     * One page of a key set, ordered by key
+     */
+    async getKeySetPage(tempTableId, sourceTableName, keyTypes, set, page = 0, pageSize = KEY_PAGE_SIZE) {
+        const query = `${this.getReconciledKeysQuery(tempTableId, sourceTableName, keyTypes)}
+                SELECT key_value
+                FROM reconciled
+                WHERE ${ComparisonEngineService.keySetCondition(set)}
                 ORDER BY key_value
-                LIMIT 10000
+                LIMIT ${pageSize} OFFSET ${page * pageSize}
             `;
-            
-            const [allJsonKeys] = await this.bigquery.query(getAllJsonKeysQuery);
-            const jsonKeysList = allJsonKeys.map(r => r.key_value);
-            
-            console.log(`JSON unique keys: ${jsonKeysList.length} found`);
-
-            if (jsonKeysList.length === 0) {
-                console.warn('No valid keys found in JSON table');
-                return {
-                    matchCount: 0,
-                    matchedIds: [],
-                    jsonOnlyCount: 0,
-                    jsonOnlyIds: [],
-                    jsonOnlyRecords: [],
-                    bqOnlyCount: 0,
-                    bqOnlyRecords: [],
-                    sampleMatches: [],
-                    primaryKeyUsed: primaryKey,
-                    dataTypes: dataTypes
-                };
-            }
+        const [rows] = await this.bigquery.query(query);
+        return rows.map(row => row.key_value);
+    }
 
-            // FIXED: Find matching keys with proper table aliasing
-            const getMatchingKeysQuery = `
-                SELECT DISTINCT ${tempCast} as matched_key
-                FROM \`${tempTableId}\` json_table
-                INNER JOIN \`${sourceTableName}\` bq_table
-                ON ${tempCast} = ${sourceCast}
-                WHERE json_table.${primaryKey} IS NOT NULL 
-                AND bq_table.${primaryKey} IS NOT NULL
-                ORDER BY matched_key
-                LIMIT 10000
+    /**
+     * Row stream of a whole key set ({ column: value } per key) - rows are paged from BigQuery,
+     * so the set is never held in memory
+     */
+    async streamKeySet(tempTableId, sourceTableName, primaryKey, set) {
+        const keyColumns = CompositeKey.parse(primaryKey);
+        const keyTypes = await this.getKeyTypes(tempTableId, sourceTableName, keyColumns);
+        const query = `${this.getReconciledKeysQuery(tempTableId, sourceTableName, keyTypes)}
+                SELECT ${keyColumns.map((column, index) => `k${index} AS \`${column}\``).join(', ')}
+                FROM reconciled
+                WHERE ${ComparisonEngineService.keySetCondition(set)}
+                ORDER BY key_value
             `;
+        console.log(`Streaming ${set} keys of ${tempTableId} vs ${sourceTableName} (${CompositeKey.label(keyColumns)})`);
+        return { keyColumns, rows: this.bigquery.createQueryStream({ query: query }) };
+    }
+
+    /**
+     * EXACT: Matched, source-only and target-only keys counted with set operations in BigQuery.
+     * Only a page of each set comes back (options.page / options.pageSize); full lists are downloaded separately.
+     */
+    async getSchemaAwareMatches(tempTableId, sourceTableName, primaryKey, options = {}) {
+        try {
+            const keyColumns = CompositeKey.parse(primaryKey);
+            const keyLabel = CompositeKey.label(keyColumns);
+            const { page, pageSize } = ComparisonEngineService.parseKeyPage(options);
+            console.log(`Reconciling keys using primary key: ${keyLabel}`);
+
+            const keyTypes = await this.getKeyTypes(tempTableId, sourceTableName, keyColumns);
+            const dataTypes = this.describeKeyTypes(keyTypes);
             
-            const [matchingKeys] = await this.bigquery.query(getMatchingKeysQuery);
-            const matchedKeysList = matchingKeys.map(r => r.matched_key);
-            
-            console.log(`Matched keys: ${matchedKeysList.length} found`);
-
-            const jsonOnlyKeys = jsonKeysList.filter(key => !matchedKeysList.includes(key));
-            console.log(`JSON-only keys: ${jsonOnlyKeys.length} found`);
-
-            // FIXED: Get sample keys only in BigQuery with proper aliasing
-            const getBqOnlyKeysQuery = `
-                SELECT DISTINCT ${this.getCastExpression(primaryKey, dataTypes.sourceType, commonType)} as bq_only_key
-                FROM \`${sourceTableName}\` bq_table
-                WHERE bq_table.${primaryKey} IS NOT NULL
-                  AND ${this.getCastExpression(primaryKey, dataTypes.sourceType, commonType)} NOT IN (
-                    SELECT DISTINCT ${this.getCastExpression(primaryKey, dataTypes.tempType, commonType)}
-                    FROM \`${tempTableId}\` 
-                    WHERE ${primaryKey} IS NOT NULL
-                  )
-                LIMIT 10
+            console.log(`Using common type for comparison: ${keyTypes.map(key => key.commonType).join(', ')}`);
+
+            const countQuery = `${this.getReconciledKeysQuery(tempTableId, sourceTableName, keyTypes)}
+                SELECT 
+                    COUNTIF(in_source) AS source_keys,
+                    COUNTIF(in_target) AS target_keys,
+                    COUNTIF(in_source AND in_target) AS matched_keys,
+                    COUNTIF(in_source AND NOT in_target) AS source_only_keys,
+                    COUNTIF(NOT in_source AND in_target) AS target_only_keys
+                FROM reconciled
             `;
             
-            const [bqOnlyKeys] = await this.bigquery.query(getBqOnlyKeysQuery);
-            const bqOnlyKeysList = bqOnlyKeys.map(r => r.bq_only_key);
+            const [countRows] = await this.bigquery.query(countQuery);
+            const counts = countRows[0] || {};
+            const sourceKeys = parseInt(counts.source_keys || 0);
+            const matchCount = parseInt(counts.matched_keys || 0);
+            const jsonOnlyCount = parseInt(counts.source_only_keys || 0);
+            const bqOnlyCount = parseInt(counts.target_only_keys || 0);
             
-            console.log(`BigQuery-only keys (sample): ${bqOnlyKeysList.length} found`);
+            console.log(`Key reconciliation: ${sourceKeys} source keys, ${matchCount} matched, ${jsonOnlyCount} source-only, ${bqOnlyCount} target-only`);
+
+            // Samples: one page per non-empty set
+            const fetchPage = (set, count) => count > page * pageSize ?
+                this.getKeySetPage(tempTableId, sourceTableName, keyTypes, set, page, pageSize) : Promise.resolve([]);
+            const [matchedKeysList, jsonOnlyKeys, bqOnlyKeysList] = await Promise.all([
+                fetchPage('matched', matchCount),
+                fetchPage('source-only', jsonOnlyCount),
+                fetchPage('target-only', bqOnlyCount)
+            ]);
 
-            let sampleMatches = [];
-            if (matchedKeysList.length > 0) {
-                // FIXED: Sample query with proper table aliasing
-                const sampleMatchQuery = `
-                    SELECT 
-                        ${tempCast} as key_value
-                    FROM \`${tempTableId}\` json_table
-                    INNER JOIN \`${sourceTableName}\` bq_table
-                    ON ${tempCast} = ${sourceCast}
-                    WHERE json_table.${primaryKey} IS NOT NULL 
-                    AND bq_table.${primaryKey} IS NOT NULL
-                    LIMIT 5
-                `;
-                
-                try {
-                    const [sampleResult] = await this.bigquery.query(sampleMatchQuery);
-                    sampleMatches = sampleResult;
-                    console.log(`Sample matches retrieved: ${sampleMatches.length} records`);
-                } catch (sampleError) {
-                    console.warn(`Could not get sample match details:`, sampleError.message);
-                }
-            }
+            const describeSet = (count, keys) => ({
+                count: count,
+                sampleSize: keys.length,
+                complete: page === 0 && keys.length === count
+            });
 
             return {
-                matchCount: matchedKeysList.length,
+                matchCount: matchCount,
                 matchedIds: matchedKeysList,
-                jsonOnlyCount: jsonOnlyKeys.length,
+                jsonOnlyCount: jsonOnlyCount,
                 jsonOnlyIds: jsonOnlyKeys,
-                jsonOnlyRecords: jsonOnlyKeys.map(key => ({ [primaryKey]: key })),
-                bqOnlyCount: bqOnlyKeysList.length,
-                bqOnlyRecords: bqOnlyKeysList.map(key => ({ [primaryKey]: key })),
-                sampleMatches: sampleMatches,
-                primaryKeyUsed: primaryKey,
-                dataTypes: dataTypes
+                jsonOnlyRecords: jsonOnlyKeys.map(key => ({ [keyLabel]: key })),
+                bqOnlyCount: bqOnlyCount,
+                bqOnlyRecords: bqOnlyKeysList.map(key => ({ [keyLabel]: key })),
+                sampleMatches: matchedKeysList.slice(0, 5).map(key => ({ key_value: key })),
+                primaryKeyUsed: keyLabel,
+                primaryKeyColumns: keyColumns,
+                dataTypes: dataTypes,
+                reconciliation: {
+                    method: 'sql-set-operations',
+                    sourceKeys: sourceKeys,
+                    targetKeys: parseInt(counts.target_keys || 0),
+                    page: page,
+                    pageSize: pageSize,
+                    sets: {
+                        matched: describeSet(matchCount, matchedKeysList),
+                        'source-only': describeSet(jsonOnlyCount, jsonOnlyKeys),
+                        'target-only': describeSet(bqOnlyCount, bqOnlyKeysList)
+                    }
+                }
             };
 
         } catch (error) {
@@ -471,13 +698,14 @@ class ComparisonEngineService {
      */
     async analyzeBothSystemDuplicates(tempTableId, sourceTableName, primaryKey) {
         try {
-            console.log(`Analyzing duplicates in BOTH systems using primary key: ${primaryKey}`);
+            const keyColumns = CompositeKey.parse(primaryKey);
+            console.log(`Analyzing duplicates in BOTH systems using primary key: ${CompositeKey.label(keyColumns)}`);
 
-            const dataTypes = await this.getFieldDataTypes(tempTableId, sourceTableName, primaryKey);
-            const commonType = this.getBestCommonType(dataTypes.tempType, dataTypes.sourceType);
+            const keyTypes = await this.getKeyTypes(tempTableId, sourceTableName, keyColumns);
+            const dataTypes = this.describeKeyTypes(keyTypes);
             
-            const tempCast = this.getCastExpression(primaryKey, dataTypes.tempType, commonType);
-            const sourceCast = this.getCastExpression(primaryKey, dataTypes.sourceType, commonType);
+            const tempCast = this.getKeyExpression(keyTypes, 'temp');
+            const sourceCast = this.getKeyExpression(keyTypes, 'source');
 
             // Analyze JSON duplicates
             const jsonDuplicateQuery = `
@@ -485,7 +713,7 @@ class ComparisonEngineService {
                     ${tempCast} as duplicate_key,
                     COUNT(*) as occurrence_count
                 FROM \`${tempTableId}\`
-                WHERE ${primaryKey} IS NOT NULL
+                WHERE ${CompositeKey.notNullCondition(keyColumns)}
                 GROUP BY ${tempCast}
                 HAVING COUNT(*) > 1
                 ORDER BY occurrence_count DESC
@@ -498,7 +726,7 @@ class ComparisonEngineService {
                     ${sourceCast} as duplicate_key,
                     COUNT(*) as occurrence_count
                 FROM \`${sourceTableName}\`
-                WHERE ${primaryKey} IS NOT NULL
+                WHERE ${CompositeKey.notNullCondition(keyColumns)}
                 GROUP BY ${sourceCast}
                 HAVING COUNT(*) > 1
                 ORDER BY occurrence_count DESC
@@ -537,7 +765,7 @@ class ComparisonEngineService {
             let commonDuplicateDetails = [];
             if (commonDuplicateKeys.length > 0 && commonDuplicateKeys.length <= 10) {
                 try {
-                    const commonKeysStr = commonDuplicateKeys.map(key => `'${String(key).replace(/'/g, "\\'")}'`).join(',');
+                    const commonKeysStr = commonDuplicateKeys.map(CompositeKey.sqlLiteral).join(',');
                     
                     const commonDuplicateDetailsQuery = `
                         SELECT 
@@ -647,47 +875,83 @@ class ComparisonEngineService {
     /**
      * MAIN: Schema-safe comparison using any common field with data type support
      */
-    async compareJSONvsBigQuery(tempTableId, sourceTableName, primaryKey = 'Id', comparisonFields = [], strategy = 'enhanced') {
+    async compareJSONvsBigQuery(tempTableId, sourceTableName, primaryKey = 'Id', comparisonFields = [], strategy = 'enhanced', options = {}) {
+        // comparisonFields: a FieldSelection, or a plain list of fields to compare (an include list)
+        const requestedFields = comparisonFields instanceof FieldSelection ? null : FieldSelection.parseList(comparisonFields);
+        const selection = requestedFields ?
+            new FieldSelection({ include: requestedFields, source: requestedFields.length > 0 ? 'request' : 'default' }) : comparisonFields;
+
         try {
             console.log('Starting comparison...');
             console.log(`SOURCE (JSON): ${tempTableId}`);
             console.log(`TARGET (BigQuery): ${sourceTableName}`);
-            console.log(`Requested primary key: ${primaryKey}`);
+            // One column, or an ordered list of columns for a composite key ("account_id, region" or an array)
+            const keyColumns = CompositeKey.parse(primaryKey);
+            const keyLabel = CompositeKey.label(keyColumns);
+            console.log(`Requested primary key: ${keyLabel}`);
+
+            if (keyColumns.length === 0) {
+                throw new Error('Primary key is required');
+            }
 
             // STEP 1: Get common fields analysis
             const schemaAnalysis = await this.getCommonFields(tempTableId, sourceTableName);
             console.log(`Schema analysis completed: ${schemaAnalysis.commonFields.length} common fields found`);
+            schemaAnalysis.mappingSuggestions = await this.suggestColumnMappings(tempTableId, sourceTableName, schemaAnalysis);
 
-            // STEP 2: Validate the requested primary key exists in both tables
-            if (!schemaAnalysis.commonFields.includes(primaryKey)) {
-                console.error(`Primary key '${primaryKey}' not found in common fields!`);
+            // STEP 2: Validate every requested key column exists in both tables
+            const missingColumns = keyColumns.filter(column => !schemaAnalysis.commonFields.includes(column));
+            if (missingColumns.length > 0) {
+                console.error(`Primary key '${missingColumns.join("', '")}' not found in common fields!`);
                 const suggestedKey = schemaAnalysis.primaryKeyCandidates[0] || schemaAnalysis.commonFields[0];
-                throw new Error(`Primary key '${primaryKey}' not available in both tables. Suggested alternative: '${suggestedKey}'. Available common fields: ${schemaAnalysis.commonFields.slice(0, 5).join(', ')}`);
+                throw new Error(`Primary key '${missingColumns.join("', '")}' not available in both tables. Suggested alternative: '${suggestedKey}'. Available common fields: ${schemaAnalysis.commonFields.slice(0, 5).join(', ')}`);
             }
 
-            console.log(`Primary key '${primaryKey}' found in common fields - proceeding with comparison`);
+            console.log(`Primary key '${keyLabel}' found in common fields - proceeding with comparison`);
+
+            // Expected-value transforms (options.transforms) compute target columns from source columns
+            const transforms = options.transforms || new FieldTransforms();
+            transforms.validate(
+                [...schemaAnalysis.commonFields, ...(schemaAnalysis.jsonOnlyFields || [])],
+                [...schemaAnalysis.commonFields, ...(schemaAnalysis.bqOnlyFields || [])],
+                keyColumns
+            );
 
             // STEP 3: Validate the primary key field works in both tables
-            const keyValidation = await this.validatePrimaryKeyField(tempTableId, sourceTableName, primaryKey, schemaAnalysis.commonFields);
-            console.log(`Primary key '${primaryKey}' validated in both tables`);
+            const keyValidation = await this.validatePrimaryKeyField(tempTableId, sourceTableName, keyColumns, schemaAnalysis.commonFields);
+            console.log(`Primary key '${keyLabel}' validated in both tables`);
 
             // STEP 4: Get record counts using validated primary key
-            const recordCounts = await this.getSchemaAwareRecordCounts(tempTableId, sourceTableName, primaryKey);
+            const recordCounts = await this.getSchemaAwareRecordCounts(tempTableId, sourceTableName, keyColumns);
 
-            // STEP 5: Find matching records
-            const matchAnalysis = await this.getSchemaAwareMatches(tempTableId, sourceTableName, primaryKey);
+            // STEP 5: Reconcile the key sets exactly (samples paged by options.keyPage / options.keyPageSize)
+            const matchAnalysis = await this.getSchemaAwareMatches(tempTableId, sourceTableName, keyColumns, {
+                page: options.keyPage,
+                pageSize: options.keyPageSize
+            });
 
-            // STEP 6: Analyze field differences for common fields only
+            // STEP 6: Column-level diff of every matched record over the selected fields (tolerances from options.fieldRules)
+            const fieldSelection = this.selectComparisonFields(schemaAnalysis, keyColumns, selection, transforms);
+            console.log(`Field selection (${selection.source}): ${fieldSelection.fields.length} compared, ${fieldSelection.skipped.length} skipped`);
             const fieldAnalysis = await this.analyzeCommonFieldDifferences(
                 tempTableId, 
                 sourceTableName, 
-                primaryKey,
-                schemaAnalysis.commonFields,
-                matchAnalysis.matchedIds
+                keyColumns,
+                fieldSelection.fields,
+                { matchCount: matchAnalysis.matchCount, fieldRules: options.fieldRules, transforms: transforms }
             );
+            fieldAnalysis.fieldSelection = {
+                ...selection.describe(),
+                unmatchedIncludes: fieldSelection.unmatchedIncludes
+            };
+            fieldAnalysis.skippedFields = fieldSelection.skipped;
 
             // STEP 7: Get comprehensive duplicates analysis (both systems)
-            const duplicatesAnalysis = await this.analyzeBothSystemDuplicates(tempTableId, sourceTableName, primaryKey);
+            const duplicatesAnalysis = await this.analyzeBothSystemDuplicates(tempTableId, sourceTableName, keyColumns);
+
+            // STEP 7b: Dataset uploads record each row's file - break missing and mismatched records down by it
+            const sourceFileBreakdown = (schemaAnalysis.jsonOnlyFields || []).includes(SOURCE_FILE_COLUMN) ?
+                await this.analyzeBySourceFile(tempTableId, sourceTableName, keyColumns, fieldSelection.fields, options.fieldRules, transforms) : null;
 
             // STEP 8: Create comprehensive results
             const summary = {
@@ -704,9 +968,11 @@ class ComparisonEngineService {
                     ((matchAnalysis.matchCount / recordCounts.jsonDetails.totalRecords) * 100).toFixed(1) : '0.0',
                 fieldsAnalyzed: fieldAnalysis.fieldsAnalyzed,
                 totalFieldIssues: fieldAnalysis.totalFieldIssues,
+                fieldMatchesWithinTolerance: fieldAnalysis.totalToleranceMatches || 0,
                 schemaCompatibility: (schemaAnalysis.schemaCompatibility * 100).toFixed(1) + '%',
                 commonFieldsCount: schemaAnalysis.commonFields.length,
-                primaryKeyUsed: primaryKey,
+                primaryKeyUsed: keyLabel,
+                primaryKeyColumns: keyColumns,
                 matchedRecordIds: matchAnalysis.matchedIds,
                 failedRecordIds: matchAnalysis.jsonOnlyIds,
                 comparisonDate: new Date().toISOString(),
@@ -714,13 +980,14 @@ class ComparisonEngineService {
             };
 
             console.log('Comparison completed successfully');
-            console.log(`Results: ${matchAnalysis.matchCount} matches found using '${primaryKey}' field`);
+            console.log(`Results: ${matchAnalysis.matchCount} matches found using '${keyLabel}' field`);
             console.log(`Pipeline success rate: ${summary.pipelineSuccessRate}%`);
 
             return {
                 success: true,
                 analysisType: 'enhanced-data-type-support',
-                primaryKeyUsed: primaryKey,
+                primaryKeyUsed: keyLabel,
+                primaryKeyColumns: keyColumns,
                 schemaAnalysis: schemaAnalysis,
                 recordCounts: recordCounts,
                 comparisonResults: {
@@ -733,17 +1000,22 @@ class ComparisonEngineService {
                         missingFromBQ: matchAnalysis.jsonOnlyRecords,
                         missingFromJSON: matchAnalysis.bqOnlyRecords
                     },
+                    reconciliation: matchAnalysis.reconciliation,
                     fieldDifferences: fieldAnalysis,
                     dataTypes: matchAnalysis.dataTypes
                 },
                 fieldWiseAnalysis: fieldAnalysis,
                 duplicatesAnalysis: duplicatesAnalysis,
+                sourceFileBreakdown: sourceFileBreakdown,
                 summary: summary,
                 metadata: {
                     tempTableId,
                     sourceTableName,
-                    primaryKey: primaryKey,
-                    comparisonFields: comparisonFields.length > 0 ? comparisonFields : schemaAnalysis.commonFields.slice(0, 10),
+                    primaryKey: keyLabel,
+                    primaryKeyColumns: keyColumns,
+                    comparisonFields: fieldSelection.fields,
+                    fieldSelection: selection.describe(),
+                    transforms: transforms.definition,
                     strategy: 'enhanced-data-type-support',
                     comparisonDate: new Date().toISOString(),
                     dataTypeSupport: 'Enhanced (all BigQuery types)',
@@ -762,25 +1034,29 @@ class ComparisonEngineService {
      */
     async getSchemaAwareRecordCounts(tempTableId, sourceTableName, primaryKey) {
         try {
-            console.log(`Getting record counts using: ${primaryKey}`);
+            const keyColumns = CompositeKey.parse(primaryKey);
+            const keyLabel = CompositeKey.label(keyColumns);
+            // A composite key counts as NULL when any of its columns is NULL
+            const keyValue = this.getKeyValueExpression(keyColumns);
+            console.log(`Getting record counts using: ${keyLabel}`);
 
             const jsonDetailQuery = `
                 SELECT 
                     COUNT(*) as total_records,
-                    COUNT(DISTINCT ${primaryKey}) as unique_primary_keys,
-                    COUNT(${primaryKey}) as non_null_primary_keys,
-                    COUNT(*) - COUNT(${primaryKey}) as null_primary_keys,
-                    COUNT(*) - COUNT(DISTINCT ${primaryKey}) as duplicate_records
+                    COUNT(DISTINCT ${keyValue}) as unique_primary_keys,
+                    COUNT(${keyValue}) as non_null_primary_keys,
+                    COUNT(*) - COUNT(${keyValue}) as null_primary_keys,
+                    COUNT(*) - COUNT(DISTINCT ${keyValue}) as duplicate_records
                 FROM \`${tempTableId}\`
             `;
 
             const bqDetailQuery = `
                 SELECT 
                     COUNT(*) as total_records,
-                    COUNT(DISTINCT ${primaryKey}) as unique_primary_keys,
-                    COUNT(${primaryKey}) as non_null_primary_keys,
-                    COUNT(*) - COUNT(${primaryKey}) as null_primary_keys,
-                    COUNT(*) - COUNT(DISTINCT ${primaryKey}) as duplicate_records
+                    COUNT(DISTINCT ${keyValue}) as unique_primary_keys,
+                    COUNT(${keyValue}) as non_null_primary_keys,
+                    COUNT(*) - COUNT(${keyValue}) as null_primary_keys,
+                    COUNT(*) - COUNT(DISTINCT ${keyValue}) as duplicate_records
                 FROM \`${sourceTableName}\`
             `;
 
@@ -802,7 +1078,7 @@ class ComparisonEngineService {
                     nonNullPrimaryKeys: parseInt(jsonDetails.non_null_primary_keys),
                     nullPrimaryKeys: parseInt(jsonDetails.null_primary_keys),
                     duplicateRecords: parseInt(jsonDetails.duplicate_records),
-                    primaryKeyField: primaryKey
+                    primaryKeyField: keyLabel
                 },
                 bqDetails: {
                     totalRecords: parseInt(bqDetails.total_records),
@@ -810,7 +1086,7 @@ class ComparisonEngineService {
                     nonNullPrimaryKeys: parseInt(bqDetails.non_null_primary_keys),
                     nullPrimaryKeys: parseInt(bqDetails.null_primary_keys),
                     duplicateRecords: parseInt(bqDetails.duplicate_records),
-                    primaryKeyField: primaryKey
+                    primaryKeyField: keyLabel
                 }
             };
 
@@ -821,15 +1097,147 @@ class ComparisonEngineService {
     }
 
     /**
-     * Analyze field differences only for common fields
+     * Fields whose values are compared, and every other field with the reason it is skipped
+     * (key column, include/exclude lists, or present in one table only). Target-only columns with
+     * an expected-value transform are compared like common fields.
+     */
+    selectComparisonFields(schemaAnalysis, primaryKey, selection = new FieldSelection(), transforms = new FieldTransforms()) {
+        const targetOnly = schemaAnalysis.bqOnlyFields || [];
+        const transformedTargetOnly = targetOnly.filter(field => transforms.get(field));
+        const selected = selection.select([...schemaAnalysis.commonFields, ...transformedTargetOnly], CompositeKey.parse(primaryKey));
+        (schemaAnalysis.jsonOnlyFields || []).forEach(field => selected.skipped.push({
+            field: field,
+            reason: field === SOURCE_FILE_COLUMN ? 'dataset source file column' : 'only in the source file'
+        }));
+        targetOnly
+            .filter(field => !transforms.get(field))
+            .forEach(field => selected.skipped.push({ field: field, reason: 'only in the target table' }));
+        return selected;
+    }
+
+    static checkTableId(tableId) {
+        if (!TABLE_ID_PATTERN.test(String(tableId))) {
+            throw new Error(`Invalid table id '${tableId}' (expected project.dataset.table)`);
+        }
+    }
+
+    /**
+     * Table ids, key columns and fields of a paging or download link end up in SQL: check the ids and
+     * that every column exists in both tables (a transformed field in the target) before any query uses them
+     */
+    async checkRequestedColumns(tempTableId, sourceTableName, keyColumns, fields = [], transforms = new FieldTransforms()) {
+        ComparisonEngineService.checkTableId(tempTableId);
+        ComparisonEngineService.checkTableId(sourceTableName);
+
+        const columnTypes = await this.getColumnTypes(tempTableId, sourceTableName);
+        const unknown = [
+            ...keyColumns.filter(column => !columnTypes.temp.has(column) || !columnTypes.source.has(column)),
+            ...fields.filter(field => !(columnTypes.temp.has(field) || transforms.get(field)) || !columnTypes.source.has(field))
+        ];
+        if (unknown.length > 0) {
+            throw new Error(`Column '${unknown.join("', '")}' not available in both tables`);
+        }
+        return columnTypes;
+    }
+
+    /**
+     * Column types of both tables - one INFORMATION_SCHEMA query per table instead of two per field
+     */
+    async getColumnTypes(tempTableId, sourceTableName) {
+        const readTypes = async tableId => {
+            const [project, dataset, table] = tableId.split('.');
+            const [rows] = await this.bigquery.query(`
+                SELECT column_name, data_type
+                FROM \`${project}\`.${dataset}.INFORMATION_SCHEMA.COLUMNS
+                WHERE table_name = '${table}'
+            `);
+            return new Map(rows.map(row => [row.column_name, row.data_type]));
+        };
+
+        const [temp, source] = await Promise.all([readTypes(tempTableId), readTypes(sourceTableName)]);
+        return { temp, source };
+    }
+
+    /**
+     * Comparable value expressions of each field (aliased v0, v1, ... in SQL), both sides
+     * rendered as STRING with NULL as 'NULL' so that NULL on both sides counts as a match.
+     * exactMatch / mismatch are conditions against the reduced target row (target.vN);
+     * with a field rule, values matching only within tolerance are not mismatches.
+     * A transformed field compares its expected value, cast to the target column's type.
+     */
+    describeComparedFields(fields, columnTypes, fieldRules = new FieldRules(), transforms = new FieldTransforms()) {
+        return fields.map((field, index) => {
+            const transform = transforms.get(field);
+            const sourceType = columnTypes.source.get(field) || 'STRING';
+            const tempType = transform ? 'EXPECTED' : (columnTypes.temp.get(field) || 'STRING');
+            const commonType = transform ? sourceType : this.getValueComparisonType(tempType, sourceType);
+            const expected = transform && (this.isJsonRenderedType(sourceType) ?
+                `TO_JSON_STRING(${transform.sql})` : `CAST(SAFE_CAST(${transform.sql} AS ${sourceType}) AS STRING)`);
+            const jsonValue = `COALESCE(${expected || this.getComparableStringExpression('json_table.' + field, tempType, commonType)}, 'NULL')`;
+            const targetValue = `target.v${index}`;
+            const rule = fieldRules.ruleFor(field);
+            // A STRING target parsed as TIMESTAMP takes the rule's target zone for values written without one
+            const targetTimezone = rule && rule.timestamp && sourceType === 'STRING' && commonType === 'TIMESTAMP' ?
+                rule.timestamp.targetTimezone : null;
+            const bqValue = targetTimezone ?
+                `CAST(${FieldRules.timestampExpression('bq_table.' + field, targetTimezone)} AS STRING)` :
+                this.getComparableStringExpression('bq_table.' + field, sourceType, commonType);
+            const exactMatch = `${jsonValue} = ${targetValue}`;
+            return {
+                field: field,
+                alias: `v${index}`,
+                tempType: tempType,
+                sourceType: sourceType,
+                commonType: commonType,
+                rule: rule,
+                transform: transforms.describe(field),
+                jsonValue: jsonValue,
+                bqValue: `COALESCE(${bqValue}, 'NULL')`,
+                exactMatch: exactMatch,
+                mismatch: rule ? `NOT (${exactMatch} OR ${FieldRules.toleranceCondition(jsonValue, targetValue, rule)})` : `${jsonValue} != ${targetValue}`
+            };
+        });
+    }
+
+    /**
+     * WITH clause reducing the target to one row per key (key_value) holding the compared values.
+     * All values of a key come from the same target row (the first by value order), so a duplicate
+     * key never mixes columns of different rows.
+     * Target duplicates are reported by the duplicates analysis, not counted as extra matches here.
+     */
+    getTargetValuesQuery(sourceTableName, keyTypes, comparedFields) {
+        const sourceKey = this.getKeyExpression(keyTypes, 'source', 'bq_table');
+        const aliases = comparedFields.map(compared => compared.alias);
+        const picked = aliases.length > 0
+            ? `, ARRAY_AGG(STRUCT(${aliases.join(', ')}) ORDER BY ${aliases.join(', ')} LIMIT 1)[OFFSET(0)] AS picked`
+            : '';
+        return `
+                WITH target AS (
+                    SELECT key_value${aliases.map(alias => `, picked.${alias} AS ${alias}`).join('')}
+                    FROM (
+                        SELECT key_value${picked}
+                        FROM (
+                            SELECT ${sourceKey} AS key_value${comparedFields.map(compared => `, ${compared.bqValue} AS ${compared.alias}`).join('')}
+                            FROM \`${sourceTableName}\` bq_table
+                            WHERE ${CompositeKey.notNullCondition(keyTypes.map(key => key.column), 'bq_table')}
+                        )
+                        GROUP BY key_value
+                    )
+                )`;
+    }
+
+    /**
+     * Column-level diff over every matched record and every compared field in one scan:
+     * an exact mismatch count per column plus the first mismatching rows as samples.
+     * Further mismatching rows of a column are paged with getColumnMismatchPage.
+     * fields: the compared fields from selectComparisonFields; options.fieldRules: per-field tolerances;
+     * options.transforms: expected-value transforms
      */
-    async analyzeCommonFieldDifferences(tempTableId, sourceTableName, primaryKey, commonFields, matchedIds) {
+    async analyzeCommonFieldDifferences(tempTableId, sourceTableName, primaryKey, fields, options = {}) {
         try {
             console.log(`Analyzing field differences for common fields...`);
-            console.log(`Common fields available: ${commonFields.length}`);
-            console.log(`Matched records to analyze: ${matchedIds.length}`);
-            
-            if (matchedIds.length === 0) {
+
+            if (options.matchCount === 0) {
                 return {
                     totalFieldIssues: 0,
                     fieldComparison: [],
@@ -841,7 +1249,7 @@ class ComparisonEngineService {
                 };
             }
 
-            if (commonFields.length === 0) {
+            if (fields.length === 0) {
                 return {
                     totalFieldIssues: 0,
                     fieldComparison: [],
@@ -849,98 +1257,74 @@ class ComparisonEngineService {
                     recordsAnalyzed: 0,
                     perfectFields: 0,
                     problematicFields: 0,
-                    summary: 'No common fields found for comparison'
+                    summary: 'No common fields selected for comparison'
                 };
             }
 
-            const fieldComparison = [];
-            let totalFieldIssues = 0;
-            
-            const safeFields = commonFields.filter(field => {
-                const lowerField = field.toLowerCase();
-                return field !== primaryKey && 
-                       !lowerField.includes('comment') &&
-                       !lowerField.includes('description') &&
-                       !lowerField.includes('sys_domain_path') &&
-                       !lowerField.includes('sys_tags') &&
-                       !lowerField.includes('header') &&
-                       field.length < 50;
-            }).slice(0, 10);
-            
-            console.log(`Safe fields to analyze: [${safeFields.join(', ')}]`);
-            
-            for (const field of safeFields) {
-                try {
-                    console.log(`Analyzing field: ${field} for ${matchedIds.length} matched records...`);
-                    
-                    const matchedIdsStr = matchedIds.slice(0, 50).map(id => `'${String(id).replace(/'/g, "\\'")}'`).join(',');
-                    
-                    // FIXED: Proper table aliasing to avoid ambiguous column names
-                    const fieldComparisonQuery = `
-                        SELECT 
-                            json_table.${primaryKey} as record_key,
-                            COALESCE(CAST(json_table.${field} AS STRING), 'NULL') as json_value,
-                            COALESCE(CAST(bq_table.${field} AS STRING), 'NULL') as bq_value,
-                            CASE 
-                                WHEN COALESCE(CAST(json_table.${field} AS STRING), 'NULL') = 
-                                     COALESCE(CAST(bq_table.${field} AS STRING), 'NULL') 
-                                THEN 'MATCH' 
-                                ELSE 'DIFFER' 
-                            END as comparison_result
-                        FROM \`${tempTableId}\` json_table
-                        INNER JOIN \`${sourceTableName}\` bq_table
-                        ON json_table.${primaryKey} = bq_table.${primaryKey}
-                        WHERE json_table.${primaryKey} IN (${matchedIdsStr})
-                        LIMIT 100
-                    `;
-                    
-                    const [fieldResult] = await this.bigquery.query(fieldComparisonQuery);
-                    
-                    const differences = fieldResult.filter(r => r.comparison_result === 'DIFFER');
-                    const matches = fieldResult.filter(r => r.comparison_result === 'MATCH');
-                    
-                    console.log(`Field ${field}: ${matches.length} matches, ${differences.length} differences`);
-                    
-                    fieldComparison.push({
-                        fieldName: field,
-                        totalRecords: fieldResult.length,
-                        perfectMatches: matches.length,
-                        differences: differences.length,
-                        matchRate: fieldResult.length > 0 ? ((matches.length / fieldResult.length) * 100).toFixed(1) : '0.0',
-                        sampleDifferences: differences.slice(0, 3),
-                        allComparisons: fieldResult.slice(0, 10)
-                    });
-                    
-                    totalFieldIssues += differences.length;
-                    
-                } catch (fieldError) {
-                    console.warn(`Skipping field ${field}:`, fieldError.message);
-                    
-                    fieldComparison.push({
-                        fieldName: field,
-                        totalRecords: 0,
-                        perfectMatches: 0,
-                        differences: 0,
-                        matchRate: '0.0',
-                        error: fieldError.message,
-                        sampleDifferences: [],
-                        allComparisons: []
-                    });
-                }
-            }
-            
-            console.log(`Field analysis completed: ${totalFieldIssues} total field issues found across ${safeFields.length} fields`);
-            
+            console.log(`Fields to analyze: [${fields.join(', ')}]`);
+
+            // Temp table columns are typed, so keys and values are compared through a common type
+            const keyColumns = CompositeKey.parse(primaryKey);
+            const keyTypes = await this.getKeyTypes(tempTableId, sourceTableName, keyColumns);
+            const comparedFields = this.describeComparedFields(fields, await this.getColumnTypes(tempTableId, sourceTableName), options.fieldRules, options.transforms);
+            const tempKey = this.getKeyExpression(keyTypes, 'temp', 'json_table');
+            // Single keys are reported as stored, composite keys as the tuple the matched ids use
+            const recordKey = keyColumns.length === 1 ? `json_table.${keyColumns[0]}` : tempKey;
+
+            const diffQuery = `${this.getTargetValuesQuery(sourceTableName, keyTypes, comparedFields)}
+                SELECT 
+                    COUNT(*) as compared_records${comparedFields.map(compared => `,
+                    COUNTIF(${compared.exactMatch}) as ${compared.alias}_exact,
+                    COUNTIF(${compared.mismatch}) as ${compared.alias}_mismatches,
+                    ARRAY_AGG(IF(${compared.mismatch}, STRUCT(${recordKey} as record_key, ${compared.jsonValue} as json_value, target.${compared.alias} as bq_value), NULL)
+                        IGNORE NULLS ORDER BY ${recordKey} LIMIT ${SAMPLE_DIFFERENCES}) as ${compared.alias}_samples`).join('')}
+                FROM \`${tempTableId}\` json_table
+                INNER JOIN target
+                ON ${tempKey} = target.key_value
+                WHERE ${CompositeKey.notNullCondition(keyColumns, 'json_table')}
+            `;
+
+            const [rows] = await this.bigquery.query(diffQuery);
+            const row = rows[0] || {};
+            const comparedRecords = parseInt(row.compared_records || 0);
+
+            const fieldComparison = comparedFields.map(compared => {
+                const differences = parseInt(row[`${compared.alias}_mismatches`] || 0);
+                const exactMatches = parseInt(row[`${compared.alias}_exact`] || 0);
+                return {
+                    fieldName: compared.field,
+                    tempType: compared.tempType,
+                    sourceType: compared.sourceType,
+                    comparisonType: compared.commonType,
+                    rule: compared.rule,
+                    transform: compared.transform,
+                    totalRecords: comparedRecords,
+                    perfectMatches: comparedRecords - differences,
+                    exactMatches: exactMatches,
+                    toleranceMatches: comparedRecords - differences - exactMatches,
+                    differences: differences,
+                    matchRate: comparedRecords > 0 ? (((comparedRecords - differences) / comparedRecords) * 100).toFixed(1) : '0.0',
+                    mismatchRate: comparedRecords > 0 ? ((differences / comparedRecords) * 100).toFixed(1) : '0.0',
+                    sampleDifferences: row[`${compared.alias}_samples`] || []
+                };
+            });
+            const totalFieldIssues = fieldComparison.reduce((sum, field) => sum + field.differences, 0);
+            const totalToleranceMatches = fieldComparison.reduce((sum, field) => sum + field.toleranceMatches, 0);
+
+            console.log(`Field analysis completed: ${totalFieldIssues} mismatching values across ${fields.length} fields and ${comparedRecords} matched records`);
+
             return {
+                method: 'full-table-column-diff',
                 totalFieldIssues: totalFieldIssues,
+                totalToleranceMatches: totalToleranceMatches,
                 fieldComparison: fieldComparison,
-                fieldsAnalyzed: safeFields.length,
-                recordsAnalyzed: matchedIds.length,
-                perfectFields: fieldComparison.filter(f => f.differences === 0 && !f.error).length,
-                problematicFields: fieldComparison.filter(f => f.differences > 0 || f.error).length,
-                summary: `Analyzed ${safeFields.length} common fields across ${matchedIds.length} matched records`
+                fieldsAnalyzed: fields.length,
+                recordsAnalyzed: comparedRecords,
+                perfectFields: fieldComparison.filter(f => f.differences === 0).length,
+                problematicFields: fieldComparison.filter(f => f.differences > 0).length,
+                summary: `Analyzed ${fields.length} common fields across all ${comparedRecords} matched records`
             };
-            
+
         } catch (error) {
             console.error('Common field analysis failed:', error.message);
             return {
@@ -955,6 +1339,190 @@ class ComparisonEngineService {
         }
     }
 
+    /**
+     * One page of the matched records whose values differ in a field (beyond its rule, if any), ordered by key
+     */
+    async getColumnMismatchPage(tempTableId, sourceTableName, primaryKey, field, page = 0, pageSize = KEY_PAGE_SIZE, fieldRules = new FieldRules(), transforms = new FieldTransforms()) {
+        const keyColumns = CompositeKey.parse(primaryKey);
+        const columnTypes = await this.getColumnTypes(tempTableId, sourceTableName);
+        // The field name goes into SQL, so it must be a column of both tables (or a transformed target column)
+        if (!(columnTypes.temp.has(field) || transforms.get(field)) || !columnTypes.source.has(field) || keyColumns.includes(field)) {
+            throw new Error(`Field '${field}' is not a compared column of both tables`);
+        }
+        transforms.validate([...columnTypes.temp.keys()], [...columnTypes.source.keys()], keyColumns);
+
+        const keyTypes = await this.getKeyTypes(tempTableId, sourceTableName, keyColumns);
+        const [compared] = this.describeComparedFields([field], columnTypes, fieldRules, transforms);
+        const tempKey = this.getKeyExpression(keyTypes, 'temp', 'json_table');
+        const recordKey = keyColumns.length === 1 ? `json_table.${keyColumns[0]}` : tempKey;
+
+        const [rows] = await this.bigquery.query(`${this.getTargetValuesQuery(sourceTableName, keyTypes, [compared])}
+            SELECT 
+                ${recordKey} as record_key,
+                ${compared.jsonValue} as json_value,
+                target.${compared.alias} as bq_value
+            FROM \`${tempTableId}\` json_table
+            INNER JOIN target
+            ON ${tempKey} = target.key_value
+            WHERE ${CompositeKey.notNullCondition(keyColumns, 'json_table')}
+            AND ${compared.mismatch}
+            ORDER BY record_key
+            LIMIT ${pageSize} OFFSET ${page * pageSize}
+        `);
+        return rows;
+    }
+
+    /**
+     * Record statuses to export from a comma-separated list (all of them when empty)
+     */
+    static parseRecordStatuses(value) {
+        const statuses = String(value || '').split(',').map(status => status.trim()).filter(Boolean);
+        const unknown = statuses.filter(status => !RECORD_STATUSES.includes(status));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown record status: ${unknown.join(', ')} (use ${RECORD_STATUSES.join(', ')})`);
+        }
+        return statuses.length > 0 ? statuses : RECORD_STATUSES;
+    }
+
+    /**
+     * Every missing, extra and mismatched record with the values of the compared fields on both
+     * sides, streamed from one query ordered by status and key. The fields are selected as in the
+     * comparison (selection, options.transforms); options.fieldRules decide what differs.
+     * Row columns: status, record_key, s<i> / t<i> (source / target value of fields[i], 'NULL' for NULL)
+     * and d<i> (fields[i] differs).
+     */
+    async streamRecordDifferences(tempTableId, sourceTableName, primaryKey, selection = new FieldSelection(), options = {}) {
+        const keyColumns = CompositeKey.parse(primaryKey);
+        const statuses = options.statuses || RECORD_STATUSES;
+        const transforms = options.transforms || new FieldTransforms();
+
+        const schemaAnalysis = await this.getCommonFields(tempTableId, sourceTableName);
+        const missingColumns = keyColumns.filter(column => !schemaAnalysis.commonFields.includes(column));
+        if (missingColumns.length > 0) {
+            throw new Error(`Primary key '${missingColumns.join("', '")}' not available in both tables`);
+        }
+        transforms.validate(
+            [...schemaAnalysis.commonFields, ...(schemaAnalysis.jsonOnlyFields || [])],
+            [...schemaAnalysis.commonFields, ...(schemaAnalysis.bqOnlyFields || [])],
+            keyColumns
+        );
+
+        const { fields } = this.selectComparisonFields(schemaAnalysis, keyColumns, selection, transforms);
+        const keyTypes = await this.getKeyTypes(tempTableId, sourceTableName, keyColumns);
+        const comparedFields = this.describeComparedFields(fields, await this.getColumnTypes(tempTableId, sourceTableName), options.fieldRules, transforms);
+        const tempKey = this.getKeyExpression(keyTypes, 'temp', 'json_table');
+        // Temp rows without a key are left out, so a NULL key column means there is no source row
+        const inSource = `json_table.${keyColumns[0]} IS NOT NULL`;
+        const targetKey = keyColumns.length === 1 ? 'CAST(target.key_value AS STRING)' : 'target.key_value';
+        const anyDifference = comparedFields.length > 0 ? comparedFields.map((compared, index) => `d${index}`).join(' OR ') : 'FALSE';
+        const wanted = [
+            ...statuses.filter(status => status !== 'mismatched').map(status => `status = '${status}'`),
+            ...(statuses.includes('mismatched') ? [`(status = 'matched' AND (${anyDifference}))`] : [])
+        ];
+
+        const query = `${this.getTargetValuesQuery(sourceTableName, keyTypes, comparedFields)}
+            SELECT IF(status = 'matched', 'mismatched', status) AS status, record_key${comparedFields.map((compared, index) => `, s${index}, t${index}, d${index}`).join('')}
+            FROM (
+                SELECT 
+                    CASE WHEN target.key_value IS NULL THEN 'missing' WHEN NOT (${inSource}) THEN 'extra' ELSE 'matched' END AS status,
+                    IF(${inSource}, ${this.getKeyStringExpression(keyTypes, 'temp', 'json_table')}, ${targetKey}) AS record_key${comparedFields.map((compared, index) => `,
+                    ${compared.jsonValue} AS s${index},
+                    target.${compared.alias} AS t${index},
+                    (${inSource} AND target.key_value IS NOT NULL AND IFNULL(${compared.mismatch}, FALSE)) AS d${index}`).join('')}
+                FROM (
+                    SELECT * FROM \`${tempTableId}\`
+                    WHERE ${CompositeKey.notNullCondition(keyColumns)}
+                ) json_table
+                FULL OUTER JOIN target
+                ON ${tempKey} = target.key_value
+            )
+            WHERE ${wanted.join(' OR ')}
+            ORDER BY status, record_key
+        `;
+        console.log(`Streaming record differences (${statuses.join(', ')}) of ${tempTableId} vs ${sourceTableName} over ${fields.length} fields`);
+        return { keyColumns, fields, rows: this.bigquery.createQueryStream({ query: query }) };
+    }
+
+    /**
+     * DATASET: Break missing and mismatched records down by the file (shard) each record was loaded from.
+     * One query over the whole temp table - the target side is reduced to one row per key first.
+     */
+    async analyzeBySourceFile(tempTableId, sourceTableName, primaryKey, fields, fieldRules = new FieldRules(), transforms = new FieldTransforms()) {
+        try {
+            console.log(`Breaking down results by ${SOURCE_FILE_COLUMN}...`);
+
+            const keyColumns = CompositeKey.parse(primaryKey);
+            const keyTypes = await this.getKeyTypes(tempTableId, sourceTableName, keyColumns);
+            const tempKey = this.getKeyExpression(keyTypes, 'temp', 'json_table');
+            const tempKeyString = this.getKeyStringExpression(keyTypes, 'temp', 'json_table');
+            const tempKeyPresent = `(${CompositeKey.notNullCondition(keyColumns, 'json_table')})`;
+            const comparedFields = this.describeComparedFields(fields, await this.getColumnTypes(tempTableId, sourceTableName), fieldRules, transforms);
+
+            const anyDifference = comparedFields.length > 0 ? comparedFields.map(compared => compared.mismatch).join(' OR ') : 'FALSE';
+
+            const breakdownQuery = `${this.getTargetValuesQuery(sourceTableName, keyTypes, comparedFields)}
+                SELECT 
+                    json_table.${SOURCE_FILE_COLUMN} as source_file,
+                    COUNT(*) as total_records,
+                    COUNTIF(NOT ${tempKeyPresent}) as null_primary_keys,
+                    COUNTIF(target.key_value IS NOT NULL) as reached_target,
+                    COUNTIF(${tempKeyPresent} AND target.key_value IS NULL) as missing_in_target,
+                    COUNTIF(target.key_value IS NOT NULL AND (${anyDifference})) as mismatched_records${comparedFields.map(compared => `,
+                    COUNTIF(target.key_value IS NOT NULL AND ${compared.mismatch}) as ${compared.alias}_differences`).join('')},
+                    ARRAY_AGG(IF(${tempKeyPresent} AND target.key_value IS NULL, ${tempKeyString}, NULL) IGNORE NULLS LIMIT 10) as sample_missing_keys,
+                    ARRAY_AGG(IF(target.key_value IS NOT NULL AND (${anyDifference}), ${tempKeyString}, NULL) IGNORE NULLS LIMIT 10) as sample_mismatched_keys
+                FROM \`${tempTableId}\` json_table
+                LEFT JOIN target
+                ON ${tempKey} = target.key_value
+                GROUP BY source_file
+                ORDER BY source_file
+            `;
+
+            const [rows] = await this.bigquery.query(breakdownQuery);
+
+            const shards = rows.map(row => {
+                const totalRecords = parseInt(row.total_records);
+                const reachedTarget = parseInt(row.reached_target);
+                return {
+                    sourceFile: row.source_file,
+                    totalRecords: totalRecords,
+                    nullPrimaryKeys: parseInt(row.null_primary_keys),
+                    recordsReachedTarget: reachedTarget,
+                    recordsMissingInTarget: parseInt(row.missing_in_target),
+                    mismatchedRecords: parseInt(row.mismatched_records),
+                    matchRate: totalRecords > 0 ? ((reachedTarget / totalRecords) * 100).toFixed(1) : '0.0',
+                    fieldDifferences: comparedFields.reduce((counts, compared) => {
+                        counts[compared.field] = parseInt(row[`${compared.alias}_differences`]);
+                        return counts;
+                    }, {}),
+                    sampleMissingKeys: row.sample_missing_keys || [],
+                    sampleMismatchedKeys: row.sample_mismatched_keys || []
+                };
+            });
+
+            console.log(`Source file breakdown: ${shards.length} files, ${shards.filter(shard => shard.recordsMissingInTarget > 0 || shard.mismatchedRecords > 0).length} with missing or mismatched records`);
+
+            return {
+                column: SOURCE_FILE_COLUMN,
+                fieldsCompared: comparedFields.map(compared => compared.field),
+                totalSourceFiles: shards.length,
+                sourceFilesWithIssues: shards.filter(shard => shard.recordsMissingInTarget > 0 || shard.mismatchedRecords > 0).length,
+                shards: shards
+            };
+
+        } catch (error) {
+            console.error('Source file breakdown failed:', error.message);
+            return {
+                column: SOURCE_FILE_COLUMN,
+                fieldsCompared: [],
+                totalSourceFiles: 0,
+                sourceFilesWithIssues: 0,
+                shards: [],
+                error: error.message
+            };
+        }
+    }
+
     /**
      * LEGACY: Keep for backward compatibility
      */
@@ -1147,4 +1715,8 @@ class ComparisonEngineService {
     }
 }
 
+ComparisonEngineService.KEY_SETS = KEY_SETS;
+ComparisonEngineService.RECORD_STATUSES = RECORD_STATUSES;
+ComparisonEngineService.TABLE_ID_PATTERN = TABLE_ID_PATTERN;
+
 module.exports = ComparisonEngineService;
\ No newline at end of file
@@ -0,0 +1,68 @@
+// services/composite-key.js - Primary keys made of one or more columns
+/**
+ * A primary key is an ordered list of columns. A single column keeps its plain values;
+ * several columns are rendered as a tuple such as ("A1", "eu-west") in SQL, results and exports.
+ */
+class CompositeKey {
+    /**
+     * Ordered key columns from a column name, a comma-separated list ("account_id, region") or an array
+     */
+    static parse(primaryKey) {
+        const columns = Array.isArray(primaryKey) ? primaryKey : String(primaryKey || '').split(',');
+        return columns
+            .map(column => String(column).trim())
+            .filter((column, index, all) => column && column !== 'undefined' && all.indexOf(column) === index);
+    }
+
+    /**
+     * 'id' for a single column, '(account_id, region)' for a composite key
+     */
+    static label(columns) {
+        return columns.length === 1 ? columns[0] : `(${columns.join(', ')})`;
+    }
+
+    /**
+     * SQL key from one expression per column. Tuple elements are JSON-encoded,
+     * so a comma inside a value cannot make two different keys look alike.
+     * rawExpressions (the uncast columns) stand in for elements whose cast failed,
+     * so a value that does not fit the key type never reads as null.
+     */
+    static tupleExpression(expressions, rawExpressions = expressions) {
+        if (expressions.length === 1) {
+            return expressions[0];
+        }
+        return `CONCAT('(', ${expressions.map((expression, index) => {
+            const raw = rawExpressions[index];
+            return raw === expression ?
+                `TO_JSON_STRING(${expression})` :
+                `IF(${expression} IS NULL AND ${raw} IS NOT NULL, TO_JSON_STRING(${raw}), TO_JSON_STRING(${expression}))`;
+        }).join(`, ', ', `)}, ')')`;
+    }
+
+    /**
+     * SQL condition that every key column has a value
+     */
+    static notNullCondition(columns, alias = null) {
+        const prefix = alias ? `${alias}.` : '';
+        return columns.map(column => `${prefix}${column} IS NOT NULL`).join(' AND ');
+    }
+
+    /**
+     * Key of a record read in JavaScript, rendered like tupleExpression
+     */
+    static formatValues(values) {
+        if (values.length === 1) {
+            return values[0];
+        }
+        return `(${values.map(value => JSON.stringify(value === undefined ? null : value)).join(', ')})`;
+    }
+
+    /**
+     * Quoted SQL string literal for a key value
+     */
+    static sqlLiteral(value) {
+        return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+}
+
+module.exports = CompositeKey;
@@ -0,0 +1,41 @@
+// services/contract-store.js - JSON Schema contracts saved per data source
+const path = require('path');
+const JsonFileStore = require('./json-file-store');
+
+// Contracts are configuration, not uploads, so they live outside the swept upload directories
+const CONTRACTS_PATH = process.env.CONTRACTS_PATH || path.join(__dirname, '..', 'contracts', 'contracts.json');
+
+/**
+ * Contracts keyed by data source name (usually the BigQuery table the feed lands in,
+ * e.g. "project.dataset.table").
+ */
+class ContractStore extends JsonFileStore {
+    constructor(storePath = CONTRACTS_PATH) {
+        super(storePath, 'Contract');
+    }
+
+    /**
+     * Saved contracts without their schemas
+     */
+    list() {
+        return Object.values(this.readEntries())
+            .map(({ schema, ...summary }) => summary)
+            .sort((a, b) => a.dataSource.localeCompare(b.dataSource));
+    }
+
+    async save(dataSource, schema, savedBy = null) {
+        const entry = await this.put(dataSource, {
+            title: schema.title || null,
+            schemaId: schema.$id || null,
+            savedBy: savedBy,
+            savedAt: new Date().toISOString(),
+            schema: schema
+        });
+        console.log(`Saved contract for ${entry.dataSource}${entry.title ? ` (${entry.title})` : ''}`);
+        return entry;
+    }
+}
+
+ContractStore.CONTRACTS_PATH = CONTRACTS_PATH;
+
+module.exports = ContractStore;
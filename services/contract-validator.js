@@ -0,0 +1,260 @@
+// services/contract-validator.js - Validate upload records against a JSON Schema contract
+const Ajv = require('ajv');
+const Ajv2019 = require('ajv/dist/2019');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const _ = require('lodash');
+const DatasetReader = require('./dataset-reader');
+const CompositeKey = require('./composite-key');
+
+// Records kept with their full list of violations; the rest are only counted per rule
+const MAX_RECORD_SAMPLES = 100;
+const MAX_RULE_SAMPLES = 10;
+const MAX_VALUE_LENGTH = 100;
+
+/**
+ * Checks each record (as read from the file, before flattening) against a contract and
+ * aggregates the violations per record and per rule (schema location).
+ */
+class ContractValidator {
+    constructor(contract, options = {}) {
+        this.schema = ContractValidator.parseContract(contract);
+        this.options = options;
+        this.validators = {};
+    }
+
+    /**
+     * A contract is a JSON Schema object, or its JSON text (multipart forms send text)
+     */
+    static parseContract(contract) {
+        let schema = contract;
+        if (typeof schema === 'string') {
+            try {
+                schema = JSON.parse(schema);
+            } catch (error) {
+                throw new Error(`Invalid contract: not valid JSON (${error.message})`);
+            }
+        }
+
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new Error('Invalid contract: expected a JSON Schema object');
+        }
+        return schema;
+    }
+
+    /**
+     * Build validation options from request body/query values
+     * (limit: records to validate, coerceTypes: read "42" as a number etc., primaryKey: field(s) that identify records)
+     */
+    static optionsFromRequest(source = {}) {
+        const options = { limit: null, coerceTypes: null, primaryKey: CompositeKey.parse(source.primaryKey) };
+
+        if (source.limit !== undefined && source.limit !== null && source.limit !== '') {
+            options.limit = parseInt(source.limit, 10);
+            if (!Number.isInteger(options.limit) || options.limit < 1) {
+                throw new Error(`Invalid validation limit: ${source.limit} (use a positive number of records)`);
+            }
+        }
+
+        if (source.coerceTypes !== undefined && source.coerceTypes !== '') {
+            options.coerceTypes = source.coerceTypes === true || String(source.coerceTypes).toLowerCase() === 'true';
+        }
+
+        return options;
+    }
+
+    /**
+     * Contract to apply, in order: one sent with the request, one attached to the upload,
+     * the saved contract the upload refers to, the saved contract of the data source.
+     * Returns { schema, source, dataSource } or null.
+     */
+    static resolveContract({ contract, entry, dataSource }, store) {
+        if (contract) {
+            return { schema: ContractValidator.parseContract(contract), source: 'request', dataSource: null };
+        }
+        if (entry && entry.contract) {
+            return { schema: entry.contract, source: 'upload', dataSource: null };
+        }
+
+        for (const name of [entry && entry.contractSource, dataSource]) {
+            const saved = name ? store.get(name) : null;
+            if (saved) {
+                return { schema: saved.schema, source: 'saved', dataSource: saved.dataSource };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Ajv for the contract's draft (2020-12, 2019-09, otherwise draft-07), with the standard formats.
+     * Unknown keywords are allowed - contracts often carry documentation keywords of their own.
+     */
+    getValidator(coerceTypes) {
+        const cacheKey = coerceTypes ? 'coerce' : 'strict';
+        if (!this.validators[cacheKey]) {
+            const draft = String(this.schema.$schema || '');
+            const AjvClass = draft.includes('2020-12') ? Ajv2020 : (draft.includes('2019-09') ? Ajv2019 : Ajv);
+            const ajv = new AjvClass({ allErrors: true, strict: false, coerceTypes: Boolean(coerceTypes) });
+            addFormats(ajv);
+
+            try {
+                this.validators[cacheKey] = ajv.compile(this.schema);
+            } catch (error) {
+                throw new Error(`Invalid contract: ${error.message}`);
+            }
+        }
+        return this.validators[cacheKey];
+    }
+
+    /**
+     * Check the contract compiles (used before saving or attaching it)
+     */
+    compile() {
+        this.getValidator(false);
+        return this;
+    }
+
+    /**
+     * '/items/3/sku' -> 'items[3].sku' (or 'items[*].sku' for the rule's field pattern)
+     */
+    static fieldPath(instancePath, wildcardIndices = false) {
+        return instancePath.split('/').slice(1)
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((fieldPath, segment) => {
+                if (/^\d+$/.test(segment)) {
+                    return `${fieldPath}[${wildcardIndices ? '*' : segment}]`;
+                }
+                return fieldPath ? `${fieldPath}.${segment}` : segment;
+            }, '');
+    }
+
+    static displayValue(value) {
+        if (value === undefined) {
+            return undefined;
+        }
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > MAX_VALUE_LENGTH ? `${text.substring(0, MAX_VALUE_LENGTH)}...` : text;
+    }
+
+    describeError(record, error) {
+        // required errors point at the parent object; report the missing field itself
+        const missing = error.keyword === 'required' || error.keyword === 'dependentRequired' ?
+            error.params.missingProperty : null;
+        const instancePath = missing ? `${error.instancePath}/${missing}` : error.instancePath;
+        const valuePath = instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+        return {
+            field: ContractValidator.fieldPath(instancePath) || '(record)',
+            fieldPattern: ContractValidator.fieldPath(instancePath, true) || '(record)',
+            keyword: error.keyword,
+            rule: error.schemaPath,
+            message: missing ? 'is required' : error.message,
+            value: missing ? undefined : ContractValidator.displayValue(valuePath.length > 0 ? _.get(record, valuePath) : record)
+        };
+    }
+
+    /**
+     * Validate the records of a reader. Delimited sources hold only text, so their values are
+     * coerced to the contract's types unless coerceTypes says otherwise.
+     */
+    async validate(reader) {
+        await reader.detectFormat();
+        const coerceTypes = this.options.coerceTypes !== null && this.options.coerceTypes !== undefined ?
+            this.options.coerceTypes : ['delimited', 'mixed'].includes(reader.format);
+        const validate = this.getValidator(coerceTypes);
+        const limit = this.options.limit || null;
+        const keyColumns = CompositeKey.parse(this.options.primaryKey);
+
+        const rules = new Map();
+        const recordViolations = [];
+        const violationsByKeyword = {};
+        let recordsValidated = 0;
+        let invalidRecords = 0;
+        let totalViolations = 0;
+        let truncated = false;
+
+        for await (const tagged of reader.records()) {
+            if (limit !== null && recordsValidated >= limit) {
+                truncated = true;
+                break;
+            }
+            recordsValidated++;
+
+            // The dataset's source file column is not part of the feed's contract
+            let record = tagged;
+            let sourceFile = null;
+            if (reader instanceof DatasetReader) {
+                ({ [DatasetReader.SOURCE_FILE_COLUMN]: sourceFile, ...record } = tagged);
+            }
+
+            if (validate(record)) {
+                continue;
+            }
+
+            invalidRecords++;
+            const violations = validate.errors.map(error => this.describeError(record, error));
+            totalViolations += violations.length;
+
+            for (const violation of violations) {
+                violationsByKeyword[violation.keyword] = (violationsByKeyword[violation.keyword] || 0) + 1;
+
+                let rule = rules.get(violation.rule);
+                if (!rule) {
+                    rule = {
+                        rule: violation.rule,
+                        keyword: violation.keyword,
+                        field: violation.fieldPattern,
+                        message: violation.message,
+                        violations: 0,
+                        sampleRecords: [],
+                        sampleValues: []
+                    };
+                    rules.set(violation.rule, rule);
+                }
+                rule.violations++;
+                if (rule.sampleRecords.length < MAX_RULE_SAMPLES && !rule.sampleRecords.includes(recordsValidated)) {
+                    rule.sampleRecords.push(recordsValidated);
+                }
+                if (violation.value !== undefined && rule.sampleValues.length < MAX_RULE_SAMPLES && !rule.sampleValues.includes(violation.value)) {
+                    rule.sampleValues.push(violation.value);
+                }
+            }
+
+            if (recordViolations.length < MAX_RECORD_SAMPLES) {
+                recordViolations.push({
+                    recordNumber: recordsValidated,
+                    key: keyColumns.length > 0 ?
+                        ContractValidator.displayValue(CompositeKey.formatValues(keyColumns.map(column => _.get(record, column)))) : undefined,
+                    sourceFile: sourceFile || undefined,
+                    violations: violations.map(({ fieldPattern, ...violation }) => violation)
+                });
+            }
+        }
+
+        const validRecords = recordsValidated - invalidRecords;
+        console.log(`Contract validation: ${validRecords}/${recordsValidated} records compliant, ${totalViolations} violations`);
+
+        return {
+            contract: {
+                title: this.schema.title || null,
+                schemaId: this.schema.$id || null,
+                draft: this.schema.$schema || 'draft-07 (default)'
+            },
+            status: invalidRecords === 0 ? 'compliant' : 'non-compliant',
+            coerceTypes: coerceTypes,
+            recordsValidated: recordsValidated,
+            limit: limit,
+            truncated: truncated,
+            validRecords: validRecords,
+            invalidRecords: invalidRecords,
+            complianceRate: recordsValidated > 0 ? ((validRecords / recordsValidated) * 100).toFixed(1) : '0.0',
+            totalViolations: totalViolations,
+            violationsByKeyword: violationsByKeyword,
+            violationsByRule: Array.from(rules.values()).sort((a, b) => b.violations - a.violations),
+            recordViolations: recordViolations,
+            recordSamplesTruncated: invalidRecords > recordViolations.length
+        };
+    }
+}
+
+module.exports = ContractValidator;
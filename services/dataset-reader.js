@@ -0,0 +1,192 @@
+// services/dataset-reader.js - Several uploaded files (shards) read as one source
+const fs = require('fs');
+const RecordReader = require('./record-reader');
+
+// Column added to every record with the original name of the shard it came from
+const SOURCE_FILE_COLUMN = '_source_file';
+
+/**
+ * Reads the shards of a dataset one after another, each with its own RecordReader
+ * (so shards may differ in format or compression), and tags every record with
+ * its originating shard. Exposes the same interface as RecordReader.
+ */
+class DatasetReader {
+    /**
+     * shards: [{ id, originalName, path }] as stored in the file registry
+     */
+    constructor(shards, options = {}) {
+        const missing = shards.filter(shard => !fs.existsSync(shard.path));
+        if (missing.length > 0) {
+            throw new Error(`Dataset shard(s) no longer on disk: ${missing.map(shard => shard.originalName).join(', ')}`);
+        }
+
+        this.shards = DatasetReader.sortShards(shards);
+        this.options = options;
+        this.readers = this.shards.map(shard => new RecordReader(shard.path, options));
+        this.format = null;
+        this.recordRoot = null;
+    }
+
+    /**
+     * Natural order by original name, so part-2 comes before part-10
+     */
+    static sortShards(shards) {
+        return shards.slice().sort((a, b) =>
+            a.originalName.localeCompare(b.originalName, undefined, { numeric: true, sensitivity: 'base' }));
+    }
+
+    get compression() {
+        return null;
+    }
+
+    get sourceSchema() {
+        return this.getSourceSchema();
+    }
+
+    /**
+     * Combined statistics of the latest pass, with one entry per shard
+     */
+    get stats() {
+        const unique = values => Array.from(new Set(values.filter(Boolean))).join(' + ') || null;
+        const sum = key => this.readers.reduce((total, reader) => total + (reader.stats[key] || 0), 0);
+
+        return {
+            format: unique(this.readers.map(reader => reader.stats.format)),
+            parseMethod: unique(this.readers.map(reader => reader.stats.parseMethod)),
+            totalRecords: sum('totalRecords'),
+            skippedLines: sum('skippedLines'),
+            skippedValues: sum('skippedValues'),
+            rejectedLines: this.readers.flatMap((reader, index) =>
+                reader.stats.rejectedLines.map(rejected => ({ sourceFile: this.shards[index].originalName, ...rejected }))),
+            quarantineFile: null,
+            fileSize: sum('fileSize'),
+            compression: null,
+            parts: this.readers.flatMap((reader, index) =>
+                reader.stats.parts.map(part => ({ sourceFile: this.shards[index].originalName, ...part }))),
+            recordRoot: this.readers.length > 0 ? this.readers[0].stats.recordRoot : null,
+            shards: this.readers.map((reader, index) => ({
+                sourceFile: this.shards[index].originalName,
+                fileId: this.shards[index].id,
+                format: reader.stats.format,
+                records: reader.stats.totalRecords,
+                skippedLines: reader.stats.skippedLines,
+                fileSize: reader.stats.fileSize
+            }))
+        };
+    }
+
+    /**
+     * Detect every shard's format; returns the shared format or 'mixed'
+     */
+    async detectFormat() {
+        if (this.format) {
+            return this.format;
+        }
+
+        const formats = new Set();
+        for (const [index, reader] of this.readers.entries()) {
+            try {
+                formats.add(await reader.detectFormat());
+            } catch (error) {
+                throw new Error(`${error.message} (in ${this.shards[index].originalName})`);
+            }
+        }
+
+        this.format = formats.size === 1 ? Array.from(formats)[0] : 'mixed';
+        return this.format;
+    }
+
+    /**
+     * Resolve each shard's record root; the first shard's root is returned
+     */
+    async resolveRecordRoot() {
+        if (this.recordRoot) {
+            return this.recordRoot;
+        }
+
+        for (const [index, reader] of this.readers.entries()) {
+            try {
+                await reader.resolveRecordRoot();
+            } catch (error) {
+                throw new Error(`${error.message} (in ${this.shards[index].originalName})`);
+            }
+        }
+
+        this.recordRoot = this.readers[0].recordRoot;
+        return this.recordRoot;
+    }
+
+    /**
+     * Async generator over every shard's records, each tagged with its shard's original name
+     */
+    async *records() {
+        await this.resolveRecordRoot();
+
+        for (const [index, reader] of this.readers.entries()) {
+            const sourceFile = this.shards[index].originalName;
+            try {
+                for await (const record of reader.records()) {
+                    // The source column comes first; a field of the same name in the file is replaced
+                    const tagged = { [SOURCE_FILE_COLUMN]: sourceFile };
+                    Object.assign(tagged, record);
+                    tagged[SOURCE_FILE_COLUMN] = sourceFile;
+                    yield tagged;
+                }
+            } catch (error) {
+                throw new Error(`${error.message} (in ${sourceFile})`);
+            }
+        }
+    }
+
+    /**
+     * Rejected lines of all shards; quarantine files stay per shard
+     */
+    getParseReport() {
+        const reports = this.readers.map(reader => reader.getParseReport());
+
+        return {
+            strict: RecordReader.isStrict(this.options),
+            recordsRejected: reports.reduce((total, report) => total + report.recordsRejected, 0),
+            rejectedLines: reports.flatMap((report, index) =>
+                report.rejectedLines.map(rejected => ({ sourceFile: this.shards[index].originalName, ...rejected }))),
+            samplesTruncated: reports.some(report => report.samplesTruncated),
+            quarantineUrl: null,
+            quarantineFiles: reports
+                .map((report, index) => ({ sourceFile: this.shards[index].originalName, quarantineUrl: report.quarantineUrl }))
+                .filter(entry => entry.quarantineUrl)
+        };
+    }
+
+    /**
+     * File schema of the first Parquet/Avro shard, plus the source file column
+     */
+    getSourceSchema() {
+        const schema = this.readers.map(reader => reader.getSourceSchema()).find(Boolean);
+        if (!schema) {
+            return null;
+        }
+
+        return {
+            ...schema,
+            source: `${this.shards.length} shards`,
+            skeleton: { [SOURCE_FILE_COLUMN]: 'STRING', ...schema.skeleton },
+            columns: [{ path: SOURCE_FILE_COLUMN, type: 'STRING' }, ...schema.columns]
+        };
+    }
+
+    /**
+     * Shard names are part of the loaded rows (source file column), so they are part of the content options
+     */
+    getContentOptions() {
+        return {
+            shards: this.readers.map((reader, index) => ({
+                sourceFile: this.shards[index].originalName,
+                options: reader.getContentOptions()
+            }))
+        };
+    }
+}
+
+DatasetReader.SOURCE_FILE_COLUMN = SOURCE_FILE_COLUMN;
+
+module.exports = DatasetReader;
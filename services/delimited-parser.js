@@ -0,0 +1,260 @@
+// services/delimited-parser.js - CSV/TSV parsing for delimited source files
+
+const DEFAULT_OPTIONS = {
+    delimiter: ',',
+    quoteChar: '"',
+    hasHeader: true,
+    encoding: 'utf8'
+};
+
+const DELIMITER_ALIASES = {
+    'tab': '\t',
+    '\\t': '\t',
+    'comma': ',',
+    'semicolon': ';',
+    'pipe': '|'
+};
+
+// Parser states
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+const AFTER_QUOTED = 4;
+
+class DelimitedParser {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.delimiter = this.options.delimiter;
+        this.quoteChar = this.options.quoteChar || null;
+
+        if (typeof this.delimiter !== 'string' || this.delimiter.length !== 1) {
+            throw new Error(`Delimiter must be a single character, got: ${JSON.stringify(this.delimiter)}`);
+        }
+        if (this.quoteChar !== null && this.quoteChar.length !== 1) {
+            throw new Error(`Quote character must be a single character, got: ${JSON.stringify(this.quoteChar)}`);
+        }
+        if (this.quoteChar === this.delimiter) {
+            throw new Error('Quote character and delimiter must be different');
+        }
+
+        this.headers = null;
+        this.state = FIELD_START;
+        this.field = '';
+        this.row = [];
+        this.skipLineFeed = false;
+        this.lineNumber = 1;
+        this.rowStartLine = 1;
+        this.rowNumber = 0;
+        this.recordCount = 0;
+    }
+
+    /**
+     * Build parser options from request body/query values for the given file
+     */
+    static optionsFromRequest(source = {}, fileName = '') {
+        const options = { ...DEFAULT_OPTIONS };
+
+        if (fileName.toLowerCase().endsWith('.tsv')) {
+            options.delimiter = '\t';
+        }
+
+        if (source.delimiter !== undefined && source.delimiter !== '') {
+            const raw = String(source.delimiter);
+            options.delimiter = DELIMITER_ALIASES[raw.toLowerCase()] || raw;
+        }
+
+        if (source.quoteChar !== undefined) {
+            const raw = String(source.quoteChar);
+            options.quoteChar = raw === '' || raw.toLowerCase() === 'none' ? null : raw;
+        }
+
+        if (source.hasHeader !== undefined) {
+            options.hasHeader = !(source.hasHeader === false || String(source.hasHeader).toLowerCase() === 'false');
+        }
+
+        if (source.encoding) {
+            options.encoding = String(source.encoding);
+        }
+
+        return options;
+    }
+
+    /**
+     * Create a text decoder for the configured encoding (BOM is stripped)
+     */
+    static createDecoder(encoding = DEFAULT_OPTIONS.encoding) {
+        try {
+            return new TextDecoder(encoding);
+        } catch (error) {
+            throw new Error(`Unsupported encoding: ${encoding}`);
+        }
+    }
+
+    /**
+     * Decode raw file bytes using the configured encoding
+     */
+    static decode(buffer, encoding = DEFAULT_OPTIONS.encoding) {
+        return DelimitedParser.createDecoder(encoding).decode(buffer);
+    }
+
+    /**
+     * Feed a chunk of text; returns the records completed by this chunk
+     */
+    feed(text) {
+        const completed = [];
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (ch === '\n') continue;
+            }
+
+            if (this.state === QUOTED) {
+                if (ch === this.quoteChar) {
+                    this.state = QUOTE_IN_QUOTED;
+                } else {
+                    if (ch === '\n') this.lineNumber++;
+                    this.field += ch;
+                }
+                continue;
+            }
+
+            if (this.state === QUOTE_IN_QUOTED) {
+                if (ch === this.quoteChar) {
+                    // Escaped quote ("") inside a quoted field
+                    this.field += ch;
+                    this.state = QUOTED;
+                    continue;
+                }
+                this.state = AFTER_QUOTED;
+            }
+
+            if (ch === this.delimiter) {
+                this.endField();
+            } else if (ch === '\n' || ch === '\r') {
+                this.endField();
+                this.endRow(completed);
+                this.lineNumber++;
+                this.rowStartLine = this.lineNumber;
+                if (ch === '\r') this.skipLineFeed = true;
+            } else if (this.state === AFTER_QUOTED) {
+                throw this.createError(`unexpected character '${ch}' after closing quote in column ${this.row.length + 1}`);
+            } else if (ch === this.quoteChar && this.state === FIELD_START) {
+                this.state = QUOTED;
+            } else {
+                this.field += ch;
+                this.state = UNQUOTED;
+            }
+        }
+
+        return completed;
+    }
+
+    /**
+     * Flush the last row; returns any remaining records
+     */
+    finish() {
+        const completed = [];
+
+        if (this.state === QUOTED) {
+            throw this.createError(`unterminated quoted field starting at line ${this.rowStartLine}`);
+        }
+
+        if (this.state !== FIELD_START || this.field !== '' || this.row.length > 0) {
+            this.endField();
+            this.endRow(completed);
+        }
+
+        return completed;
+    }
+
+    /**
+     * Parse a complete document in one call
+     */
+    parse(content) {
+        const records = this.feed(content);
+        records.push(...this.finish());
+
+        return {
+            records: records,
+            headers: this.headers || [],
+            rowCount: this.rowNumber
+        };
+    }
+
+    endField() {
+        const wasQuoted = this.state === AFTER_QUOTED || this.state === QUOTE_IN_QUOTED;
+        // Unquoted empty fields are treated as NULL, quoted empty strings stay ''
+        this.row.push(wasQuoted ? this.field : (this.field === '' ? null : this.field));
+        this.field = '';
+        this.state = FIELD_START;
+    }
+
+    endRow(completed) {
+        const row = this.row;
+        this.row = [];
+
+        // Skip blank lines
+        if (row.length === 1 && row[0] === null) {
+            return;
+        }
+
+        this.rowNumber++;
+
+        if (this.headers === null) {
+            if (this.options.hasHeader) {
+                this.headers = this.buildHeaders(row);
+                return;
+            }
+            this.headers = row.map((value, index) => `column_${index + 1}`);
+        }
+
+        if (row.length !== this.headers.length) {
+            throw this.createError(`expected ${this.headers.length} columns but found ${row.length}`, this.rowNumber);
+        }
+
+        const record = {};
+        this.headers.forEach((header, index) => {
+            record[header] = row[index];
+        });
+
+        this.recordCount++;
+        completed.push(record);
+    }
+
+    buildHeaders(row) {
+        const names = row.map((value, index) => value === null || String(value).trim() === '' ? `column_${index + 1}` : String(value).trim());
+        const given = new Set(names);
+        const used = new Set();
+        const suffixes = new Map();
+
+        return names.map(name => {
+            // De-duplicate repeated header names (id, id -> id, id_2), skipping names used elsewhere in the row
+            if (used.has(name)) {
+                let suffix = suffixes.get(name) || 1;
+                do {
+                    suffix++;
+                } while (used.has(`${name}_${suffix}`) || given.has(`${name}_${suffix}`));
+                suffixes.set(name, suffix);
+                name = `${name}_${suffix}`;
+            }
+
+            used.add(name);
+            return name;
+        });
+    }
+
+    createError(message, row = this.rowNumber + 1) {
+        const error = new Error(`Row ${row} (line ${this.rowStartLine}): ${message}`);
+        error.rowNumber = row;
+        error.lineNumber = this.rowStartLine;
+        return error;
+    }
+}
+
+DelimitedParser.EXTENSIONS = ['.csv', '.tsv'];
+
+module.exports = DelimitedParser;
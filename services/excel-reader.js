@@ -0,0 +1,232 @@
+// services/excel-reader.js - Excel workbook (.xlsx) reading: sheet and header row selection, date serial conversion
+const ExcelJS = require('exceljs');
+
+// Excel serial day 25569 is 1970-01-01 in the 1900 date system; the 1904 system starts 1462 days later
+const UNIX_EPOCH_SERIAL = 25569;
+const DATE_1904_OFFSET = 1462;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class ExcelReader {
+    /**
+     * Build reader options from request body/query values
+     * (sheet: name or 1-based index, headerRow: 1-based row number,
+     * dateColumns: header names whose plain numbers are date serials)
+     */
+    static optionsFromRequest(source = {}) {
+        const options = { sheet: null, headerRow: 1, dateColumns: [] };
+
+        if (source.sheet !== undefined && source.sheet !== '') {
+            options.sheet = String(source.sheet);
+        }
+
+        if (source.headerRow !== undefined && source.headerRow !== '') {
+            options.headerRow = parseInt(source.headerRow, 10);
+            if (!Number.isInteger(options.headerRow) || options.headerRow < 1) {
+                throw new Error(`Invalid header row: ${source.headerRow} (use a row number starting at 1)`);
+            }
+        }
+
+        if (source.dateColumns) {
+            options.dateColumns = (Array.isArray(source.dateColumns) ? source.dateColumns : String(source.dateColumns).split(','))
+                .map(column => String(column).trim())
+                .filter(Boolean);
+        }
+
+        return options;
+    }
+
+    static openWorkbook(filePath) {
+        return new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+            sharedStrings: 'cache',
+            // Styles are needed to recognise date-formatted cells
+            styles: 'cache',
+            hyperlinks: 'ignore',
+            worksheets: 'emit',
+            entries: 'emit'
+        });
+    }
+
+    /**
+     * Sheets of a workbook: [{ index, name, rowCount }] (rows that hold any value)
+     */
+    static async listSheets(filePath) {
+        const sheets = [];
+
+        try {
+            for await (const worksheet of ExcelReader.openWorkbook(filePath)) {
+                let rowCount = 0;
+                for await (const row of worksheet) {
+                    if (row.hasValues) rowCount++;
+                }
+                sheets.push({ index: sheets.length + 1, name: worksheet.name, rowCount: rowCount });
+            }
+        } catch (error) {
+            throw new Error(`Parse error: not a readable Excel workbook (${error.message})`);
+        }
+
+        if (sheets.length === 0) {
+            throw new Error('Parse error: Excel workbook has no sheets');
+        }
+        return sheets;
+    }
+
+    /**
+     * Pick the requested sheet by name or 1-based index (first sheet by default)
+     */
+    static selectSheet(sheets, requested) {
+        if (requested === null || requested === undefined) {
+            return sheets[0];
+        }
+
+        const sheet = sheets.find(candidate => candidate.name === requested) ||
+            (/^\d+$/.test(requested) ? sheets[Number(requested) - 1] : undefined);
+        if (!sheet) {
+            throw new Error(`Invalid sheet '${requested}' (available: ${sheets.map(candidate => candidate.name).join(', ')})`);
+        }
+        return sheet;
+    }
+
+    /**
+     * Date serial number -> JS Date (UTC wall clock, like Excel's own display).
+     * The 1900 system counts the non-existent 1900-02-29, so serials before it are one day off.
+     */
+    static dateFromSerial(serial, date1904 = false) {
+        let days = serial;
+        if (date1904) {
+            days += DATE_1904_OFFSET;
+        } else if (serial < 61) {
+            days += 1;
+        }
+        return new Date(Math.round((days - UNIX_EPOCH_SERIAL) * MS_PER_DAY));
+    }
+
+    /**
+     * Dates become 'YYYY-MM-DD' at midnight, otherwise 'YYYY-MM-DD HH:MM:SS[.mmm]' (no zone - Excel has none)
+     */
+    static formatDate(date) {
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+
+        const iso = date.toISOString();
+        if (iso.endsWith('T00:00:00.000Z')) {
+            return iso.substring(0, 10);
+        }
+        const time = iso.endsWith('.000Z') ? iso.substring(11, 19) : iso.substring(11, 23);
+        return `${iso.substring(0, 10)} ${time}`;
+    }
+
+    /**
+     * Plain value of a cell: formulas give their cached result, rich text and hyperlinks their text,
+     * error cells (#N/A, #VALUE!) are NULL
+     */
+    static cellValue(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (value instanceof Date) {
+            return ExcelReader.formatDate(value);
+        }
+        if (typeof value !== 'object') {
+            return value;
+        }
+        if (value.richText) {
+            return value.richText.map(part => part.text).join('');
+        }
+        if (value.formula !== undefined || value.sharedFormula !== undefined) {
+            return ExcelReader.cellValue(value.result);
+        }
+        if (value.text !== undefined) {
+            return ExcelReader.cellValue(value.text);
+        }
+        return null;
+    }
+
+    static buildHeaders(values) {
+        const seen = new Map();
+
+        return values.map((value, index) => {
+            const text = value === null ? '' : String(value).trim();
+            let name = text === '' ? `column_${index + 1}` : text;
+
+            // De-duplicate repeated header names (id, id -> id, id_2)
+            const count = (seen.get(name) || 0) + 1;
+            seen.set(name, count);
+            if (count > 1) {
+                name = `${name}_${count}`;
+            }
+
+            return name;
+        });
+    }
+
+    /**
+     * Async generator over the rows below the header row of one sheet, as records keyed by header.
+     * Rows above the header and empty rows are skipped.
+     */
+    static async *readRecords(filePath, sheetName, options = {}) {
+        const { headerRow = 1, dateColumns = [] } = options;
+        const workbook = ExcelReader.openWorkbook(filePath);
+        let headers = null;
+
+        try {
+            for await (const worksheet of workbook) {
+                if (worksheet.name !== sheetName) {
+                    // Drain sheets that are not used
+                    for await (const row of worksheet) { }
+                    continue;
+                }
+
+                const date1904 = Boolean(workbook.model && workbook.model.properties && workbook.model.properties.date1904);
+                for await (const row of worksheet) {
+                    if (row.number < headerRow) {
+                        continue;
+                    }
+
+                    // row.values is 1-based
+                    const values = row.values.slice(1).map(value => ExcelReader.cellValue(value));
+                    if (row.number === headerRow) {
+                        headers = ExcelReader.buildHeaders(values);
+                        const missing = dateColumns.filter(column => !headers.includes(column));
+                        if (missing.length > 0) {
+                            throw new Error(`Parse error: date column(s) not in header row ${headerRow}: ${missing.join(', ')}`);
+                        }
+                        continue;
+                    }
+
+                    if (!headers) {
+                        break;
+                    }
+                    if (values.every(value => value === null || value === '')) {
+                        continue;
+                    }
+
+                    const record = {};
+                    const width = Math.max(headers.length, values.length);
+                    for (let index = 0; index < width; index++) {
+                        const column = headers[index] || `column_${index + 1}`;
+                        let value = values[index] === undefined ? null : values[index];
+                        if (typeof value === 'number' && dateColumns.includes(column)) {
+                            value = ExcelReader.formatDate(ExcelReader.dateFromSerial(value, date1904));
+                        }
+                        record[column] = value;
+                    }
+                    yield record;
+                }
+            }
+        } catch (error) {
+            if (error.message.startsWith('Parse error')) {
+                throw error;
+            }
+            throw new Error(`Parse error: not a readable Excel workbook (${error.message})`);
+        }
+
+        if (!headers) {
+            throw new Error(`Parse error: header row ${headerRow} of sheet '${sheetName}' is empty or missing`);
+        }
+    }
+}
+
+ExcelReader.EXTENSIONS = ['.xlsx'];
+
+module.exports = ExcelReader;
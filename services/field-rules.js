@@ -0,0 +1,194 @@
+// services/field-rules.js - Per-field comparison rules (tolerances and normalization)
+const FieldSelection = require('./field-selection');
+const CompositeKey = require('./composite-key');
+
+// '500ms', '5s', '2m', '1h', '1d' or a number of seconds
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Rules keyed by field name or glob ("*_amount"); exact names win over patterns, then the first
+ * matching pattern. A rule is an object of:
+ *   absoluteTolerance / relativeTolerance  numbers match when |a - b| <= absolute or <= relative * max(|a|, |b|)
+ *   timestampTolerance                     timestamps match within the duration ('2s', '500ms', 60)
+ *   timezone / sourceTimezone / targetTimezone  zone of timestamps written without one (default UTC)
+ *   trim, caseInsensitive, nullEqualsEmpty      text normalization before comparing
+ *   regex                                  pattern removed from both values, or { pattern, replacement }
+ * Values equal as text are exact matches; values equal only after a rule are matches within tolerance.
+ */
+class FieldRules {
+    constructor(rules = {}) {
+        if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+            throw new Error('Invalid field rules: expected an object of { field: rule }');
+        }
+
+        // As given, so follow-up requests (mismatch pages) can carry the same rules
+        this.definition = rules;
+        this.rules = Object.entries(rules).map(([field, rule]) => ({
+            field: field,
+            matcher: FieldSelection.compilePattern(field, 'field rules'),
+            isPattern: /[*?]|^\/.*\/[a-z]*$/.test(field),
+            rule: FieldRules.normalizeRule(field, rule)
+        }));
+    }
+
+    /**
+     * Build rules from request body/query values (fieldRules: object or its JSON text)
+     */
+    static fromRequest(source = {}) {
+        let rules = source.fieldRules || {};
+        if (typeof rules === 'string') {
+            try {
+                rules = JSON.parse(rules);
+            } catch (error) {
+                throw new Error(`Invalid field rules: ${error.message}`);
+            }
+        }
+        return new FieldRules(rules);
+    }
+
+    static parseDuration(value, field) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+        if (!match) {
+            throw new Error(`Invalid rule for '${field}': timestampTolerance ${value} (use e.g. 500ms, 5s, 2m, 1h, 1d)`);
+        }
+        return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 's']);
+    }
+
+    static normalizeRule(field, rule) {
+        if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+            throw new Error(`Invalid rule for '${field}': expected an object`);
+        }
+
+        const tolerance = name => {
+            if (rule[name] === undefined || rule[name] === null || rule[name] === '') {
+                return null;
+            }
+            const value = Number(rule[name]);
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Invalid rule for '${field}': ${name} ${rule[name]} (use a number from 0)`);
+            }
+            return value;
+        };
+        const timezone = name => {
+            const value = rule[name] || rule.timezone || null;
+            if (value && !/^[A-Za-z0-9_+\-\/:]+$/.test(value)) {
+                throw new Error(`Invalid rule for '${field}': ${name} ${value} (use a zone name such as Europe/Berlin or an offset such as +02:00)`);
+            }
+            return value;
+        };
+
+        let regex = null;
+        if (rule.regex) {
+            regex = typeof rule.regex === 'string' ? { pattern: rule.regex, replacement: '' } :
+                { pattern: String(rule.regex.pattern || ''), replacement: String(rule.regex.replacement || '') };
+            try {
+                new RegExp(regex.pattern);
+            } catch (error) {
+                throw new Error(`Invalid rule for '${field}': regex ${regex.pattern} (${error.message})`);
+            }
+            if (!regex.pattern) {
+                throw new Error(`Invalid rule for '${field}': regex pattern is empty`);
+            }
+        }
+
+        const absolute = tolerance('absoluteTolerance');
+        const relative = tolerance('relativeTolerance');
+        const hasTimestamp = rule.timestampTolerance !== undefined || rule.timezone || rule.sourceTimezone || rule.targetTimezone;
+
+        return {
+            numeric: absolute !== null || relative !== null ? { absolute: absolute, relative: relative } : null,
+            timestamp: hasTimestamp ? {
+                toleranceMs: rule.timestampTolerance !== undefined ? FieldRules.parseDuration(rule.timestampTolerance, field) : 0,
+                sourceTimezone: timezone('sourceTimezone'),
+                targetTimezone: timezone('targetTimezone')
+            } : null,
+            trim: Boolean(rule.trim),
+            caseInsensitive: Boolean(rule.caseInsensitive),
+            nullEqualsEmpty: Boolean(rule.nullEqualsEmpty),
+            regex: regex
+        };
+    }
+
+    isEmpty() {
+        return this.rules.length === 0;
+    }
+
+    ruleFor(field) {
+        const exact = this.rules.find(entry => !entry.isPattern && entry.field === field);
+        const entry = exact || this.rules.find(entry => entry.isPattern && entry.matcher.test(field));
+        return entry ? entry.rule : null;
+    }
+
+    /**
+     * Text normalization of a comparable value ('NULL' for NULL): regex, trim, case, then empty as NULL.
+     * Works on the real NULL so folding case cannot turn the NULL marker into text.
+     */
+    static normalizedExpression(value, rule) {
+        if (!rule.regex && !rule.trim && !rule.caseInsensitive && !rule.nullEqualsEmpty) {
+            return value;
+        }
+
+        let expression = `NULLIF(${value}, 'NULL')`;
+        if (rule.regex) {
+            expression = `REGEXP_REPLACE(${expression}, ${CompositeKey.sqlLiteral(rule.regex.pattern)}, ${CompositeKey.sqlLiteral(rule.regex.replacement)})`;
+        }
+        if (rule.trim) {
+            expression = `TRIM(${expression})`;
+        }
+        if (rule.caseInsensitive) {
+            expression = `LOWER(${expression})`;
+        }
+        if (rule.nullEqualsEmpty) {
+            expression = `NULLIF(${expression}, '')`;
+        }
+        return `COALESCE(${expression}, 'NULL')`;
+    }
+
+    /**
+     * Timestamp of a value; a zone given in the value itself wins over the rule's zone
+     */
+    static timestampExpression(value, timezone) {
+        return timezone ?
+            `COALESCE(SAFE.TIMESTAMP(${value}, ${CompositeKey.sqlLiteral(timezone)}), SAFE_CAST(${value} AS TIMESTAMP))` :
+            `SAFE_CAST(${value} AS TIMESTAMP)`;
+    }
+
+    /**
+     * SQL condition for two comparable values (STRING, 'NULL' for NULL) matching under a rule.
+     * Exact text equality is checked separately, so this only has to catch the tolerated cases.
+     */
+    static toleranceCondition(jsonValue, bqValue, rule) {
+        const conditions = [];
+        const normalizedJsonValue = FieldRules.normalizedExpression(jsonValue, rule);
+        if (normalizedJsonValue !== jsonValue) {
+            conditions.push(`${normalizedJsonValue} = ${FieldRules.normalizedExpression(bqValue, rule)}`);
+        }
+
+        if (rule.numeric) {
+            const a = `SAFE_CAST(${jsonValue} AS FLOAT64)`;
+            const b = `SAFE_CAST(${bqValue} AS FLOAT64)`;
+            const limits = [];
+            if (rule.numeric.absolute !== null) {
+                limits.push(`ABS(${a} - ${b}) <= ${rule.numeric.absolute}`);
+            }
+            if (rule.numeric.relative !== null) {
+                limits.push(`ABS(${a} - ${b}) <= ${rule.numeric.relative} * GREATEST(ABS(${a}), ABS(${b}))`);
+            }
+            conditions.push(`(${limits.join(' OR ')})`);
+        }
+
+        if (rule.timestamp) {
+            const a = FieldRules.timestampExpression(jsonValue, rule.timestamp.sourceTimezone);
+            const b = FieldRules.timestampExpression(bqValue, rule.timestamp.targetTimezone);
+            conditions.push(`ABS(TIMESTAMP_DIFF(${a}, ${b}, MILLISECOND)) <= ${rule.timestamp.toleranceMs}`);
+        }
+
+        if (conditions.length === 0) {
+            return 'FALSE';
+        }
+        // Unparseable values give NULL, which must read as "no match" rather than poison the OR
+        return `COALESCE(${conditions.join(' OR ')}, FALSE)`;
+    }
+}
+
+module.exports = FieldRules;
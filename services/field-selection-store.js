@@ -0,0 +1,36 @@
+// services/field-selection-store.js - Field include/exclude selections saved per data source
+const path = require('path');
+const JsonFileStore = require('./json-file-store');
+
+const FIELD_SELECTIONS_PATH = process.env.FIELD_SELECTIONS_PATH || path.join(__dirname, '..', 'presets', 'field-selections.json');
+
+/**
+ * Saved selections ({ preset, include, exclude }) keyed by data source name, applied to
+ * comparisons against that table when the request brings no selection of its own
+ */
+class FieldSelectionStore extends JsonFileStore {
+    constructor(storePath = FIELD_SELECTIONS_PATH) {
+        super(storePath, 'Field selection');
+    }
+
+    list() {
+        return Object.values(this.readEntries())
+            .sort((a, b) => a.dataSource.localeCompare(b.dataSource));
+    }
+
+    async save(dataSource, options, savedBy = null) {
+        const entry = await this.put(dataSource, {
+            preset: options.preset || null,
+            include: options.include || [],
+            exclude: options.exclude || [],
+            savedBy: savedBy,
+            savedAt: new Date().toISOString()
+        });
+        console.log(`Saved field selection for ${entry.dataSource}`);
+        return entry;
+    }
+}
+
+FieldSelectionStore.FIELD_SELECTIONS_PATH = FIELD_SELECTIONS_PATH;
+
+module.exports = FieldSelectionStore;
@@ -0,0 +1,173 @@
+// services/field-selection.js - Which common fields a comparison compares
+const _ = require('lodash');
+const { SOURCE_FILE_COLUMN } = require('./dataset-reader');
+
+/**
+ * Named presets of field patterns. 'servicenow' skips the free-text and system bookkeeping
+ * fields that differ between a Table API export and its BigQuery copy without being errors.
+ */
+const PRESETS = {
+    'all': {
+        description: 'Compare every common field',
+        include: [],
+        exclude: []
+    },
+    'servicenow': {
+        description: 'ServiceNow tables - skip comments, descriptions, headers, tags and domain paths',
+        include: [],
+        exclude: ['*comment*', '*description*', '*header*', 'sys_tags*', 'sys_domain_path*']
+    }
+};
+
+/**
+ * Include/exclude lists of field names, globs (* and ?, case-insensitive) or regexes (/^u_.*_date$/i).
+ * An include list narrows the compared fields to those it matches; excludes are applied after it.
+ */
+class FieldSelection {
+    constructor(options = {}) {
+        const preset = options.preset ? PRESETS[options.preset] : null;
+        if (options.preset && !preset) {
+            throw new Error(`Unknown field preset '${options.preset}' (available: ${Object.keys(PRESETS).join(', ')})`);
+        }
+
+        this.preset = options.preset || null;
+        this.source = options.source || 'request';
+        this.dataSource = options.dataSource || null;
+        this.include = [
+            ...(preset ? preset.include : []).map(pattern => FieldSelection.compilePattern(pattern, `preset '${this.preset}'`)),
+            ...(options.include || []).map(pattern => FieldSelection.compilePattern(pattern, 'include list'))
+        ];
+        this.exclude = [
+            ...(preset ? preset.exclude : []).map(pattern => FieldSelection.compilePattern(pattern, `preset '${this.preset}'`)),
+            ...(options.exclude || []).map(pattern => FieldSelection.compilePattern(pattern, 'exclude list'))
+        ];
+    }
+
+    /**
+     * Field list from an array, or a comma/newline separated string.
+     * Regexes are kept whole, so /^a{1,3}$/ is one pattern.
+     */
+    static parseList(value) {
+        if (value === undefined || value === null || value === '') {
+            return [];
+        }
+        const items = Array.isArray(value) ? value.map(String) :
+            (String(value).match(/\s*\/(?:\\.|[^/\\\n])+\/[a-z]*(?=\s*(?:,|\n|$))|[^,\n]+/g) || []);
+        return items.map(item => item.trim()).filter(item => item && item !== 'undefined');
+    }
+
+    /**
+     * Matcher for a field name, glob or /regex/flags
+     */
+    static compilePattern(pattern, origin) {
+        const text = String(pattern).trim();
+        const regexMatch = text.match(/^\/(.+)\/([a-z]*)$/);
+        let regex;
+        try {
+            regex = regexMatch ? new RegExp(regexMatch[1], regexMatch[2]) :
+                new RegExp(`^${text.split('*').map(part => part.split('?').map(_.escapeRegExp).join('.')).join('.*')}$`, 'i');
+        } catch (error) {
+            throw new Error(`Invalid field pattern: ${text} (${error.message})`);
+        }
+        return { pattern: text, origin: origin, test: field => regex.test(field) };
+    }
+
+    /**
+     * Build selection options from request body/query values
+     * (fieldPreset, includeFields, excludeFields; comparisonFields is an older name for includeFields)
+     */
+    static optionsFromRequest(source = {}) {
+        const options = {
+            preset: source.fieldPreset ? String(source.fieldPreset) : null,
+            include: [...FieldSelection.parseList(source.comparisonFields), ...FieldSelection.parseList(source.includeFields)],
+            exclude: FieldSelection.parseList(source.excludeFields)
+        };
+
+        // Compiling checks the preset name and every pattern
+        new FieldSelection(options);
+        return options;
+    }
+
+    static isEmpty(options) {
+        return !options.preset && options.include.length === 0 && options.exclude.length === 0;
+    }
+
+    /**
+     * Selection to apply, in order: one sent with the request, the one saved for the data source,
+     * otherwise every common field
+     */
+    static resolve({ options, dataSource }, store) {
+        if (options && !FieldSelection.isEmpty(options)) {
+            return new FieldSelection({ ...options, source: 'request' });
+        }
+
+        const saved = dataSource ? store.get(dataSource) : null;
+        if (saved) {
+            return new FieldSelection({ ...saved, source: 'saved', dataSource: saved.dataSource });
+        }
+        return new FieldSelection({ source: 'default' });
+    }
+
+    static listPresets() {
+        return Object.entries(PRESETS).map(([name, preset]) => ({
+            name: name,
+            description: preset.description,
+            include: preset.include,
+            exclude: preset.exclude
+        }));
+    }
+
+    /**
+     * Split common fields into compared and skipped ones, each skipped field with its reason.
+     * Key columns are matched on rather than compared, and include entries that match no
+     * common field are reported so a typo does not silently compare nothing.
+     */
+    select(commonFields, keyColumns = []) {
+        const fields = [];
+        const skipped = [];
+
+        for (const field of commonFields) {
+            let reason = null;
+            if (keyColumns.includes(field)) {
+                reason = 'primary key column (records are matched on it)';
+            } else if (field === SOURCE_FILE_COLUMN) {
+                reason = 'dataset source file column';
+            } else if (this.include.length > 0 && !this.include.some(matcher => matcher.test(field))) {
+                reason = 'not in the include list';
+            } else {
+                const exclusion = this.exclude.find(matcher => matcher.test(field));
+                if (exclusion) {
+                    reason = `excluded by ${exclusion.origin} (${exclusion.pattern})`;
+                }
+            }
+
+            if (reason) {
+                skipped.push({ field: field, reason: reason });
+            } else {
+                fields.push(field);
+            }
+        }
+
+        return {
+            fields: fields,
+            skipped: skipped,
+            unmatchedIncludes: this.include
+                .filter(matcher => !commonFields.some(field => matcher.test(field)))
+                .map(matcher => matcher.pattern)
+        };
+    }
+
+    describe() {
+        return {
+            source: this.source,
+            dataSource: this.dataSource,
+            preset: this.preset,
+            include: this.include.map(matcher => matcher.pattern),
+            exclude: this.exclude.map(matcher => matcher.pattern)
+        };
+    }
+}
+
+FieldSelection.PRESETS = PRESETS;
+
+module.exports = FieldSelection;
@@ -0,0 +1,456 @@
+// services/field-transforms.js - Expected target values computed from source columns before comparing
+const CompositeKey = require('./composite-key');
+
+const COLUMN_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// SQL snippets are embedded in the diff queries, so they may only be expressions over the source row:
+// these functions, the keywords and type / date part names below, literals and source columns
+const SQL_FUNCTIONS = new Set([
+    'CONCAT', 'UPPER', 'LOWER', 'TRIM', 'LTRIM', 'RTRIM', 'LENGTH', 'CHAR_LENGTH', 'SUBSTR', 'SUBSTRING',
+    'REPLACE', 'REGEXP_REPLACE', 'REGEXP_EXTRACT', 'REGEXP_CONTAINS', 'SPLIT', 'LPAD', 'RPAD', 'LEFT', 'RIGHT',
+    'STARTS_WITH', 'ENDS_WITH', 'STRPOS', 'INSTR', 'FORMAT', 'REVERSE', 'INITCAP', 'NORMALIZE', 'TO_HEX',
+    'TO_BASE64', 'ARRAY_TO_STRING', 'ARRAY_LENGTH', 'OFFSET', 'SAFE_OFFSET', 'ORDINAL', 'SAFE_ORDINAL',
+    'IF', 'IFNULL', 'NULLIF', 'COALESCE', 'CAST', 'SAFE_CAST',
+    'ABS', 'ROUND', 'TRUNC', 'CEIL', 'CEILING', 'FLOOR', 'MOD', 'DIV', 'SIGN', 'GREATEST', 'LEAST', 'POW', 'POWER', 'SQRT',
+    'SAFE_DIVIDE', 'SAFE_MULTIPLY', 'SAFE_ADD', 'SAFE_SUBTRACT', 'SAFE_NEGATE',
+    'DATE', 'DATETIME', 'TIME', 'TIMESTAMP', 'EXTRACT', 'DATE_ADD', 'DATE_SUB', 'DATE_DIFF', 'DATE_TRUNC',
+    'DATETIME_ADD', 'DATETIME_SUB', 'DATETIME_DIFF', 'DATETIME_TRUNC', 'TIMESTAMP_ADD', 'TIMESTAMP_SUB',
+    'TIMESTAMP_DIFF', 'TIMESTAMP_TRUNC', 'TIMESTAMP_SECONDS', 'TIMESTAMP_MILLIS', 'TIMESTAMP_MICROS',
+    'UNIX_SECONDS', 'UNIX_MILLIS', 'UNIX_MICROS', 'UNIX_DATE', 'DATE_FROM_UNIX_DATE', 'LAST_DAY',
+    'FORMAT_DATE', 'FORMAT_DATETIME', 'FORMAT_TIME', 'FORMAT_TIMESTAMP',
+    'PARSE_DATE', 'PARSE_DATETIME', 'PARSE_TIME', 'PARSE_TIMESTAMP',
+    'JSON_VALUE', 'JSON_QUERY', 'JSON_EXTRACT', 'JSON_EXTRACT_SCALAR', 'TO_JSON_STRING',
+    'MD5', 'SHA1', 'SHA256', 'FARM_FINGERPRINT'
+]);
+const SQL_KEYWORDS = new Set([
+    'AND', 'OR', 'NOT', 'IS', 'NULL', 'TRUE', 'FALSE', 'IN', 'BETWEEN', 'LIKE', 'ESCAPE', 'CASE', 'WHEN', 'THEN',
+    'ELSE', 'END', 'AS', 'FROM', 'AT', 'INTERVAL',
+    'STRING', 'INT64', 'INTEGER', 'INT', 'SMALLINT', 'BIGINT', 'TINYINT', 'BYTEINT', 'FLOAT64', 'NUMERIC', 'DECIMAL',
+    'BIGNUMERIC', 'BIGDECIMAL', 'BOOL', 'BOOLEAN', 'BYTES', 'JSON', 'GEOGRAPHY', 'DATE', 'DATETIME', 'TIME', 'TIMESTAMP',
+    'MICROSECOND', 'MILLISECOND', 'SECOND', 'MINUTE', 'HOUR', 'DAY', 'DAYOFWEEK', 'DAYOFYEAR', 'WEEK', 'ISOWEEK',
+    'MONTH', 'QUARTER', 'YEAR', 'ISOYEAR', 'ZONE'
+]);
+// Reserved words outside the keywords above (SELECT, UNION, WITH, ...) never belong in an expression
+const SQL_RESERVED = new Set([
+    'ALL', 'ANY', 'ARRAY', 'ASC', 'ASSERT_ROWS_MODIFIED', 'BY', 'COLLATE', 'CONTAINS', 'CREATE', 'CROSS', 'CUBE',
+    'CURRENT', 'DEFAULT', 'DEFINE', 'DESC', 'DISTINCT', 'ENUM', 'EXCEPT', 'EXCLUDE', 'EXISTS', 'FETCH', 'FOLLOWING',
+    'FOR', 'FULL', 'GROUP', 'GROUPING', 'GROUPS', 'HASH', 'HAVING', 'IGNORE', 'INNER', 'INTERSECT', 'INTO', 'JOIN',
+    'LATERAL', 'LEFT', 'LIMIT', 'LOOKUP', 'MERGE', 'NATURAL', 'NEW', 'NO', 'NULLS', 'OF', 'ON', 'ORDER', 'OUTER',
+    'OVER', 'PARTITION', 'PRECEDING', 'PROTO', 'QUALIFY', 'RANGE', 'RECURSIVE', 'RESPECT', 'RIGHT', 'ROLLUP', 'ROWS',
+    'SELECT', 'SET', 'SOME', 'STRUCT', 'TABLESAMPLE', 'TO', 'TREAT', 'UNBOUNDED', 'UNION', 'UNNEST', 'USING',
+    'WHERE', 'WINDOW', 'WITH', 'WITHIN'
+]);
+
+// One SQL token: a string or bytes literal (raw, triple-quoted), a `quoted` name, a number, a word or an operator.
+// Comment starts are matched first so that '--' is never read as two minus signs.
+const SQL_TOKEN = /\s*(?:(--|\/\*|#)|((?:[rRbB]{1,2})?(?:'''(?:[^'\\]|\\.|'(?!''))*'''|"""(?:[^"\\]|\\.|"(?!""))*"""|'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"))|(`[^`\\\n]*`)|(\d+(?:\.\d*)?(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\|\||<=|>=|<>|!=|<<|>>|[-+*\/%=<>(),.\[\]&|^~]))/y;
+
+const asText = sql => `CAST(${sql} AS STRING)`;
+const asNumber = sql => `SAFE_CAST(${sql} AS FLOAT64)`;
+const asInteger = sql => `SAFE_CAST(${sql} AS INT64)`;
+
+/**
+ * Functions of the expression language: name -> [min args, max args, SQL builder].
+ * map(value, 'A', 'Active', 'I', 'Inactive'[, default]) looks the value up as text.
+ */
+const FUNCTIONS = {
+    upper: [1, 1, ([value]) => `UPPER(${asText(value)})`],
+    lower: [1, 1, ([value]) => `LOWER(${asText(value)})`],
+    trim: [1, 1, ([value]) => `TRIM(${asText(value)})`],
+    ltrim: [1, 1, ([value]) => `LTRIM(${asText(value)})`],
+    rtrim: [1, 1, ([value]) => `RTRIM(${asText(value)})`],
+    length: [1, 1, ([value]) => `LENGTH(${asText(value)})`],
+    substr: [2, 3, ([value, ...range]) => `SUBSTR(${asText(value)}, ${range.map(asInteger).join(', ')})`],
+    replace: [3, 3, ([value, from, to]) => `REPLACE(${asText(value)}, ${asText(from)}, ${asText(to)})`],
+    concat: [1, Infinity, values => `CONCAT(${values.map(asText).join(', ')})`],
+    coalesce: [1, Infinity, values => `COALESCE(${values.join(', ')})`],
+    text: [1, 1, ([value]) => asText(value)],
+    number: [1, 1, ([value]) => asNumber(value)],
+    integer: [1, 1, ([value]) => asInteger(value)],
+    round: [1, 2, ([value, digits]) => `ROUND(${asNumber(value)}${digits ? `, ${asInteger(digits)}` : ''})`],
+    abs: [1, 1, ([value]) => `ABS(${asNumber(value)})`],
+    date: [1, 1, ([value]) => `SAFE_CAST(${value} AS DATE)`],
+    timestamp: [1, 1, ([value]) => `SAFE_CAST(${value} AS TIMESTAMP)`],
+    timestamp_seconds: [1, 1, ([value]) => `TIMESTAMP_SECONDS(${asInteger(value)})`],
+    timestamp_millis: [1, 1, ([value]) => `TIMESTAMP_MILLIS(${asInteger(value)})`],
+    timestamp_micros: [1, 1, ([value]) => `TIMESTAMP_MICROS(${asInteger(value)})`],
+    map: [3, Infinity, ([value, ...pairs], literals) => {
+        const cases = [];
+        for (let index = 0; index + 1 < pairs.length; index += 2) {
+            if (literals[index + 1] === null) {
+                throw new Error('map() keys must be literal values');
+            }
+            cases.push(`WHEN ${CompositeKey.sqlLiteral(literals[index + 1])} THEN ${pairs[index + 1]}`);
+        }
+        const fallback = pairs.length % 2 === 1 ? ` ELSE ${pairs[pairs.length - 1]}` : '';
+        return `CASE ${asText(value)} ${cases.join(' ')}${fallback} END`;
+    }]
+};
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_][A-Za-z0-9_]*)|(\|\||[-+*\/(),]))/y;
+
+/**
+ * Small expression language compiled to BigQuery SQL: source columns by name, 'text' and numeric
+ * literals, null / true / false, + - * / (division never fails), || (text concatenation),
+ * parentheses and the FUNCTIONS above. Anything else is rejected, so nothing but the expression
+ * reaches the query.
+ */
+class ExpressionCompiler {
+    constructor(text) {
+        this.tokens = ExpressionCompiler.tokenize(text);
+        this.position = 0;
+        this.columns = new Set();
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        TOKEN.lastIndex = 0;
+        while (TOKEN.lastIndex < text.length) {
+            if (/^\s*$/.test(text.substring(TOKEN.lastIndex))) {
+                break;
+            }
+            const start = TOKEN.lastIndex;
+            const match = TOKEN.exec(text);
+            if (!match) {
+                throw new Error(`unexpected '${text.substring(start).trim().charAt(0)}' at position ${start + 1}`);
+            }
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: match[1] });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'string', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'name', value: match[3] });
+            } else {
+                tokens.push({ type: 'symbol', value: match[4] });
+            }
+        }
+        return tokens;
+    }
+
+    compile() {
+        if (this.tokens.length === 0) {
+            throw new Error('empty expression');
+        }
+        const { sql } = this.concatenation();
+        if (this.position < this.tokens.length) {
+            throw new Error(`unexpected '${this.tokens[this.position].value}'`);
+        }
+        return { sql: sql, columns: [...this.columns] };
+    }
+
+    peek(value) {
+        const token = this.tokens[this.position];
+        return token && token.type === 'symbol' && token.value === value;
+    }
+
+    expect(value) {
+        if (!this.peek(value)) {
+            const token = this.tokens[this.position];
+            throw new Error(`expected '${value}'${token ? ` before '${token.value}'` : ' at the end'}`);
+        }
+        this.position++;
+    }
+
+    // Nodes are { sql, literal } - literal holds the text of a literal value (map() keys need one)
+    concatenation() {
+        let node = this.additive();
+        while (this.peek('||')) {
+            this.position++;
+            node = { sql: `CONCAT(${asText(node.sql)}, ${asText(this.additive().sql)})`, literal: null };
+        }
+        return node;
+    }
+
+    additive() {
+        let node = this.multiplicative();
+        while (this.peek('+') || this.peek('-')) {
+            const operator = this.tokens[this.position++].value;
+            node = { sql: `(${node.sql} ${operator} ${this.multiplicative().sql})`, literal: null };
+        }
+        return node;
+    }
+
+    multiplicative() {
+        let node = this.unary();
+        while (this.peek('*') || this.peek('/')) {
+            const operator = this.tokens[this.position++].value;
+            const right = this.unary().sql;
+            node = { sql: operator === '/' ? `SAFE_DIVIDE(${node.sql}, ${right})` : `(${node.sql} * ${right})`, literal: null };
+        }
+        return node;
+    }
+
+    unary() {
+        if (this.peek('-')) {
+            this.position++;
+            const operand = this.unary();
+            return { sql: `(-${operand.sql})`, literal: operand.literal !== null ? `-${operand.literal}` : null };
+        }
+        return this.primary();
+    }
+
+    primary() {
+        const token = this.tokens[this.position++];
+        if (!token) {
+            throw new Error('expression ends too early');
+        }
+
+        if (token.type === 'number') {
+            return { sql: token.value, literal: token.value };
+        }
+        if (token.type === 'string') {
+            return { sql: CompositeKey.sqlLiteral(token.value), literal: token.value };
+        }
+        if (token.type === 'symbol') {
+            if (token.value !== '(') {
+                throw new Error(`unexpected '${token.value}'`);
+            }
+            const node = this.concatenation();
+            this.expect(')');
+            return { sql: `(${node.sql})`, literal: node.literal };
+        }
+
+        const name = token.value;
+        if (this.peek('(')) {
+            return this.call(name);
+        }
+        const keyword = name.toLowerCase();
+        if (['null', 'true', 'false'].includes(keyword)) {
+            return { sql: keyword.toUpperCase(), literal: null };
+        }
+        this.columns.add(name);
+        return { sql: `json_table.\`${name}\``, literal: null };
+    }
+
+    call(name) {
+        const definition = FUNCTIONS[name.toLowerCase()];
+        if (!definition) {
+            throw new Error(`unknown function ${name}() (use ${Object.keys(FUNCTIONS).join(', ')})`);
+        }
+
+        this.expect('(');
+        const args = [];
+        if (!this.peek(')')) {
+            args.push(this.concatenation());
+            while (this.peek(',')) {
+                this.position++;
+                args.push(this.concatenation());
+            }
+        }
+        this.expect(')');
+
+        const [minArgs, maxArgs, build] = definition;
+        if (args.length < minArgs || args.length > maxArgs) {
+            const expected = minArgs === maxArgs ? minArgs : `${minArgs}${maxArgs === Infinity ? ' or more' : `-${maxArgs}`}`;
+            throw new Error(`${name}() takes ${expected} argument${expected === 1 ? '' : 's'}, got ${args.length}`);
+        }
+        return { sql: build(args.map(arg => arg.sql), args.map(arg => arg.literal)), literal: null };
+    }
+}
+
+/**
+ * Check of a BigQuery SQL snippet before it is embedded in the diff queries. Literals and quoted
+ * names are tokenized first, so their content is never read as SQL. The snippet must be one
+ * expression: no comments, balanced brackets, no top-level commas, only SQL_FUNCTIONS called and
+ * only expression keywords; every other name is a source column, returned for validation.
+ */
+class SqlSnippet {
+    static tokenize(text) {
+        const tokens = [];
+        SQL_TOKEN.lastIndex = 0;
+        while (SQL_TOKEN.lastIndex < text.length) {
+            if (/^\s*$/.test(text.substring(SQL_TOKEN.lastIndex))) {
+                break;
+            }
+            const start = SQL_TOKEN.lastIndex;
+            const match = SQL_TOKEN.exec(text);
+            if (!match) {
+                throw new Error(`unexpected '${text.substring(start).trim().charAt(0)}' at position ${start + 1}`);
+            }
+            if (match[1] !== undefined) {
+                throw new Error('comments are not allowed');
+            }
+            const end = SQL_TOKEN.lastIndex;
+            const span = { start: end - match[0].trimStart().length, end: end };
+            if (match[2] !== undefined) {
+                tokens.push({ type: 'literal', value: match[2], ...span });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'quoted', value: match[3].slice(1, -1), ...span });
+            } else if (match[4] !== undefined) {
+                tokens.push({ type: 'literal', value: match[4], ...span });
+            } else if (match[5] !== undefined) {
+                tokens.push({ type: 'word', value: match[5], ...span });
+            } else {
+                tokens.push({ type: 'symbol', value: match[6], ...span });
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * The snippet with its columns qualified (json_table.`name`, like compiled expressions, so no
+     * source column is read as one of the query's own aliases) and the columns it reads;
+     * throws when it is not a single expression of the allowed kind
+     */
+    static compile(text) {
+        const tokens = SqlSnippet.tokenize(text);
+        const columns = new Set();
+        const references = [];
+        const open = [];
+        const isSymbol = (token, value) => Boolean(token) && token.type === 'symbol' && token.value === value;
+
+        for (let index = 0; index < tokens.length; index++) {
+            const token = tokens[index];
+            if (token.type === 'quoted') {
+                if (!COLUMN_NAME.test(token.value)) {
+                    throw new Error(`\`${token.value}\` is not a column name`);
+                }
+                columns.add(token.value);
+                references.push(token);
+            } else if (token.type === 'word') {
+                const word = token.value.toUpperCase();
+                // SAFE.PARSE_DATE(...) - the SAFE. prefix of a function call
+                if (word === 'SAFE' && isSymbol(tokens[index + 1], '.') && tokens[index + 2] && tokens[index + 2].type === 'word' && isSymbol(tokens[index + 3], '(')) {
+                    index++;
+                } else if (isSymbol(tokens[index + 1], '(')) {
+                    // Keywords such as IN, AND or NOT may precede a bracket without being calls
+                    if (!SQL_FUNCTIONS.has(word) && !SQL_KEYWORDS.has(word)) {
+                        throw new Error(`function ${token.value}() is not allowed`);
+                    }
+                } else if (SQL_RESERVED.has(word)) {
+                    throw new Error(`'${token.value}' is not allowed`);
+                } else if (!SQL_KEYWORDS.has(word)) {
+                    columns.add(token.value);
+                    references.push(token);
+                }
+            } else if (token.type === 'symbol') {
+                if (token.value === '(' || token.value === '[') {
+                    open.push(token.value);
+                } else if (token.value === ')' || token.value === ']') {
+                    if (open.pop() !== (token.value === ')' ? '(' : '[')) {
+                        throw new Error(`unbalanced '${token.value}'`);
+                    }
+                } else if (token.value === ',' && open.length === 0) {
+                    throw new Error("',' outside a function call - give a single expression");
+                } else if (token.value === '.') {
+                    throw new Error("'.' is only allowed after SAFE");
+                }
+            }
+        }
+
+        if (tokens.length === 0) {
+            throw new Error('empty expression');
+        }
+        if (open.length > 0) {
+            throw new Error(`unbalanced '${open[open.length - 1]}'`);
+        }
+
+        let sql = '';
+        let position = 0;
+        for (const token of references) {
+            sql += `${text.substring(position, token.start)}json_table.\`${token.value}\``;
+            position = token.end;
+        }
+        return { sql: sql + text.substring(position), columns: [...columns] };
+    }
+}
+
+/**
+ * Expected values keyed by target column: { full_name: "first_name || ' ' || last_name" }.
+ * A value is an expression in the language above, or { expression } / { sql } - a BigQuery SQL
+ * expression over the source columns (no queries or statements). The field diff compares the
+ * expected value, cast to the target column's type, with the target value; field rules still apply.
+ */
+class FieldTransforms {
+    constructor(transforms = {}) {
+        if (typeof transforms !== 'object' || transforms === null || Array.isArray(transforms)) {
+            throw new Error('Invalid transforms: expected an object of { targetColumn: expression }');
+        }
+
+        // As given, so follow-up requests (mismatch pages) can carry the same transforms
+        this.definition = transforms;
+        this.transforms = new Map(Object.entries(transforms).map(([field, transform]) => [field, FieldTransforms.compile(field, transform)]));
+    }
+
+    /**
+     * Build transforms from request body/query values (transforms: object or its JSON text)
+     */
+    static fromRequest(source = {}) {
+        let transforms = source.transforms || {};
+        if (typeof transforms === 'string') {
+            try {
+                transforms = JSON.parse(transforms);
+            } catch (error) {
+                throw new Error(`Invalid transforms: ${error.message}`);
+            }
+        }
+        return new FieldTransforms(transforms);
+    }
+
+    static compile(field, transform) {
+        if (!COLUMN_NAME.test(field)) {
+            throw new Error(`Invalid transform: '${field}' is not a column name`);
+        }
+
+        const definition = typeof transform === 'string' ? { expression: transform } : (transform || {});
+        if (typeof definition.sql === 'string' && definition.sql.trim()) {
+            const sql = definition.sql.trim();
+            try {
+                const compiled = SqlSnippet.compile(sql);
+                return { field: field, kind: 'sql', source: sql, sql: `(${compiled.sql})`, columns: compiled.columns };
+            } catch (error) {
+                throw new Error(`Invalid transform for '${field}': SQL snippets must be a single expression over the source columns (${error.message})`);
+            }
+        }
+
+        if (typeof definition.expression !== 'string' || !definition.expression.trim()) {
+            throw new Error(`Invalid transform for '${field}': give an expression or { "sql": "..." }`);
+        }
+        try {
+            const compiled = new ExpressionCompiler(definition.expression).compile();
+            return { field: field, kind: 'expression', source: definition.expression.trim(), ...compiled };
+        } catch (error) {
+            throw new Error(`Invalid transform for '${field}': ${error.message}`);
+        }
+    }
+
+    isEmpty() {
+        return this.transforms.size === 0;
+    }
+
+    get(field) {
+        return this.transforms.get(field) || null;
+    }
+
+    fields() {
+        return [...this.transforms.keys()];
+    }
+
+    /**
+     * Check the transforms against the tables: targets are non-key target columns, expressions
+     * and SQL snippets only use source columns
+     */
+    validate(sourceColumns, targetColumns, keyColumns) {
+        for (const transform of this.transforms.values()) {
+            if (!targetColumns.includes(transform.field)) {
+                throw new Error(`Transform target '${transform.field}' is not a column of the target table`);
+            }
+            if (keyColumns.includes(transform.field)) {
+                throw new Error(`Transform target '${transform.field}' is a primary key column - keys are matched as stored`);
+            }
+            const unknown = transform.columns.filter(column => !sourceColumns.includes(column));
+            if (unknown.length > 0) {
+                throw new Error(`Transform for '${transform.field}' uses '${unknown.join("', '")}', not a column of the source file`);
+            }
+        }
+    }
+
+    describe(field) {
+        const transform = this.get(field);
+        return transform ? { kind: transform.kind, expression: transform.source } : null;
+    }
+}
+
+FieldTransforms.FUNCTIONS = Object.keys(FUNCTIONS);
+
+module.exports = FieldTransforms;
@@ -0,0 +1,275 @@
+// services/file-profiler.js - Per-field profile of an upload (types, null rates, distinct values, key candidates)
+const crypto = require('crypto');
+const SchemaInferrer = require('./schema-inferrer');
+
+// Distinct values tracked per field; beyond this the distinct count is a lower bound
+const MAX_DISTINCT_VALUES = parseInt(process.env.PROFILE_MAX_DISTINCT_VALUES) || 10000;
+// Past that cap, a field with no repeated value so far keeps a hash of every value (up to this many)
+// so a key candidate can still be verified as unique
+const MAX_KEY_HASHES = parseInt(process.env.PROFILE_MAX_KEY_HASHES) || 1000000;
+const TOP_VALUES = 5;
+const MAX_KEY_CANDIDATES = 5;
+// Values longer than this are shortened in the report (top values, examples, min/max)
+const MAX_DISPLAY_LENGTH = 100;
+
+const NUMERIC_TYPES = ['INT64', 'NUMERIC', 'FLOAT64'];
+// Types that make poor primary keys even when their values happen to be unique
+const NON_KEY_TYPES = ['FLOAT64', 'BOOL', 'JSON'];
+const KEY_NAME_PATTERN = /(^|_)(id|key|number|code|arn|uuid|guid)$|^sys_id$/i;
+
+/**
+ * Streams the records of a reader through the flattener and profiles every resulting column,
+ * so the profile describes the fields as they will be loaded into the temp table.
+ */
+class FileProfiler {
+    constructor(flattener, options = {}) {
+        this.flattener = flattener;
+        this.limit = FileProfiler.parseLimit(options.limit);
+        this.inferrer = new SchemaInferrer();
+        this.fields = new Map();
+        this.totalRecords = 0;
+        this.truncated = false;
+    }
+
+    /**
+     * Records to profile: a positive number, or all records when not given
+     */
+    static parseLimit(limit) {
+        if (limit === undefined || limit === null || limit === '') {
+            return null;
+        }
+
+        const parsed = parseInt(limit, 10);
+        if (!Number.isInteger(parsed) || parsed < 1) {
+            throw new Error(`Invalid profile limit: ${limit} (use a positive number of records)`);
+        }
+        return parsed;
+    }
+
+    static displayValue(value) {
+        const text = String(value);
+        return text.length > MAX_DISPLAY_LENGTH ? `${text.substring(0, MAX_DISPLAY_LENGTH)}...` : text;
+    }
+
+    static digest(text) {
+        return crypto.createHash('sha1').update(text).digest('base64').substring(0, 16);
+    }
+
+    /**
+     * Key a value is counted under: the value itself, or a digest for long values (JSON blobs)
+     */
+    static valueKey(text) {
+        return text.length > MAX_DISPLAY_LENGTH ? `\u0000${FileProfiler.digest(text)}` : text;
+    }
+
+    getField(fieldName) {
+        let field = this.fields.get(fieldName);
+        if (!field) {
+            field = {
+                // Records seen before the field first appeared had no value for it
+                nullCount: this.totalRecords,
+                emptyCount: 0,
+                valueCount: 0,
+                counts: new Map(),
+                // Shortened text of the long values counted under a digest
+                longValues: new Map(),
+                distinctCapped: false,
+                keyHashes: null,
+                repeatsFound: false,
+                numericMin: null,
+                numericMax: null,
+                textMin: null,
+                textMax: null,
+                valuesBeforeCap: null,
+                example: null
+            };
+            this.fields.set(fieldName, field);
+        }
+        return field;
+    }
+
+    observe(record) {
+        const flattened = this.flattener.flatten(record);
+        const recordNumber = this.totalRecords + 1;
+
+        for (const [fieldName, value] of Object.entries(flattened)) {
+            const field = this.getField(fieldName);
+            field.seenInRecord = recordNumber;
+
+            if (value === null || value === undefined) {
+                field.nullCount++;
+                continue;
+            }
+
+            const text = String(value);
+            if (text.trim() === '') {
+                field.emptyCount++;
+                continue;
+            }
+
+            field.valueCount++;
+            this.inferrer.observe(fieldName, text);
+            if (field.example === null) {
+                field.example = value;
+            }
+
+            const key = FileProfiler.valueKey(text);
+            let repeated = null;
+            if (field.counts.has(key)) {
+                field.counts.set(key, field.counts.get(key) + 1);
+                repeated = true;
+            } else if (field.counts.size < MAX_DISTINCT_VALUES) {
+                field.counts.set(key, 1);
+                if (key !== text) {
+                    field.longValues.set(key, FileProfiler.displayValue(text));
+                }
+            } else if (!field.distinctCapped) {
+                // Uniqueness is estimated from the values seen until the cap was reached,
+                // unless every value so far was distinct - then hashes keep checking it
+                field.distinctCapped = true;
+                field.valuesBeforeCap = field.valueCount - 1;
+                if (field.counts.size === field.valuesBeforeCap) {
+                    field.keyHashes = new Set(Array.from(field.counts.keys(), counted =>
+                        counted.startsWith('\u0000') ? counted.substring(1) : FileProfiler.digest(counted)));
+                } else {
+                    field.repeatsFound = true;
+                }
+            }
+
+            if (field.keyHashes) {
+                const digest = key !== text ? key.substring(1) : FileProfiler.digest(text);
+                if (repeated || field.keyHashes.has(digest)) {
+                    field.keyHashes = null;
+                    field.repeatsFound = true;
+                } else if (field.keyHashes.size >= MAX_KEY_HASHES) {
+                    field.keyHashes = null;
+                } else {
+                    field.keyHashes.add(digest);
+                }
+            }
+
+            const number = typeof value === 'number' ? value : (/\d/.test(text) ? Number(text) : NaN);
+            if (Number.isFinite(number)) {
+                if (field.numericMin === null || number < field.numericMin) field.numericMin = number;
+                if (field.numericMax === null || number > field.numericMax) field.numericMax = number;
+            }
+            if (field.textMin === null || text < field.textMin) field.textMin = text;
+            if (field.textMax === null || text > field.textMax) field.textMax = text;
+        }
+
+        // Fields missing from this record count as null
+        for (const field of this.fields.values()) {
+            if (field.seenInRecord !== recordNumber) {
+                field.nullCount++;
+            }
+        }
+        this.totalRecords = recordNumber;
+    }
+
+    /**
+     * Read the records (up to the limit) and build the report
+     */
+    async profile(reader) {
+        for await (const record of reader.records()) {
+            if (this.limit !== null && this.totalRecords >= this.limit) {
+                this.truncated = true;
+                break;
+            }
+            this.observe(record);
+        }
+
+        return this.buildReport();
+    }
+
+    describeField(fieldName, field) {
+        const type = this.inferrer.getFieldType(fieldName);
+        const numeric = NUMERIC_TYPES.includes(type) && field.numericMin !== null;
+        const rate = count => this.totalRecords > 0 ? ((count / this.totalRecords) * 100).toFixed(1) : '0.0';
+
+        // Hashes that outlived the whole file prove every value distinct
+        const hashedUnique = field.keyHashes !== null;
+        const distinctCount = hashedUnique ? field.valueCount : field.counts.size;
+        const uniqueness = field.valueCount === 0 ? 0 :
+            (hashedUnique ? 1 : field.counts.size / (field.distinctCapped ? field.valuesBeforeCap : field.valueCount));
+
+        const topValues = Array.from(field.counts.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_VALUES)
+            .map(([value, count]) => ({ value: field.longValues.get(value) || value, count: count }));
+
+        return {
+            name: fieldName,
+            type: type,
+            nullCount: field.nullCount,
+            nullRate: rate(field.nullCount),
+            emptyCount: field.emptyCount,
+            emptyRate: rate(field.emptyCount),
+            valueCount: field.valueCount,
+            distinctCount: distinctCount,
+            distinctCapped: field.distinctCapped && !hashedUnique,
+            repeatsFound: field.repeatsFound,
+            uniqueness: (uniqueness * 100).toFixed(1),
+            min: field.valueCount === 0 ? null : (numeric ? field.numericMin : FileProfiler.displayValue(field.textMin)),
+            max: field.valueCount === 0 ? null : (numeric ? field.numericMax : FileProfiler.displayValue(field.textMax)),
+            topValues: topValues,
+            example: field.example === null ? null : FileProfiler.displayValue(field.example)
+        };
+    }
+
+    /**
+     * Rank fields as primary-key candidates: every record has a value and no value repeats first,
+     * then by uniqueness, completeness and key-like names
+     */
+    rankKeyCandidates(fields) {
+        return fields
+            .filter(field => field.valueCount > 0 && !NON_KEY_TYPES.includes(field.type))
+            .map(field => {
+                const duplicateValues = field.distinctCapped ? null : field.valueCount - field.distinctCount;
+                const completeness = field.valueCount / this.totalRecords;
+                const uniqueness = parseFloat(field.uniqueness) / 100;
+                const keyLikeName = KEY_NAME_PATTERN.test(field.name);
+                const isUnique = duplicateValues === 0 && field.valueCount === this.totalRecords;
+
+                const reasons = [];
+                if (isUnique) reasons.push('unique and present in every record');
+                if (duplicateValues > 0) reasons.push(`${duplicateValues} repeated values`);
+                if (duplicateValues === null) {
+                    reasons.push(field.repeatsFound ? 'repeated values (count not kept past the distinct value cap)' :
+                        `more than ${MAX_KEY_HASHES} distinct values - uniqueness not verified`);
+                }
+                if (field.valueCount < this.totalRecords) reasons.push(`${this.totalRecords - field.valueCount} records without a value`);
+                if (keyLikeName) reasons.push('key-like name');
+
+                return {
+                    field: field.name,
+                    type: field.type,
+                    isUnique: isUnique,
+                    uniqueness: (uniqueness * 100).toFixed(1),
+                    completeness: (completeness * 100).toFixed(1),
+                    duplicateValues: duplicateValues,
+                    score: Math.round((uniqueness * completeness * 90 + (keyLikeName ? 10 : 0)) * 10) / 10,
+                    reasons: reasons
+                };
+            })
+            .filter(candidate => parseFloat(candidate.uniqueness) >= 50)
+            .sort((a, b) => (b.isUnique - a.isUnique) || (b.score - a.score) || a.field.localeCompare(b.field))
+            .slice(0, MAX_KEY_CANDIDATES);
+    }
+
+    buildReport() {
+        const fields = Array.from(this.fields.entries()).map(([fieldName, field]) => this.describeField(fieldName, field));
+
+        return {
+            recordsProfiled: this.totalRecords,
+            limit: this.limit,
+            truncated: this.truncated,
+            fieldCount: fields.length,
+            maxDistinctValues: MAX_DISTINCT_VALUES,
+            fields: fields,
+            primaryKeyCandidates: this.rankKeyCandidates(fields),
+            flattening: this.flattener.describe()
+        };
+    }
+}
+
+module.exports = FileProfiler;
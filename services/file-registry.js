@@ -0,0 +1,377 @@
+// services/file-registry.js - Registry of uploaded files (metadata, linked temp tables, retention)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const UPLOAD_DIRS = [path.join(ROOT_DIR, 'uploads'), path.join(ROOT_DIR, 'temp-files')];
+const REGISTRY_PATH = process.env.FILE_REGISTRY_PATH || path.join(ROOT_DIR, 'uploads', 'registry.json');
+
+// Hours an uploaded file (and its temp tables) is kept before the sweeper purges it; 0 keeps files forever
+const RETENTION_HOURS = process.env.FILE_RETENTION_HOURS !== undefined ?
+    parseFloat(process.env.FILE_RETENTION_HOURS) : 24;
+
+// A reused temp table must outlive the comparison that reuses it
+const REUSE_MIN_REMAINING_MS = 30 * 60 * 1000;
+
+// Sample rows kept in a cached load result (coercion failures, value changes, rejected lines)
+const CACHED_SAMPLES = 10;
+
+// Writes are chained so concurrent requests never interleave read-modify-write cycles
+let writeQueue = Promise.resolve();
+
+/**
+ * Uploaded files are registered by ID in a small JSON file next to the uploads.
+ * Every call reads the file again, so all instances in the process share one view.
+ */
+class FileRegistry {
+    constructor(registryPath = REGISTRY_PATH) {
+        this.registryPath = registryPath;
+    }
+
+    /**
+     * SHA-256 of a file's bytes, streamed
+     */
+    static async hashFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Key for a temp table's contents: the file's bytes plus every option that changes the loaded rows.
+     * Object keys are sorted so the same options always give the same fingerprint.
+     */
+    static fingerprint(contentHash, options) {
+        const canonical = value => {
+            if (Array.isArray(value)) {
+                return value.map(canonical);
+            }
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().reduce((sorted, key) => {
+                    sorted[key] = canonical(value[key]);
+                    return sorted;
+                }, {});
+            }
+            return value === undefined ? null : value;
+        };
+
+        return crypto.createHash('sha256')
+            .update(contentHash)
+            .update(JSON.stringify(canonical(options)))
+            .digest('hex');
+    }
+
+    /**
+     * Who uploaded a file: the identity-aware proxy user, an explicit uploadedBy value, or the client address
+     */
+    static uploaderOf(req) {
+        const proxyUser = req.get('x-goog-authenticated-user-email');
+        if (proxyUser) {
+            return proxyUser.replace(/^accounts\.google\.com:/, '');
+        }
+        return (req.body && req.body.uploadedBy) || req.get('x-uploaded-by') || req.ip || 'unknown';
+    }
+
+    static expiresAtFor(uploadedAt) {
+        if (!(RETENTION_HOURS > 0)) {
+            return null;
+        }
+        return new Date(new Date(uploadedAt).getTime() + RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+    }
+
+    /**
+     * Registered entries - an unreadable registry throws instead of reading as empty, so no
+     * update writes over it and the sweeper never takes every upload for an orphan
+     */
+    readEntries() {
+        try {
+            return JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            console.error(`File registry unreadable (${this.registryPath}): ${error.message}`);
+            throw new Error(`File registry unreadable: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply a change to the registry and write it back (temp file + rename, so readers never see half a file)
+     */
+    update(mutate) {
+        const result = writeQueue.then(async () => {
+            const entries = this.readEntries();
+            const value = mutate(entries);
+
+            await fs.promises.mkdir(path.dirname(this.registryPath), { recursive: true });
+            const tempPath = `${this.registryPath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(entries, null, 2));
+            await fs.promises.rename(tempPath, this.registryPath);
+            return value;
+        });
+
+        // A failed write must not block the ones queued after it
+        writeQueue = result.catch(error => console.error('File registry write failed:', error.message));
+        return result;
+    }
+
+    /**
+     * Register a freshly uploaded file (contract: JSON Schema attached to it, contractSource: saved contract it uses)
+     */
+    async register(fileInfo) {
+        const entry = {
+            id: fileInfo.id,
+            originalName: fileInfo.originalName,
+            filename: fileInfo.filename,
+            path: path.resolve(fileInfo.path),
+            size: fileInfo.size,
+            contentHash: fileInfo.contentHash || null,
+            format: fileInfo.format || null,
+            recordCount: fileInfo.recordCount !== undefined ? fileInfo.recordCount : null,
+            uploadedBy: fileInfo.uploadedBy || null,
+            uploadedAt: fileInfo.uploadedAt || new Date().toISOString(),
+            lastUsedAt: null,
+            contract: fileInfo.contract || null,
+            contractSource: fileInfo.contractSource || null,
+            tempTables: []
+        };
+        entry.expiresAt = FileRegistry.expiresAtFor(entry.uploadedAt);
+
+        await this.update(entries => {
+            entries[entry.id] = entry;
+        });
+        console.log(`Registered file ${entry.id} (${entry.originalName}, ${entry.size} bytes)`);
+        return entry;
+    }
+
+    /**
+     * Register several uploaded files as one named dataset. Shards ([{ id, originalName, filename, path, size,
+     * contentHash, format, recordCount }]) are kept in read order; their hashes together are the dataset's content hash.
+     */
+    async registerDataset(datasetInfo) {
+        const shards = datasetInfo.shards.map(shard => ({
+            id: shard.id,
+            originalName: shard.originalName,
+            filename: shard.filename,
+            path: path.resolve(shard.path),
+            size: shard.size,
+            contentHash: shard.contentHash || null,
+            format: shard.format || null,
+            recordCount: shard.recordCount !== undefined ? shard.recordCount : null
+        }));
+
+        const entry = {
+            id: datasetInfo.id,
+            kind: 'dataset',
+            name: datasetInfo.name,
+            originalName: datasetInfo.name,
+            shards: shards,
+            size: shards.reduce((total, shard) => total + (shard.size || 0), 0),
+            contentHash: crypto.createHash('sha256')
+                .update(shards.map(shard => `${shard.originalName}:${shard.contentHash}`).join('\n'))
+                .digest('hex'),
+            format: Array.from(new Set(shards.map(shard => shard.format))).join(' + ') || null,
+            recordCount: shards.every(shard => shard.recordCount !== null) ?
+                shards.reduce((total, shard) => total + shard.recordCount, 0) : null,
+            uploadedBy: datasetInfo.uploadedBy || null,
+            uploadedAt: datasetInfo.uploadedAt || new Date().toISOString(),
+            lastUsedAt: null,
+            contract: datasetInfo.contract || null,
+            contractSource: datasetInfo.contractSource || null,
+            tempTables: []
+        };
+        entry.expiresAt = FileRegistry.expiresAtFor(entry.uploadedAt);
+
+        await this.update(entries => {
+            entries[entry.id] = entry;
+        });
+        console.log(`Registered dataset ${entry.id} (${entry.name}, ${shards.length} files, ${entry.size} bytes)`);
+        return entry;
+    }
+
+    get(fileId) {
+        return this.readEntries()[fileId] || null;
+    }
+
+    /**
+     * Registry entry of a dataset, or null when the ID is a single file (or unknown)
+     */
+    getDataset(datasetId) {
+        const entry = this.get(datasetId);
+        return entry && entry.kind === 'dataset' ? entry : null;
+    }
+
+    /**
+     * IDs of every registered upload, including the shards of datasets
+     */
+    listIds() {
+        return Object.values(this.readEntries())
+            .flatMap(entry => [entry.id, ...(entry.shards || []).map(shard => shard.id)]);
+    }
+
+    /**
+     * All entries, newest first
+     */
+    list() {
+        return Object.values(this.readEntries())
+            .sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+    }
+
+    /**
+     * Record what a pass over the file found (format label, record count); unregistered files are ignored
+     */
+    async recordUsage(fileId, details = {}) {
+        return this.update(entries => {
+            const entry = entries[fileId];
+            if (!entry) {
+                return null;
+            }
+            if (details.format) entry.format = details.format;
+            if (details.recordCount !== undefined && details.recordCount !== null) entry.recordCount = details.recordCount;
+            entry.lastUsedAt = new Date().toISOString();
+            return entry;
+        });
+    }
+
+    /**
+     * A report with its sample list cut to CACHED_SAMPLES (marked as truncated)
+     */
+    static trimSamples(report, listName) {
+        if (!report || !Array.isArray(report[listName]) || report[listName].length <= CACHED_SAMPLES) {
+            return report;
+        }
+        return { ...report, [listName]: report[listName].slice(0, CACHED_SAMPLES), samplesTruncated: true };
+    }
+
+    /**
+     * Link a json_temp_ table built from the file so it is purged with it
+     * (tempTable: createTempTableFromJSON result - { tempTableId, tempTableName, expiresAt }).
+     * cache: { fingerprint, result, parseInfo } kept so the table can be reused for the same content.
+     * A table is linked once per file, and only its newest link for a fingerprint keeps the cache.
+     */
+    async linkTempTable(fileId, tempTable, cache = {}) {
+        const result = cache.result && {
+            ...cache.result,
+            coercionFailures: FileRegistry.trimSamples(cache.result.coercionFailures, 'samples'),
+            valueChanges: FileRegistry.trimSamples(cache.result.valueChanges, 'samples')
+        };
+        const parseInfo = cache.parseInfo && {
+            ...cache.parseInfo,
+            parseReport: FileRegistry.trimSamples(cache.parseInfo.parseReport, 'rejectedLines')
+        };
+
+        return this.update(entries => {
+            const entry = entries[fileId];
+            if (!entry) {
+                return null;
+            }
+            entry.tempTables = entry.tempTables.filter(table => table.tableName !== tempTable.tempTableName);
+            if (result && cache.fingerprint) {
+                entry.tempTables
+                    .filter(table => table.fingerprint === cache.fingerprint)
+                    .forEach(table => {
+                        table.result = null;
+                        table.parseInfo = null;
+                    });
+            }
+            entry.tempTables.push({
+                tableId: tempTable.tempTableId,
+                tableName: tempTable.tempTableName,
+                createdAt: new Date().toISOString(),
+                expiresAt: tempTable.expiresAt || null,
+                fingerprint: cache.fingerprint || null,
+                reused: Boolean(cache.reused),
+                result: result || null,
+                parseInfo: parseInfo || null
+            });
+            entry.lastUsedAt = new Date().toISOString();
+            return entry;
+        });
+    }
+
+    /**
+     * Newest linked temp table with this fingerprint that has not expired (or is about to), as { fileId, table }
+     */
+    findTempTable(fingerprint) {
+        const liveUntil = Date.now() + REUSE_MIN_REMAINING_MS;
+        let found = null;
+
+        for (const entry of Object.values(this.readEntries())) {
+            for (const table of entry.tempTables || []) {
+                if (table.fingerprint !== fingerprint || !table.result || table.reused) {
+                    continue;
+                }
+                if (table.expiresAt && new Date(table.expiresAt).getTime() <= liveUntil) {
+                    continue;
+                }
+                if (!found || table.createdAt > found.table.createdAt) {
+                    found = { fileId: entry.id, table: table };
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Names of the temp tables linked to any other file (built there or reused there)
+     */
+    referencedTables(exceptFileId) {
+        return new Set(Object.values(this.readEntries())
+            .filter(entry => entry.id !== exceptFileId)
+            .flatMap(entry => (entry.tempTables || []).map(table => table.tableName)));
+    }
+
+    async remove(fileId) {
+        return this.update(entries => {
+            const entry = entries[fileId] || null;
+            delete entries[fileId];
+            return entry;
+        });
+    }
+
+    /**
+     * Whether an upload can still be read: its file exists, or for a dataset all of its shards do
+     */
+    isOnDisk(fileId, extensions) {
+        const dataset = this.getDataset(fileId);
+        if (dataset) {
+            return dataset.shards.every(shard => fs.existsSync(shard.path));
+        }
+        return this.findFile(fileId, extensions) !== null;
+    }
+
+    /**
+     * Path of an uploaded file: the registered path, or (for files uploaded before the registry)
+     * the first upload directory holding <id><extension>. An id may carry its own extension
+     * ('<id>.json'), but only one of the given upload extensions - never any file by name.
+     */
+    findFile(fileId, extensions) {
+        const entry = this.get(fileId);
+        if (entry && entry.path && fs.existsSync(entry.path)) {
+            return entry.path;
+        }
+
+        const safeId = path.basename(String(fileId));
+        const ownExtension = extensions.includes(path.extname(safeId).toLowerCase()) ? [''] : [];
+        for (const directory of UPLOAD_DIRS) {
+            for (const extension of [...extensions, ...ownExtension]) {
+                const candidate = path.join(directory, `${safeId}${extension}`);
+                if (candidate !== this.registryPath && fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+                    return candidate;
+                }
+            }
+        }
+
+        return null;
+    }
+}
+
+FileRegistry.UPLOAD_DIRS = UPLOAD_DIRS;
+FileRegistry.REGISTRY_PATH = REGISTRY_PATH;
+FileRegistry.RETENTION_HOURS = RETENTION_HOURS;
+
+module.exports = FileRegistry;
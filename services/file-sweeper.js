@@ -0,0 +1,202 @@
+// services/file-sweeper.js - Purges uploaded files and their json_temp_ tables after the retention period
+const fs = require('fs').promises;
+const path = require('path');
+const FileRegistry = require('./file-registry');
+const RecordReader = require('./record-reader');
+
+// Minutes between sweeps; 0 disables the background sweeper (files can still be deleted via the API)
+const SWEEP_INTERVAL_MINUTES = process.env.FILE_SWEEP_INTERVAL_MINUTES !== undefined ?
+    parseFloat(process.env.FILE_SWEEP_INTERVAL_MINUTES) : 15;
+
+class FileSweeper {
+    constructor(options = {}) {
+        this.registry = options.registry || new FileRegistry();
+        this.retentionHours = options.retentionHours !== undefined ? options.retentionHours : FileRegistry.RETENTION_HOURS;
+        this.intervalMinutes = options.intervalMinutes !== undefined ? options.intervalMinutes : SWEEP_INTERVAL_MINUTES;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * BigQuery is only touched when there are tables to delete, so the service is created lazily
+     */
+    getBigQueryService() {
+        if (!this.bqService) {
+            const BigQueryIntegrationService = require('./bq-integration');
+            this.bqService = new BigQueryIntegrationService();
+        }
+        return this.bqService;
+    }
+
+    /**
+     * Delete a file (or every shard of a dataset), its quarantined lines and its temp tables, then drop it from the registry.
+     * Returns { fileId, found, deletedFiles, deletedTables, errors }.
+     */
+    async purgeFile(fileId) {
+        const entry = this.registry.get(fileId);
+        const result = { fileId, found: Boolean(entry), deletedFiles: [], deletedTables: [], errors: [] };
+
+        for (const shard of (entry && entry.shards) || []) {
+            try {
+                await fs.unlink(shard.path);
+                result.deletedFiles.push(path.basename(shard.path));
+                console.log(`Purged dataset file: ${shard.path}`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    result.errors.push(`Failed to delete ${shard.originalName}: ${error.message}`);
+                }
+            }
+            await fs.unlink(RecordReader.quarantinePathFor(shard.id)).catch(() => {});
+        }
+
+        let filePath;
+        while ((filePath = this.registry.findFile(fileId, RecordReader.EXTENSIONS))) {
+            try {
+                await fs.unlink(filePath);
+                result.deletedFiles.push(path.basename(filePath));
+                result.found = true;
+                console.log(`Purged file: ${filePath}`);
+            } catch (error) {
+                result.errors.push(`Failed to delete ${path.basename(filePath)}: ${error.message}`);
+                break;
+            }
+        }
+        await fs.unlink(RecordReader.quarantinePathFor(path.basename(fileId))).catch(() => {});
+
+        // Linked tables that have passed their own expiry are already gone; a table another file
+        // still links (it reused this file's table, or this file reused its table) is left to that file
+        const now = Date.now();
+        const sharedTables = this.registry.referencedTables(fileId);
+        const liveTables = (entry ? entry.tempTables : [])
+            .filter(table => !table.expiresAt || new Date(table.expiresAt).getTime() > now)
+            .map(table => table.tableName)
+            .filter(tableName => !sharedTables.has(tableName));
+
+        if (entry || result.found) {
+            try {
+                const { deletedTables, errors } = await this.getBigQueryService().deleteTempTablesForFile(fileId, liveTables, [...sharedTables]);
+                result.deletedTables = deletedTables;
+                result.errors.push(...errors);
+            } catch (error) {
+                result.errors.push(`Temp table cleanup failed: ${error.message}`);
+            }
+        }
+
+        // Keep the entry while live tables could not be deleted, so the next sweep retries them
+        const tablesPending = liveTables.some(tableName => !result.deletedTables.includes(tableName)) && result.errors.length > 0;
+        if (entry && !tablesPending) {
+            await this.registry.remove(fileId);
+        } else if (entry) {
+            await this.registry.update(entries => {
+                if (entries[fileId]) {
+                    entries[fileId].purgeErrors = result.errors;
+                }
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Purge registered files past their expiry, and unregistered upload files older than the retention period
+     */
+    async sweep() {
+        if (this.running || !(this.retentionHours > 0)) {
+            return null;
+        }
+        this.running = true;
+
+        const summary = { purgedFiles: 0, deletedTables: 0, errors: [] };
+        const now = Date.now();
+        const cutoff = now - this.retentionHours * 60 * 60 * 1000;
+
+        try {
+            const entries = this.registry.list();
+            const expired = entries.filter(entry => {
+                const expiresAt = entry.expiresAt ? new Date(entry.expiresAt).getTime() : new Date(entry.uploadedAt).getTime() + this.retentionHours * 60 * 60 * 1000;
+                return expiresAt <= now;
+            });
+
+            const registeredIds = new Set(this.registry.listIds());
+            const orphanIds = await this.findOrphanIds(registeredIds, cutoff);
+
+            for (const fileId of [...expired.map(entry => entry.id), ...orphanIds]) {
+                const result = await this.purgeFile(fileId);
+                summary.purgedFiles += result.deletedFiles.length;
+                summary.deletedTables += result.deletedTables.length;
+                summary.errors.push(...result.errors);
+            }
+
+            if (expired.length > 0 || orphanIds.length > 0) {
+                console.log(`File sweep: ${summary.purgedFiles} files and ${summary.deletedTables} temp tables purged, ${summary.errors.length} errors`);
+            }
+        } catch (error) {
+            console.error('File sweep failed:', error.message);
+            summary.errors.push(error.message);
+        } finally {
+            this.running = false;
+        }
+
+        return summary;
+    }
+
+    /**
+     * IDs of upload files that are not registered (uploaded before the registry existed) and older than the cutoff
+     */
+    async findOrphanIds(registeredIds, cutoff) {
+        const orphanIds = new Set();
+
+        for (const directory of FileRegistry.UPLOAD_DIRS) {
+            let names;
+            try {
+                names = await fs.readdir(directory);
+            } catch {
+                continue;
+            }
+
+            for (const name of names) {
+                const filePath = path.join(directory, name);
+                const extension = RecordReader.extensionOf(name);
+                if (filePath === this.registry.registryPath || !RecordReader.EXTENSIONS.includes(extension)) {
+                    continue;
+                }
+
+                const fileId = name.substring(0, name.length - extension.length);
+                if (registeredIds.has(fileId)) {
+                    continue;
+                }
+
+                const stat = await fs.stat(filePath).catch(() => null);
+                if (stat && stat.isFile() && stat.mtimeMs < cutoff) {
+                    orphanIds.add(fileId);
+                }
+            }
+        }
+
+        return Array.from(orphanIds);
+    }
+
+    /**
+     * Run a sweep now and then every intervalMinutes (the timer does not keep the process alive)
+     */
+    start() {
+        if (!(this.retentionHours > 0) || !(this.intervalMinutes > 0)) {
+            console.log('File sweeper disabled (FILE_RETENTION_HOURS or FILE_SWEEP_INTERVAL_MINUTES is 0)');
+            return;
+        }
+
+        console.log(`File sweeper: purging files after ${this.retentionHours}h, checking every ${this.intervalMinutes} min`);
+        this.sweep();
+        this.timer = setInterval(() => this.sweep(), this.intervalMinutes * 60 * 1000);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = FileSweeper;
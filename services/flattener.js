@@ -0,0 +1,275 @@
+// services/flattener.js - Configurable flattening of nested records into table columns
+
+/**
+ * Named presets. Rules are keyed by dotted source path ("Project.ExpectedCustomerSpend");
+ * a '*' segment matches any key or array index.
+ */
+const PRESETS = {
+    'generic': {
+        description: 'Expand nested objects, keep arrays as JSON',
+        maxDepth: 3,
+        separator: '_',
+        referenceKeys: [],
+        rules: {}
+    },
+    'servicenow': {
+        description: 'ServiceNow Table API - reference objects become _display_value/_link/_value columns',
+        maxDepth: 3,
+        separator: '_',
+        referenceKeys: ['display_value', 'link', 'value'],
+        rules: {}
+    },
+    'aws-partner-central': {
+        description: 'AWS Partner Central opportunities - deep objects expanded, spend lines exploded',
+        maxDepth: 5,
+        separator: '_',
+        referenceKeys: [],
+        rules: {
+            'Project.ExpectedCustomerSpend': 'explode',
+            'Project.DeliveryModels': 'json',
+            'Project.ApnPrograms': 'json',
+            'PrimaryNeedsFromAws': 'json',
+            'Customer.Account.Address': 'explode',
+            'LifeCycle.NextStepsHistory': 'json',
+            'Marketing.Channels': 'json',
+            'Marketing.UseCases': 'json'
+        }
+    }
+};
+
+const DEFAULT_PRESET = process.env.FLATTEN_PRESET || 'servicenow';
+
+class Flattener {
+    constructor(options = {}) {
+        const presetName = options.preset || DEFAULT_PRESET;
+        const preset = PRESETS[presetName];
+        if (!preset) {
+            throw new Error(`Unknown flatten preset '${presetName}' (available: ${Object.keys(PRESETS).join(', ')})`);
+        }
+
+        this.preset = presetName;
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : preset.maxDepth;
+        this.separator = options.separator !== undefined ? options.separator : preset.separator;
+        this.referenceKeys = options.referenceKeys || preset.referenceKeys;
+        this.rules = Flattener.normalizeRules({ ...preset.rules, ...(options.rules || {}) });
+
+        if (!Number.isInteger(this.maxDepth) || this.maxDepth < 0) {
+            throw new Error(`Invalid flatten max depth: ${options.maxDepth}`);
+        }
+        if (typeof this.separator !== 'string' || this.separator === '') {
+            throw new Error('Invalid flatten separator: must be a non-empty string');
+        }
+
+        // Wildcard rules are checked in order after exact paths
+        this.wildcardRules = Object.keys(this.rules)
+            .filter(path => path.split('.').includes('*'))
+            .map(path => ({ segments: path.split('.'), rule: this.rules[path] }));
+    }
+
+    /**
+     * Build flattener options from request body/query values
+     * (flattenPreset, flattenMaxDepth, flattenSeparator, flattenRules)
+     */
+    static optionsFromRequest(source = {}) {
+        const options = {};
+
+        if (source.flattenPreset) {
+            options.preset = String(source.flattenPreset);
+        }
+
+        if (source.flattenMaxDepth !== undefined && source.flattenMaxDepth !== '') {
+            options.maxDepth = parseInt(source.flattenMaxDepth, 10);
+            if (isNaN(options.maxDepth)) {
+                throw new Error(`Invalid flatten max depth: ${source.flattenMaxDepth}`);
+            }
+        }
+
+        if (source.flattenSeparator !== undefined && source.flattenSeparator !== '') {
+            options.separator = String(source.flattenSeparator);
+        }
+
+        if (source.flattenRules) {
+            let rules = source.flattenRules;
+            if (typeof rules === 'string') {
+                try {
+                    rules = JSON.parse(rules);
+                } catch (error) {
+                    throw new Error(`Invalid flatten rules: ${error.message}`);
+                }
+            }
+            options.rules = rules;
+        }
+
+        return options;
+    }
+
+    /**
+     * Build a flattener from request values
+     */
+    static fromRequest(source = {}) {
+        return new Flattener(Flattener.optionsFromRequest(source));
+    }
+
+    static listPresets() {
+        return Object.entries(PRESETS).map(([name, preset]) => ({
+            name: name,
+            description: preset.description,
+            maxDepth: preset.maxDepth,
+            separator: preset.separator,
+            referenceKeys: preset.referenceKeys,
+            rules: preset.rules,
+            isDefault: name === DEFAULT_PRESET
+        }));
+    }
+
+    /**
+     * Rules map path -> 'json' | 'explode' | { pick: 'subKey' } ('pick:subKey' is accepted too)
+     */
+    static normalizeRules(rules) {
+        if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+            throw new Error('Invalid flatten rules: expected an object of { path: rule }');
+        }
+
+        const normalized = {};
+        for (const [path, rule] of Object.entries(rules)) {
+            if (rule === 'json' || rule === 'explode') {
+                normalized[path] = { action: rule };
+            } else if (typeof rule === 'string' && rule.startsWith('pick:') && rule.length > 5) {
+                normalized[path] = { action: 'pick', key: rule.substring(5) };
+            } else if (rule && typeof rule === 'object' && typeof rule.pick === 'string') {
+                normalized[path] = { action: 'pick', key: rule.pick };
+            } else if (rule && typeof rule === 'object' && ['json', 'explode', 'pick'].includes(rule.action)) {
+                if (rule.action === 'pick' && typeof rule.key !== 'string') {
+                    throw new Error(`Invalid flatten rule for '${path}': pick needs a sub-key`);
+                }
+                normalized[path] = rule;
+            } else {
+                throw new Error(`Invalid flatten rule for '${path}': ${JSON.stringify(rule)} (use 'json', 'explode' or 'pick:<subKey>')`);
+            }
+        }
+
+        return normalized;
+    }
+
+    getRule(pathSegments) {
+        const exact = this.rules[pathSegments.join('.')];
+        if (exact) {
+            return exact;
+        }
+
+        const match = this.wildcardRules.find(({ segments }) =>
+            segments.length === pathSegments.length &&
+            segments.every((segment, index) => segment === '*' || segment === pathSegments[index]));
+        return match ? match.rule : null;
+    }
+
+    /**
+     * Flatten one record into { columnName: scalar | JSON string }
+     */
+    flatten(record) {
+        const flattened = {};
+        this.flattenObject(flattened, record, [], 0, false, new Map());
+        return flattened;
+    }
+
+    flattenObject(flattened, obj, pathSegments, depth, forceExpand, sources) {
+        for (const [key, value] of Object.entries(obj)) {
+            this.flattenValue(flattened, value, [...pathSegments, key], depth + 1, forceExpand, sources);
+        }
+    }
+
+    flattenValue(flattened, value, pathSegments, depth, forceExpand, sources) {
+        if (value === null || value === undefined) {
+            this.setColumn(flattened, sources, pathSegments, null);
+            return;
+        }
+
+        if (typeof value !== 'object') {
+            this.setColumn(flattened, sources, pathSegments, value);
+            return;
+        }
+
+        const rule = this.getRule(pathSegments);
+        const action = rule ? rule.action : null;
+
+        if (action === 'json') {
+            this.setColumn(flattened, sources, pathSegments, JSON.stringify(value));
+            return;
+        }
+
+        if (action === 'pick') {
+            const picked = Array.isArray(value) ? undefined : value[rule.key];
+            if (picked !== null && picked !== undefined && typeof picked === 'object') {
+                this.setColumn(flattened, sources, pathSegments, JSON.stringify(picked));
+            } else {
+                this.setColumn(flattened, sources, pathSegments, picked === undefined ? null : picked);
+            }
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            if (action === 'explode') {
+                value.forEach((item, index) => {
+                    this.flattenValue(flattened, item, [...pathSegments, String(index)], depth, true, sources);
+                });
+            } else {
+                this.setColumn(flattened, sources, pathSegments, JSON.stringify(value));
+            }
+            return;
+        }
+
+        // Reference objects (e.g. ServiceNow { display_value, link, value }) become one column per part
+        if (!action && this.isReferenceObject(value)) {
+            this.referenceKeys.forEach(referenceKey => {
+                if (value[referenceKey] !== undefined && value[referenceKey] !== null) {
+                    this.setColumn(flattened, sources, [...pathSegments, referenceKey], value[referenceKey]);
+                }
+            });
+            return;
+        }
+
+        if (action === 'explode' || forceExpand || depth <= this.maxDepth) {
+            this.flattenObject(flattened, value, pathSegments, depth, action === 'explode' || forceExpand, sources);
+        } else {
+            this.setColumn(flattened, sources, pathSegments, JSON.stringify(value));
+        }
+    }
+
+    /**
+     * Set a column, failing when two source paths flatten to the same name
+     * (a top-level 'a_b' and a nested 'a.b' both become a_b)
+     */
+    setColumn(flattened, sources, pathSegments, value) {
+        const column = pathSegments.join(this.separator);
+        const existing = sources.get(column);
+        if (existing && (existing.length !== pathSegments.length || existing.some((segment, index) => segment !== pathSegments[index]))) {
+            throw new Error(`Flattened column '${column}' comes from both '${existing.join('.')}' and '${pathSegments.join('.')}' - use another flatten separator or a flatten rule for one of them`);
+        }
+        sources.set(column, pathSegments);
+        flattened[column] = value;
+    }
+
+    /**
+     * A reference object has nothing but reference keys - { value: 5, unit: 'kg' } is an ordinary object
+     */
+    isReferenceObject(value) {
+        const keys = Object.keys(value);
+        return this.referenceKeys.length > 0 && keys.length > 0 &&
+            keys.every(key => this.referenceKeys.includes(key));
+    }
+
+    describe() {
+        return {
+            preset: this.preset,
+            maxDepth: this.maxDepth,
+            separator: this.separator,
+            referenceKeys: this.referenceKeys,
+            rules: this.rules
+        };
+    }
+}
+
+Flattener.PRESETS = PRESETS;
+Flattener.DEFAULT_PRESET = DEFAULT_PRESET;
+
+module.exports = Flattener;
@@ -0,0 +1,80 @@
+// services/json-file-store.js - Entries kept in one JSON file, keyed by data source
+const fs = require('fs');
+const path = require('path');
+
+// Writes are chained so concurrent requests never interleave read-modify-write cycles
+let writeQueue = Promise.resolve();
+
+/**
+ * Small settings stores (contracts, field selections, column maps) keyed by data source name, usually the
+ * BigQuery table a feed lands in ("project.dataset.table"). Every call reads the file again,
+ * like the file registry.
+ */
+class JsonFileStore {
+    constructor(storePath, label) {
+        this.storePath = storePath;
+        this.label = label;
+    }
+
+    static normalizeDataSource(dataSource) {
+        const name = String(dataSource || '').trim();
+        if (!name) {
+            throw new Error('Data source name is required');
+        }
+        return name;
+    }
+
+    readEntries() {
+        try {
+            return JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`${this.label} store unreadable (${this.storePath}): ${error.message}`);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Apply a change to the store and write it back (temp file + rename)
+     */
+    update(mutate) {
+        const result = writeQueue.then(async () => {
+            const entries = this.readEntries();
+            const value = mutate(entries);
+
+            await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+            const tempPath = `${this.storePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(entries, null, 2));
+            await fs.promises.rename(tempPath, this.storePath);
+            return value;
+        });
+
+        writeQueue = result.catch(error => console.error(`${this.label} store write failed:`, error.message));
+        return result;
+    }
+
+    get(dataSource) {
+        return this.readEntries()[String(dataSource || '').trim()] || null;
+    }
+
+    async put(dataSource, entry) {
+        const name = JsonFileStore.normalizeDataSource(dataSource);
+        const saved = { dataSource: name, ...entry };
+        await this.update(entries => {
+            entries[name] = saved;
+        });
+        return saved;
+    }
+
+    async remove(dataSource) {
+        const name = String(dataSource || '').trim();
+        return this.update(entries => {
+            const entry = entries[name] || null;
+            delete entries[name];
+            return entry;
+        });
+    }
+}
+
+module.exports = JsonFileStore;
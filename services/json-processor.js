@@ -1,11 +1,12 @@
 // services/json-processor.js - JSONL processing for customer account data
-const fs = require('fs').promises;
-const StreamValues = require('stream-json/streamers/StreamValues');
-const parser = require('stream-json');
 const _ = require('lodash');
+const RecordReader = require('./record-reader');
+const Flattener = require('./flattener');
+const FileProfiler = require('./file-profiler');
 
 class JSONProcessor {
-  constructor() {
+  constructor(options = {}) {
+    this.flattener = Flattener.fromRequest(options);
     this.stats = {
       totalRecords: 0,
       fieldsDetected: 0,
@@ -15,168 +16,54 @@ class JSONProcessor {
     };
   }
 
-  // Flatten nested objects for BQ compatibility
-  flattenObject(obj, prefix = '') {
-    const flattened = {};
-    
-    for (const key in obj) {
-      if (obj[key] === null || obj[key] === undefined) {
-        flattened[prefix + key] = null;
-      } else if (typeof obj[key] === 'object' && !Array.isArray(obj[key])) {
-        // Handle nested objects like u_user_criteria_record
-        if (obj[key].value && obj[key].link) {
-          // ServiceNow reference objects - extract value
-          flattened[prefix + key + '_value'] = obj[key].value;
-          flattened[prefix + key + '_link'] = obj[key].link;
-        } else {
-          // Other nested objects - flatten recursively
-          Object.assign(flattened, this.flattenObject(obj[key], prefix + key + '_'));
-        }
-      } else if (Array.isArray(obj[key])) {
-        // Convert arrays to JSON strings
-        flattened[prefix + key] = JSON.stringify(obj[key]);
-      } else {
-        flattened[prefix + key] = obj[key];
-      }
-    }
-    
-    return flattened;
+  // Flatten nested objects for BQ compatibility (same rules as temp table loading)
+  flattenObject(obj) {
+    return this.flattener.flatten(obj);
   }
 
-  // Process JSONL file (line-by-line JSON)
-  async processJSONL(filePath) {
+  // Stream the file record by record - only the sample records are kept in memory
+  // (source: a file path, or a reader such as a DatasetReader over several files)
+  async processFile(source, options = {}) {
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const lines = content.trim().split('\n');
-      const records = [];
+      const reader = typeof source === 'string' ? new RecordReader(source, options) : source;
       
-      this.stats.format = 'JSONL';
-      this.stats.totalRecords = lines.length;
+      this.stats.totalRecords = 0;
+      this.stats.sampleRecords = [];
       
-      // Process each line as separate JSON object
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
+      for await (const record of reader.records()) {
+        this.stats.totalRecords++;
         
-        try {
-          const jsonObject = JSON.parse(line);
-          const flattened = this.flattenObject(jsonObject);
-          records.push(flattened);
-          
-          // Store first 3 records as samples
-          if (i < 3) {
-            this.stats.sampleRecords.push(flattened);
-          }
-        } catch (parseError) {
-          console.error(`Error parsing line ${i + 1}:`, parseError.message);
+        // Store first 3 records as samples
+        if (this.stats.sampleRecords.length < 3) {
+          this.stats.sampleRecords.push(this.flattenObject(record));
         }
       }
       
       // Detect fields from first record
-      if (records.length > 0) {
-        this.stats.fieldsDetected = Object.keys(records[0]).length;
+      if (this.stats.sampleRecords.length > 0) {
+        this.stats.fieldsDetected = Object.keys(this.stats.sampleRecords[0]).length;
       }
       
-      const fileStats = await fs.stat(filePath);
-      this.stats.fileSize = fileStats.size;
-      
-      return {
-        success: true,
-        records: records,
-        stats: this.stats
-      };
+      this.stats.format = reader.stats.format;
+      this.stats.fileSize = reader.stats.fileSize;
+      this.stats.skippedLines = reader.stats.skippedLines;
+      this.stats.recordRoot = reader.stats.recordRoot;
+      this.stats.parseReport = reader.getParseReport();
+      this.stats.sourceSchema = reader.getSourceSchema();
+      this.stats.shards = reader.stats.shards;
       
-    } catch (error) {
-      console.error('JSONL processing error:', error);
-      return {
-        success: false,
-        error: error.message,
-        stats: this.stats
-      };
-    }
-  }
-
-  // Process regular JSON file (array of objects)
-  async processJSON(filePath) {
-    try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const jsonData = JSON.parse(content);
-      
-      this.stats.format = 'JSON';
-      
-      let records = [];
-      
-      if (Array.isArray(jsonData)) {
-        records = jsonData.map(obj => this.flattenObject(obj));
-        this.stats.totalRecords = jsonData.length;
-      } else {
-        // Single object
-        records = [this.flattenObject(jsonData)];
-        this.stats.totalRecords = 1;
-      }
-      
-      // Store first 3 records as samples
-      this.stats.sampleRecords = records.slice(0, 3);
-      
-      // Detect fields from first record
-      if (records.length > 0) {
-        this.stats.fieldsDetected = Object.keys(records[0]).length;
+      if (this.stats.totalRecords === 0) {
+        return {
+          success: false,
+          error: 'No valid records found in file',
+          stats: this.stats
+        };
       }
       
-      const fileStats = await fs.stat(filePath);
-      this.stats.fileSize = fileStats.size;
-      
       return {
         success: true,
-        records: records,
-        stats: this.stats
-      };
-      
-    } catch (error) {
-      console.error('JSON processing error:', error);
-      return {
-        success: false,
-        error: error.message,
         stats: this.stats
       };
-    }
-  }
-
-  // Auto-detect and process file
-  async processFile(filePath) {
-    try {
-      // Read first few lines to detect format
-      const content = await fs.readFile(filePath, 'utf8');
-      const firstLine = content.trim().split('\n')[0];
-      
-      // Try to parse first line as JSON
-      try {
-        JSON.parse(firstLine);
-        const secondLine = content.trim().split('\n')[1];
-        
-        if (secondLine && secondLine.trim()) {
-          try {
-            JSON.parse(secondLine);
-            // If both lines parse as JSON, it's likely JSONL
-            console.log('Detected JSONL format');
-            return await this.processJSONL(filePath);
-          } catch {
-            // First line is JSON, second isn't - probably regular JSON
-            console.log('Detected JSON format');
-            return await this.processJSON(filePath);
-          }
-        } else {
-          // Only one line, try regular JSON first
-          console.log('Single line detected, trying JSON format');
-          return await this.processJSON(filePath);
-        }
-      } catch {
-        return {
-          success: false,
-          error: 'Invalid JSON format',
-          stats: this.stats
-        };
-      }
       
     } catch (error) {
       console.error('File processing error:', error);
@@ -189,8 +76,8 @@ class JSONProcessor {
   }
 
   // Get file preview information
-  async getFilePreview(filePath) {
-    const result = await this.processFile(filePath);
+  async getFilePreview(source, options = {}) {
+    const result = await this.processFile(source, options);
     
     if (result.success) {
       return {
@@ -200,6 +87,11 @@ class JSONProcessor {
           fieldsDetected: this.stats.fieldsDetected,
           fileSize: this.stats.fileSize,
           format: this.stats.format,
+          recordRoot: this.stats.recordRoot,
+          parseReport: this.stats.parseReport,
+          sourceSchema: this.stats.sourceSchema,
+          shards: this.stats.shards,
+          flattening: this.flattener.describe(),
           sampleRecords: this.stats.sampleRecords,
           keyFields: this.getKeyFields(this.stats.sampleRecords[0] || {})
         }
@@ -209,6 +101,41 @@ class JSONProcessor {
     return result;
   }
 
+  // Profile every flattened field (type, null/empty rate, distinct count, min/max, top values)
+  // and rank primary-key candidates - options.limit profiles only the first records
+  async getFileProfile(source, options = {}) {
+    try {
+      const reader = typeof source === 'string' ? new RecordReader(source, options) : source;
+      const profiler = new FileProfiler(this.flattener, options);
+      const report = await profiler.profile(reader);
+
+      if (report.recordsProfiled === 0) {
+        return {
+          success: false,
+          error: 'No valid records found in file'
+        };
+      }
+
+      return {
+        success: true,
+        profile: {
+          // A limited pass stops before the reader labels the format, so the detected format is used then
+          format: reader.stats.format !== 'unknown' ? reader.stats.format : reader.format,
+          recordRoot: reader.stats.recordRoot,
+          parseReport: reader.getParseReport(),
+          ...report
+        }
+      };
+
+    } catch (error) {
+      console.error('File profiling error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Extract key fields for customer account data
   getKeyFields(record) {
     const keyFields = {};
@@ -0,0 +1,875 @@
+// services/record-reader.js - Streaming record reader for uploaded source files
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { once } = require('events');
+const yauzl = require('yauzl');
+const { parser } = require('stream-json');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+const { streamValues } = require('stream-json/streamers/StreamValues');
+const { pick } = require('stream-json/filters/Pick');
+const DelimitedParser = require('./delimited-parser');
+const TypedFileReader = require('./typed-file-reader');
+const ExcelReader = require('./excel-reader');
+
+// Bytes read from the start of the file to detect its format
+const DETECTION_SAMPLE_BYTES = 64 * 1024;
+
+// Rejected JSONL lines are written here in full, one JSON entry per line
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || path.join(__dirname, '..', 'uploads', 'quarantine');
+
+// Rejected lines kept in memory for the parse report; the quarantine file has all of them
+const MAX_REJECTED_LINE_SAMPLES = 1000;
+
+// A JSON object is only read as a wrapper ({"result": [...]}) when its largest array of objects holds
+// at least this share of the document's tokens; otherwise it is one record with a nested list
+const MIN_RECORD_ROOT_SHARE = 0.5;
+
+// Extensions of the files that hold records and can be read as a stream (directly, gzipped or inside an archive)
+const STREAM_EXTENSIONS = ['.json', '.jsonl', ...DelimitedParser.EXTENSIONS, '.avro'];
+const JSON_EXTENSIONS = ['.json', '.jsonl'];
+
+// Parquet and Excel need random access (footer / workbook parts), so they are only read as plain files
+const DATA_EXTENSIONS = [...STREAM_EXTENSIONS, '.parquet', ...ExcelReader.EXTENSIONS];
+
+// Everything accepted for upload: data files, gzip-compressed data files and zip archives
+const EXTENSIONS = [...DATA_EXTENSIONS, ...STREAM_EXTENSIONS.map(extension => `${extension}.gz`), '.zip'];
+
+const FORMAT_LABELS = {
+    'json-array': 'JSON Array',
+    'json-object': 'JSON Object',
+    'jsonl': 'JSONL',
+    'parquet': 'Parquet',
+    'avro': 'Avro',
+    'xlsx': 'Excel'
+};
+
+const PARSE_METHODS = {
+    'json-array': 'Streaming JSON array (stream-json)',
+    'json-object': 'Streaming JSON values (stream-json)',
+    'jsonl': 'Line-by-line parsing',
+    'delimited': 'Streaming delimited parsing',
+    'parquet': 'Row group reading (hyparquet)',
+    'avro': 'Streaming Avro blocks (avsc)',
+    'xlsx': 'Streaming worksheet reading (exceljs)'
+};
+
+/**
+ * Reads records one at a time so files larger than memory can be processed.
+ * records() can be iterated more than once; stats describe the latest pass.
+ *
+ * A file is read as one or more parts: a plain or gzip file is a single part,
+ * a zip archive has one part per selected entry. Each part has its own format.
+ */
+class RecordReader {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.options = options;
+        this.parts = null;
+        this.archiveEntries = null;
+        this.sheets = null;
+        this.selectedSheet = null;
+        this.format = null;
+        this.sourceSchema = null;
+        this.recordRoot = null;
+        this.requestedRoot = RecordReader.parseRecordRoot(options.recordRoot);
+        this.resetStats();
+    }
+
+    /**
+     * Parse a JSONPath-style record root ("$.data.items", "result[*]", "data.items[0].rows").
+     * Returns the path as a list of keys/indices, or null when no root was given.
+     */
+    static parseRecordRoot(recordRoot) {
+        if (recordRoot === undefined || recordRoot === null || String(recordRoot).trim() === '') {
+            return null;
+        }
+
+        let expression = String(recordRoot).trim()
+            .replace(/^\$/, '')
+            .replace(/\[\*\]$|\.\*$/, '')
+            .replace(/\[(\d+)\]/g, '.$1')
+            .replace(/\[['"]([^'"]+)['"]\]/g, '.$1')
+            .replace(/^\./, '');
+
+        if (expression.includes('*') || expression.includes('[') || expression.includes(']')) {
+            throw new Error(`Invalid record root '${recordRoot}': use a path like $.data.items (wildcards only at the end)`);
+        }
+
+        return expression === '' ? [] : expression.split('.');
+    }
+
+    static formatRecordRoot(segments) {
+        return segments.reduce((root, segment) =>
+            /^\d+$/.test(segment) ? `${root}[${segment}]` : `${root}.${segment}`, '$');
+    }
+
+    /**
+     * Upload extension of a file name, including compound ones like ".json.gz"
+     */
+    static extensionOf(fileName) {
+        const lowerName = String(fileName).toLowerCase();
+        const matches = EXTENSIONS.filter(extension => lowerName.endsWith(extension));
+        return matches.sort((a, b) => b.length - a.length)[0] || path.extname(lowerName);
+    }
+
+    /**
+     * File ID of an uploaded file (its name without the upload extension)
+     */
+    static fileIdOf(filePath) {
+        const fileName = path.basename(filePath);
+        return fileName.substring(0, fileName.length - RecordReader.extensionOf(fileName).length);
+    }
+
+    static isDelimited(fileName) {
+        const extension = RecordReader.extensionOf(fileName).replace(/\.gz$/, '');
+        return DelimitedParser.EXTENSIONS.includes(extension);
+    }
+
+    /**
+     * Strict mode fails on the first invalid line instead of skipping it
+     */
+    static isStrict(options = {}) {
+        return options.strict === true || String(options.strict).toLowerCase() === 'true';
+    }
+
+    /**
+     * Quarantine file holding the rejected lines of an uploaded file
+     */
+    static quarantinePathFor(fileId) {
+        return path.join(QUARANTINE_DIR, `${fileId}.rejected.jsonl`);
+    }
+
+    static openArchive(zipPath) {
+        return new Promise((resolve, reject) => {
+            yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+                if (error) {
+                    reject(new Error(`Parse error: not a readable zip archive (${error.message})`));
+                } else {
+                    resolve(zipfile);
+                }
+            });
+        });
+    }
+
+    /**
+     * List the file entries of a zip archive (folders and macOS metadata are left out)
+     */
+    static async listArchiveEntries(zipPath) {
+        const zipfile = await RecordReader.openArchive(zipPath);
+
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            zipfile.on('entry', entry => {
+                if (!entry.fileName.endsWith('/') && !entry.fileName.startsWith('__MACOSX/')) {
+                    entries.push({
+                        name: entry.fileName,
+                        size: entry.uncompressedSize,
+                        compressedSize: entry.compressedSize,
+                        supported: STREAM_EXTENSIONS.includes(RecordReader.extensionOf(entry.fileName))
+                    });
+                }
+                zipfile.readEntry();
+            });
+            zipfile.on('end', () => {
+                zipfile.close();
+                resolve(entries);
+            });
+            zipfile.on('error', error => {
+                zipfile.close();
+                reject(new Error(`Parse error: not a readable zip archive (${error.message})`));
+            });
+            zipfile.readEntry();
+        });
+    }
+
+    /**
+     * Open a decompressing stream over one zip entry
+     */
+    static async openArchiveEntry(zipPath, entryName) {
+        const zipfile = await RecordReader.openArchive(zipPath);
+
+        return new Promise((resolve, reject) => {
+            zipfile.on('entry', entry => {
+                if (entry.fileName !== entryName) {
+                    zipfile.readEntry();
+                    return;
+                }
+                zipfile.openReadStream(entry, (error, stream) => {
+                    if (error) {
+                        zipfile.close();
+                        reject(new Error(`Parse error: cannot read zip entry '${entryName}' (${error.message})`));
+                        return;
+                    }
+                    // The archive stays open until the entry stream is finished or destroyed
+                    stream.once('close', () => zipfile.close());
+                    resolve(stream);
+                });
+            });
+            zipfile.on('end', () => {
+                zipfile.close();
+                reject(new Error(`Parse error: zip entry '${entryName}' not found`));
+            });
+            zipfile.on('error', error => {
+                zipfile.close();
+                reject(new Error(`Parse error: not a readable zip archive (${error.message})`));
+            });
+            zipfile.readEntry();
+        });
+    }
+
+    resetStats() {
+        this.stats = {
+            format: 'unknown',
+            parseMethod: 'None',
+            totalRecords: 0,
+            skippedLines: 0,
+            skippedValues: 0,
+            rejectedLines: [],
+            quarantineFile: null,
+            fileSize: 0,
+            compression: null,
+            parts: [],
+            recordRoot: this.recordRoot
+        };
+    }
+
+    get compression() {
+        const extension = RecordReader.extensionOf(this.filePath);
+        return extension === '.zip' ? 'zip' : (extension.endsWith('.gz') ? 'gzip' : null);
+    }
+
+    /**
+     * Resolve the parts to read: the file itself, its gunzipped content, or the selected zip entries
+     * (options.zipEntry names one entry; '*' - or no choice when there are several JSON entries - means all JSON entries)
+     */
+    async resolveParts() {
+        if (this.parts) {
+            return this.parts;
+        }
+
+        const fileName = path.basename(this.filePath);
+
+        if (this.compression === 'zip') {
+            this.archiveEntries = await RecordReader.listArchiveEntries(this.filePath);
+            const dataEntries = this.archiveEntries.filter(entry => entry.supported);
+            const jsonEntries = dataEntries.filter(entry => JSON_EXTENSIONS.includes(RecordReader.extensionOf(entry.name)));
+            const available = dataEntries.map(entry => entry.name).join(', ') || 'none';
+            const requestedEntry = this.options.zipEntry ? String(this.options.zipEntry) : '';
+
+            if (dataEntries.length === 0) {
+                throw new Error('Parse error: zip archive has no JSON, JSONL, CSV or TSV entries');
+            }
+
+            let selected;
+            if (requestedEntry && requestedEntry !== '*') {
+                selected = dataEntries.filter(entry => entry.name === requestedEntry);
+                if (selected.length === 0) {
+                    throw new Error(`Invalid zip entry '${requestedEntry}' (available: ${available})`);
+                }
+            } else if (requestedEntry === '*' || jsonEntries.length > 1) {
+                selected = jsonEntries;
+                if (selected.length === 0) {
+                    throw new Error(`Parse error: zip archive has no JSON or JSONL entries to combine (available: ${available})`);
+                }
+            } else {
+                // Nothing to combine - read the only JSON entry, or the first data entry
+                selected = (jsonEntries.length === 1 ? jsonEntries : dataEntries).slice(0, 1);
+            }
+
+            this.parts = selected.map(entry => ({
+                name: entry.name,
+                open: () => RecordReader.openArchiveEntry(this.filePath, entry.name)
+            }));
+        } else if (this.compression === 'gzip') {
+            this.parts = [{
+                name: fileName.substring(0, fileName.length - 3),
+                open: async () => pipeline(fs.createReadStream(this.filePath), zlib.createGunzip(), () => {})
+            }];
+        } else {
+            this.parts = [{
+                name: fileName,
+                open: async () => fs.createReadStream(this.filePath)
+            }];
+        }
+
+        return this.parts;
+    }
+
+    /**
+     * Detect the format of every part from its name and first (decompressed) bytes.
+     * Returns the shared format, or 'mixed' when zip entries differ.
+     */
+    async detectFormat() {
+        if (this.format) {
+            return this.format;
+        }
+
+        const parts = await this.resolveParts();
+        for (const part of parts) {
+            part.format = await this.detectPartFormat(part);
+            if (!this.sourceSchema && (part.format === 'parquet' || part.format === 'avro')) {
+                this.sourceSchema = await this.readSourceSchema(part);
+            }
+        }
+
+        const formats = new Set(parts.map(part => part.format));
+        this.format = formats.size === 1 ? parts[0].format : 'mixed';
+        return this.format;
+    }
+
+    async readSample(part) {
+        const input = await part.open();
+        const chunks = [];
+        let size = 0;
+        let complete = true;
+
+        try {
+            for await (const chunk of input) {
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size >= DETECTION_SAMPLE_BYTES) {
+                    complete = false;
+                    break;
+                }
+            }
+        } catch (error) {
+            throw new Error(`Parse error: cannot read ${part.name} (${error.message})`);
+        } finally {
+            input.destroy();
+        }
+
+        return {
+            sample: Buffer.concat(chunks).subarray(0, DETECTION_SAMPLE_BYTES).toString('utf8'),
+            complete: complete
+        };
+    }
+
+    async detectPartFormat(part) {
+        if (RecordReader.isDelimited(part.name)) {
+            return 'delimited';
+        }
+
+        const extension = RecordReader.extensionOf(part.name).replace(/\.gz$/, '');
+        if (extension === '.parquet' || extension === '.avro') {
+            return extension.substring(1);
+        }
+        if (ExcelReader.EXTENSIONS.includes(extension)) {
+            this.sheets = await ExcelReader.listSheets(this.filePath);
+            this.selectedSheet = ExcelReader.selectSheet(this.sheets, ExcelReader.optionsFromRequest(this.options).sheet);
+            return 'xlsx';
+        }
+
+        const { sample: rawSample, complete } = await this.readSample(part);
+        const sample = rawSample.replace(/^\uFEFF/, '').trimStart();
+
+        if (!sample) {
+            throw new Error(`Parse error: ${this.compression === 'zip' ? `zip entry ${part.name}` : 'file'} is empty`);
+        }
+
+        let format;
+        if (sample[0] === '[') {
+            format = 'json-array';
+        } else if (sample[0] === '{') {
+            // A .jsonl file is JSONL even when it holds one line. Otherwise it is JSONL when its first line
+            // is a complete JSON object on its own - a pretty-printed object ('{' or '{ "records": [') never is.
+            // A file holding one line is a (minified) JSON object, so wrapped payloads get a record root
+            const lines = sample.split('\n');
+            if (!complete) lines.pop();
+            const nonEmptyLines = lines.filter(line => line.trim() !== '');
+            const firstLineIsObject = () => {
+                try {
+                    const parsed = JSON.parse(nonEmptyLines[0]);
+                    return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+                } catch {
+                    return false;
+                }
+            };
+            const isJsonl = extension === '.jsonl' || (nonEmptyLines.length > 1 && firstLineIsObject());
+            format = isJsonl ? 'jsonl' : 'json-object';
+        } else {
+            throw new Error(`Parse error: unrecognized content in ${part.name} - expected a JSON array, JSON object or JSONL (starts with '${sample[0]}')`);
+        }
+
+        console.log(`Detected format for ${part.name}: ${format}`);
+        return format;
+    }
+
+    /**
+     * Schema stored in a Parquet footer or Avro header, as a skeleton record whose
+     * leaves are BigQuery type names (flattened like the records themselves)
+     */
+    async readSourceSchema(part) {
+        const skeleton = part.format === 'parquet' ?
+            (await TypedFileReader.readParquetSchema(this.filePath)).skeleton :
+            await TypedFileReader.readAvroSchema(await part.open());
+
+        if (!skeleton || typeof skeleton !== 'object' || Array.isArray(skeleton)) {
+            throw new Error(`Parse error: ${FORMAT_LABELS[part.format]} schema of ${part.name} is not a record`);
+        }
+
+        console.log(`${FORMAT_LABELS[part.format]} schema for ${part.name}: ${Object.keys(skeleton).length} top-level columns`);
+        return {
+            format: FORMAT_LABELS[part.format],
+            source: part.name,
+            skeleton: skeleton,
+            columns: TypedFileReader.describeSkeleton(skeleton)
+        };
+    }
+
+    /**
+     * Resolve where records live in a JSON document: the requested root, the largest array of
+     * objects when it holds most of the document (wrapped payloads like {"result": [...]}), or the
+     * document itself - a single record keeps its nested lists, which are reported as candidates.
+     * Every part gets its own root; the first part's root is returned.
+     */
+    async resolveRecordRoot() {
+        if (this.recordRoot) {
+            return this.recordRoot;
+        }
+
+        await this.detectFormat();
+        for (const part of this.parts) {
+            part.recordRoot = await this.resolvePartRecordRoot(part);
+            console.log(`Record root for ${part.name}: ${part.recordRoot.root || 'n/a'} (${part.recordRoot.source})`);
+        }
+
+        this.recordRoot = this.parts[0].recordRoot;
+        return this.recordRoot;
+    }
+
+    async resolvePartRecordRoot(part) {
+        if (part.format !== 'json-array' && part.format !== 'json-object') {
+            return { path: null, root: null, source: 'not-applicable', candidates: [] };
+        }
+
+        if (this.requestedRoot) {
+            return {
+                path: this.requestedRoot,
+                root: RecordReader.formatRecordRoot(this.requestedRoot),
+                source: 'requested',
+                candidates: []
+            };
+        }
+
+        const candidates = part.format === 'json-object' ? await this.findArrayCandidates(part) : [];
+        const best = candidates[0];
+        if (best && best.share >= MIN_RECORD_ROOT_SHARE) {
+            return {
+                path: best.path,
+                root: best.root,
+                source: 'auto-detected',
+                candidates: candidates.slice(0, 10)
+            };
+        }
+
+        return { path: [], root: '$', source: 'document', candidates: candidates.slice(0, 10) };
+    }
+
+    /**
+     * Scan a JSON object's tokens for arrays of objects reachable through object keys,
+     * largest first, with the share of the document's tokens each holds. Only counts are
+     * kept, so memory stays bounded.
+     */
+    async findArrayCandidates(part) {
+        const counts = new Map();
+        const tokenCounts = new Map();
+        const stack = [];
+        let totalTokens = 0;
+        const tokens = pipeline(
+            await part.open(),
+            parser({ jsonStreaming: true, streamValues: false, streamKeys: false }),
+            () => {}
+        );
+
+        try {
+            for await (const token of tokens) {
+                totalTokens++;
+                const within = stack.length > 0 ? stack[stack.length - 1].within : null;
+                if (within) {
+                    tokenCounts.set(within, (tokenCounts.get(within) || 0) + 1);
+                }
+
+                switch (token.name) {
+                    case 'keyValue':
+                        stack[stack.length - 1].key = token.value;
+                        break;
+                    case 'startObject':
+                    case 'startArray': {
+                        const parent = stack[stack.length - 1];
+                        // Paths are only tracked outside arrays - nested arrays are part of a record
+                        let segments = null;
+                        if (!parent) {
+                            segments = [];
+                        } else if (!parent.isArray && parent.segments) {
+                            segments = [...parent.segments, parent.key];
+                        }
+
+                        if (token.name === 'startObject' && parent && parent.isArray && parent.segments && parent.segments.length > 0) {
+                            const key = parent.segments.join('\u0000');
+                            const entry = counts.get(key) || { path: parent.segments, count: 0 };
+                            entry.count++;
+                            counts.set(key, entry);
+                        }
+
+                        // Tokens inside a tracked array count towards its share of the document
+                        const tracked = token.name === 'startArray' && segments && segments.length > 0 ? segments.join('\u0000') : null;
+                        stack.push({
+                            isArray: token.name === 'startArray',
+                            key: null,
+                            segments: segments,
+                            within: (parent && parent.within) || tracked
+                        });
+                        break;
+                    }
+                    case 'endObject':
+                    case 'endArray':
+                        stack.pop();
+                        break;
+                }
+            }
+        } catch (error) {
+            throw new Error(`Parse error: ${error.message}`);
+        } finally {
+            tokens.destroy();
+        }
+
+        return Array.from(counts.values())
+            .sort((a, b) => b.count - a.count || a.path.length - b.path.length)
+            .map(entry => ({
+                path: entry.path,
+                root: RecordReader.formatRecordRoot(entry.path),
+                objectCount: entry.count,
+                share: totalTokens > 0 ? Number(((tokenCounts.get(entry.path.join('\u0000')) || 0) / totalTokens).toFixed(2)) : 0
+            }));
+    }
+
+    /**
+     * Async generator yielding every record in the file (all selected parts, in order)
+     */
+    async *records() {
+        await this.detectFormat();
+        await this.resolveRecordRoot();
+        this.resetStats();
+
+        const fileStat = await fs.promises.stat(this.filePath);
+        this.stats.fileSize = fileStat.size;
+        this.stats.compression = this.compression;
+
+        const quarantine = this.createQuarantine();
+        let completed = false;
+        try {
+            for (const part of this.parts) {
+                const partStats = { name: part.name, format: null, parseMethod: null, records: 0, recordRoot: part.recordRoot };
+                const recordsBefore = this.stats.totalRecords;
+                yield* this.readPart(part, partStats, quarantine);
+                partStats.records = this.stats.totalRecords - recordsBefore;
+                this.stats.parts.push(partStats);
+            }
+            completed = true;
+        } finally {
+            // Only a full pass replaces the quarantine - a stopped or failed one drops its temp file
+            await quarantine.close(completed);
+        }
+
+        this.stats.format = Array.from(new Set(this.stats.parts.map(part => part.format))).join(' + ');
+        this.stats.parseMethod = Array.from(new Set(this.stats.parts.map(part => part.parseMethod))).join('; ');
+        if (this.compression === 'zip') {
+            this.stats.format += ` (zip: ${this.parts.length} ${this.parts.length === 1 ? 'entry' : 'entries'})`;
+        } else if (this.compression === 'gzip') {
+            this.stats.format += ' (gzip)';
+        }
+
+        console.log(`Read ${this.stats.totalRecords} records from ${path.basename(this.filePath)} (${this.stats.format})`);
+    }
+
+    async *readPart(part, partStats, quarantine) {
+        partStats.parseMethod = PARSE_METHODS[part.format];
+
+        if (part.format === 'parquet') {
+            partStats.format = FORMAT_LABELS[part.format];
+            yield* this.readTyped(TypedFileReader.readParquet(this.filePath));
+            return;
+        }
+
+        if (part.format === 'xlsx') {
+            partStats.format = `${FORMAT_LABELS[part.format]} (sheet: ${this.selectedSheet.name})`;
+            yield* this.readTyped(ExcelReader.readRecords(this.filePath, this.selectedSheet.name, ExcelReader.optionsFromRequest(this.options)));
+            return;
+        }
+
+        const input = await part.open();
+        switch (part.format) {
+            case 'avro':
+                partStats.format = FORMAT_LABELS[part.format];
+                yield* this.readTyped(TypedFileReader.readAvro(input));
+                break;
+            case 'delimited':
+                yield* this.readDelimited(input, part, partStats);
+                break;
+            case 'jsonl':
+                partStats.format = FORMAT_LABELS[part.format];
+                yield* this.readJsonLines(input, part, quarantine);
+                break;
+            case 'json-array':
+            case 'json-object':
+                partStats.format = FORMAT_LABELS[part.format];
+                if (part.recordRoot.path.length > 0) {
+                    partStats.parseMethod = `${PARSE_METHODS[part.format]} from record root ${part.recordRoot.root}`;
+                    yield* this.readJsonStream(input, streamArray, part.recordRoot.path);
+                } else {
+                    yield* this.readJsonStream(input, part.format === 'json-array' ? streamArray : streamValues);
+                }
+                break;
+        }
+    }
+
+    async *readTyped(records) {
+        for await (const record of records) {
+            if (this.acceptValue(record)) {
+                yield record;
+            }
+        }
+    }
+
+    acceptValue(value) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            this.stats.skippedValues++;
+            return false;
+        }
+        this.stats.totalRecords++;
+        return true;
+    }
+
+    /**
+     * Options that decide which records a pass yields (after detectFormat/resolveRecordRoot),
+     * normalized so equal choices compare equal - used to fingerprint temp tables
+     */
+    getContentOptions() {
+        const parts = this.parts || [];
+        return {
+            parts: parts.map(part => ({
+                // Plain and gzip files are named after their upload ID, which says nothing about their content
+                name: this.compression === 'zip' ? part.name : null,
+                format: part.format,
+                recordRoot: part.recordRoot ? part.recordRoot.root : null
+            })),
+            delimited: parts.some(part => part.format === 'delimited') ?
+                DelimitedParser.optionsFromRequest(this.options, parts.find(part => part.format === 'delimited').name) : null,
+            excel: this.selectedSheet ?
+                { ...ExcelReader.optionsFromRequest(this.options), sheet: this.selectedSheet.name } : null
+        };
+    }
+
+    /**
+     * File schema of Parquet/Avro sources ({ format, source, skeleton, columns }), null for other formats
+     */
+    getSourceSchema() {
+        return this.sourceSchema;
+    }
+
+    /**
+     * Lines rejected by the latest pass (JSONL only) and where to download them
+     */
+    getParseReport() {
+        const fileId = RecordReader.fileIdOf(this.filePath);
+
+        return {
+            strict: RecordReader.isStrict(this.options),
+            recordsRejected: this.stats.skippedLines,
+            rejectedLines: this.stats.rejectedLines.slice(),
+            samplesTruncated: this.stats.skippedLines > this.stats.rejectedLines.length,
+            quarantineUrl: this.stats.quarantineFile ? `/api/quarantine/${fileId}` : null
+        };
+    }
+
+    /**
+     * Quarantine writer for one pass - rejected lines go to a temp file of this pass, which
+     * is renamed over the quarantine file when the pass completes
+     */
+    createQuarantine() {
+        const finalPath = RecordReader.quarantinePathFor(RecordReader.fileIdOf(this.filePath));
+        const quarantine = {
+            path: `${finalPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`,
+            stream: null,
+            used: false,
+            write: async (entry) => {
+                if (!quarantine.stream) {
+                    await fs.promises.mkdir(path.dirname(quarantine.path), { recursive: true });
+                    quarantine.stream = fs.createWriteStream(quarantine.path, { flags: 'wx' });
+                    quarantine.used = true;
+                }
+                if (!quarantine.stream.write(JSON.stringify(entry) + '\n')) {
+                    await once(quarantine.stream, 'drain');
+                }
+            },
+            close: async (completed) => {
+                if (quarantine.stream) {
+                    await new Promise(resolve => quarantine.stream.end(resolve));
+                    quarantine.stream = null;
+                }
+                if (!completed) {
+                    if (quarantine.used) await fs.promises.unlink(quarantine.path).catch(() => {});
+                } else if (quarantine.used) {
+                    await fs.promises.rename(quarantine.path, finalPath);
+                    this.stats.quarantineFile = finalPath;
+                    console.warn(`Rejected ${this.stats.skippedLines} JSONL lines - quarantined to ${finalPath}`);
+                } else {
+                    // A clean full pass replaces the quarantine of an earlier pass
+                    await fs.promises.unlink(finalPath).catch(() => {});
+                }
+            }
+        };
+        return quarantine;
+    }
+
+    async *readJsonStream(input, streamer, rootPath = null) {
+        const stages = [input, parser({ jsonStreaming: true })];
+        if (rootPath) {
+            // Only the tokens under the record root reach the streamer
+            stages.push(pick({
+                filter: stack => stack.length === rootPath.length && stack.every((key, index) => String(key) === rootPath[index]),
+                once: true
+            }));
+        }
+        const stream = pipeline(...stages, streamer(), () => {});
+
+        try {
+            for await (const { value } of stream) {
+                if (this.acceptValue(value)) {
+                    yield value;
+                }
+            }
+        } catch (error) {
+            if (rootPath && error.message.includes('should be an array')) {
+                throw new Error(`Parse error: record root ${RecordReader.formatRecordRoot(rootPath)} is not an array`);
+            }
+            throw new Error(`Parse error: ${error.message}`);
+        } finally {
+            stream.destroy();
+        }
+    }
+
+    /**
+     * Split a byte stream into lines, keeping the 1-based line number and the byte offset where each starts
+     */
+    async *readLines(input) {
+        let pending = [];
+        let lineNumber = 0;
+        let lineOffset = 0;
+        let chunkOffset = 0;
+
+        try {
+            for await (const chunk of input) {
+                let start = 0;
+                let newline;
+                // '\n' never occurs inside a multi-byte UTF-8 sequence, so splitting raw bytes is safe
+                while ((newline = chunk.indexOf(0x0A, start)) !== -1) {
+                    pending.push(chunk.subarray(start, newline));
+                    lineNumber++;
+                    yield { text: Buffer.concat(pending).toString('utf8'), lineNumber, byteOffset: lineOffset };
+                    pending = [];
+                    start = newline + 1;
+                    lineOffset = chunkOffset + start;
+                }
+                if (start < chunk.length) {
+                    pending.push(chunk.subarray(start));
+                }
+                chunkOffset += chunk.length;
+            }
+
+            if (pending.length > 0) {
+                lineNumber++;
+                yield { text: Buffer.concat(pending).toString('utf8'), lineNumber, byteOffset: lineOffset };
+            }
+        } finally {
+            input.destroy();
+        }
+    }
+
+    /**
+     * Lines that are not JSON objects are rejected with their position (byte offsets are in the
+     * decompressed content) and quarantined, then skipped - or fail the pass in strict mode
+     */
+    async *readJsonLines(input, part, quarantine) {
+        const strict = RecordReader.isStrict(this.options);
+        const entry = this.compression === 'zip' ? part.name : undefined;
+
+        const reject = async (line, message) => {
+            const rejection = { entry: entry, lineNumber: line.lineNumber, byteOffset: line.byteOffset, error: message };
+            this.stats.skippedLines++;
+            if (this.stats.rejectedLines.length < MAX_REJECTED_LINE_SAMPLES) {
+                this.stats.rejectedLines.push(rejection);
+            }
+            await quarantine.write({ ...rejection, line: line.text });
+
+            const position = `${entry ? `${entry} ` : ''}line ${line.lineNumber} (byte offset ${line.byteOffset})`;
+            if (strict) {
+                throw new Error(`Parse error: ${position}: ${message}`);
+            }
+            console.warn(`Rejected JSONL ${position}: ${message}`);
+        };
+
+        try {
+            for await (const line of this.readLines(input)) {
+                const trimmedLine = (line.lineNumber === 1 ? line.text.replace(/^\uFEFF/, '') : line.text).trim();
+                if (!trimmedLine) continue;
+
+                let value;
+                try {
+                    value = JSON.parse(trimmedLine);
+                } catch (lineError) {
+                    await reject(line, lineError.message);
+                    continue;
+                }
+
+                if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                    await reject(line, `expected a JSON object, got ${value === null ? 'null' : Array.isArray(value) ? 'an array' : typeof value}`);
+                    continue;
+                }
+
+                this.stats.totalRecords++;
+                yield value;
+            }
+        } catch (error) {
+            // Decompression errors surface here too
+            throw error.message.startsWith('Parse error') ? error : new Error(`Parse error: ${error.message}`);
+        }
+    }
+
+    async *readDelimited(input, part, partStats) {
+        const parserOptions = DelimitedParser.optionsFromRequest(this.options, part.name);
+        const decoder = DelimitedParser.createDecoder(parserOptions.encoding);
+        const delimitedParser = new DelimitedParser(parserOptions);
+
+        partStats.format = parserOptions.delimiter === '\t' ? 'TSV' : 'CSV';
+
+        try {
+            for await (const chunk of input) {
+                for (const record of delimitedParser.feed(decoder.decode(chunk, { stream: true }))) {
+                    this.stats.totalRecords++;
+                    yield record;
+                }
+            }
+
+            const remaining = [...delimitedParser.feed(decoder.decode()), ...delimitedParser.finish()];
+            for (const record of remaining) {
+                this.stats.totalRecords++;
+                yield record;
+            }
+        } catch (error) {
+            throw new Error(`Parse error: ${error.message}`);
+        } finally {
+            input.destroy();
+        }
+
+        partStats.parseMethod = `${PARSE_METHODS.delimited} (${delimitedParser.rowNumber} rows)`;
+    }
+}
+
+RecordReader.EXTENSIONS = EXTENSIONS;
+RecordReader.DATA_EXTENSIONS = DATA_EXTENSIONS;
+
+module.exports = RecordReader;
@@ -0,0 +1,346 @@
+// services/schema-inferrer.js - Column type inference and value coercion for JSON temp tables
+
+const SUPPORTED_TYPES = ['STRING', 'INT64', 'FLOAT64', 'NUMERIC', 'BIGNUMERIC', 'BOOL', 'DATE', 'TIMESTAMP', 'JSON'];
+
+const TYPE_ALIASES = {
+    'INTEGER': 'INT64',
+    'INT': 'INT64',
+    'FLOAT': 'FLOAT64',
+    'DOUBLE': 'FLOAT64',
+    'DECIMAL': 'NUMERIC',
+    'BIGDECIMAL': 'BIGNUMERIC',
+    'BOOLEAN': 'BOOL',
+    'DATETIME': 'TIMESTAMP'
+};
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+// Integers without leading zeros - "007" stays STRING so identifiers keep their padding
+const INTEGER_PATTERN = /^-?(0|[1-9]\d*)$/;
+// NUMERIC holds 29 integer digits and 9 decimal places exactly
+const NUMERIC_PATTERN = /^-?(0|[1-9]\d{0,28})(\.\d{1,9})?$/;
+const FLOAT_PATTERN = /^-?(0|[1-9]\d*)?(\.\d+)?([eE][+-]?\d+)?$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?\s*(Z|UTC|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+const BOOL_VALUES = {
+    'true': true, 'false': false,
+    't': true, 'f': false,
+    'yes': true, 'no': false,
+    'y': true, 'n': false,
+    '1': true, '0': false
+};
+
+// Coercion failures kept with full detail; the rest are only counted
+const MAX_FAILURE_SAMPLES = 100;
+
+/**
+ * Infers a BigQuery type per column from the values seen in a pass over the
+ * records, then coerces values to those types when rows are built for loading.
+ */
+class SchemaInferrer {
+    constructor(options = {}) {
+        this.overrides = SchemaInferrer.normalizeOverrides(options.fieldTypes);
+        // Column types declared by the source file itself (Parquet/Avro schema)
+        this.sourceTypes = options.sourceTypes || {};
+        this.fieldStats = new Map();
+        this.coercionFailures = {
+            totalFailures: 0,
+            failuresByField: {},
+            samples: []
+        };
+    }
+
+    /**
+     * Validate per-field type overrides ({ field: 'INT64' } or its JSON string)
+     */
+    static normalizeOverrides(fieldTypes) {
+        if (!fieldTypes) {
+            return {};
+        }
+
+        let overrides = fieldTypes;
+        if (typeof overrides === 'string') {
+            try {
+                overrides = JSON.parse(overrides);
+            } catch (error) {
+                throw new Error(`Invalid field type overrides: ${error.message}`);
+            }
+        }
+
+        if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+            throw new Error('Invalid field type overrides: expected an object of { fieldName: type }');
+        }
+
+        const normalized = {};
+        for (const [fieldName, type] of Object.entries(overrides)) {
+            const upperType = String(type).trim().toUpperCase();
+            const resolvedType = TYPE_ALIASES[upperType] || upperType;
+            if (!SUPPORTED_TYPES.includes(resolvedType)) {
+                throw new Error(`Invalid field type override for '${fieldName}': ${type} (supported: ${SUPPORTED_TYPES.join(', ')})`);
+            }
+            normalized[fieldName] = resolvedType;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Most specific type a single non-empty string value fits
+     */
+    static detectType(value) {
+        if (value === 'true' || value === 'false' || value === 'TRUE' || value === 'FALSE' || value === 'True' || value === 'False') {
+            return 'BOOL';
+        }
+
+        if (INTEGER_PATTERN.test(value)) {
+            const parsed = BigInt(value);
+            if (parsed >= INT64_MIN && parsed <= INT64_MAX) return 'INT64';
+            return NUMERIC_PATTERN.test(value) ? 'NUMERIC' : 'FLOAT64';
+        }
+
+        if (NUMERIC_PATTERN.test(value)) {
+            return 'NUMERIC';
+        }
+
+        if (FLOAT_PATTERN.test(value) && /\d/.test(value) && Number.isFinite(Number(value))) {
+            return 'FLOAT64';
+        }
+
+        if (DATE_PATTERN.test(value) && SchemaInferrer.coerceDate(value) !== undefined) {
+            return 'DATE';
+        }
+
+        if (TIMESTAMP_PATTERN.test(value) && SchemaInferrer.coerceTimestamp(value) !== undefined) {
+            return 'TIMESTAMP';
+        }
+
+        const first = value[0];
+        if (first === '{' || first === '[') {
+            try {
+                JSON.parse(value);
+                return 'JSON';
+            } catch {
+                return 'STRING';
+            }
+        }
+
+        return 'STRING';
+    }
+
+    /**
+     * Widest type that holds values of both types
+     */
+    static mergeTypes(current, next) {
+        if (current === null || current === next) {
+            return next;
+        }
+
+        const numericRank = { 'INT64': 1, 'NUMERIC': 2, 'BIGNUMERIC': 3, 'FLOAT64': 4 };
+        if (numericRank[current] && numericRank[next]) {
+            return numericRank[current] > numericRank[next] ? current : next;
+        }
+
+        if ((current === 'DATE' && next === 'TIMESTAMP') || (current === 'TIMESTAMP' && next === 'DATE')) {
+            return 'TIMESTAMP';
+        }
+
+        return 'STRING';
+    }
+
+    static validCalendarDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * YYYY-MM-DD with a real calendar day, or undefined
+     */
+    static coerceDate(value) {
+        const match = DATE_PATTERN.exec(value);
+        if (!match || !SchemaInferrer.validCalendarDate(Number(match[1]), Number(match[2]), Number(match[3]))) {
+            return undefined;
+        }
+        return value;
+    }
+
+    /**
+     * Canonical BigQuery timestamp (YYYY-MM-DD HH:MM:SS[.ffffff][+HH:MM]), or undefined
+     */
+    static coerceTimestamp(value) {
+        const match = TIMESTAMP_PATTERN.exec(value);
+        if (!match) {
+            return undefined;
+        }
+
+        const [, year, month, day, hour, minute, second = '00', fraction, zone] = match;
+        if (!SchemaInferrer.validCalendarDate(Number(year), Number(month), Number(day)) ||
+            Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) {
+            return undefined;
+        }
+
+        // BigQuery keeps microseconds, so anything finer is truncated
+        const fractionPart = fraction ? `.${fraction.substring(0, 6)}` : '';
+
+        let zonePart = '';
+        if (zone && !/^(Z|UTC)$/i.test(zone)) {
+            const digits = zone.replace(':', '');
+            zonePart = `${digits.substring(0, 3)}:${digits.substring(3, 5) || '00'}`;
+        } else if (zone) {
+            zonePart = '+00:00';
+        }
+
+        return `${year}-${month}-${day} ${hour}:${minute}:${second}${fractionPart}${zonePart}`;
+    }
+
+    /**
+     * Record one (already cleaned) value of a field
+     */
+    observe(fieldName, value) {
+        let stats = this.fieldStats.get(fieldName);
+        if (!stats) {
+            stats = { type: null, nonNullValues: 0, observedTypes: new Set() };
+            this.fieldStats.set(fieldName, stats);
+        }
+
+        if (value === null || value === undefined || value === '') {
+            return;
+        }
+
+        stats.nonNullValues++;
+        if (stats.type === 'STRING') {
+            return;
+        }
+
+        const valueType = SchemaInferrer.detectType(String(value));
+        stats.observedTypes.add(valueType);
+        stats.type = SchemaInferrer.mergeTypes(stats.type, valueType);
+    }
+
+    getFieldType(fieldName) {
+        if (this.overrides[fieldName]) {
+            return this.overrides[fieldName];
+        }
+        if (this.sourceTypes[fieldName]) {
+            return this.sourceTypes[fieldName];
+        }
+        const stats = this.fieldStats.get(fieldName);
+        // Fields that were always empty stay STRING
+        return (stats && stats.type) || 'STRING';
+    }
+
+    /**
+     * Inferred schema with the evidence behind each column type
+     */
+    describeSchema(schema) {
+        const knownFields = new Set(schema.map(field => field.name));
+
+        return {
+            fields: schema.map(field => {
+                const stats = this.fieldStats.get(field.name);
+                return {
+                    name: field.name,
+                    type: field.type,
+                    source: this.overrides[field.name] ? 'override' :
+                        this.sourceTypes[field.name] ? 'file-schema' :
+                        (stats && stats.type ? 'inferred' : 'default'),
+                    inferredType: (stats && stats.type) || null,
+                    observedTypes: stats ? Array.from(stats.observedTypes) : [],
+                    nonNullValues: stats ? stats.nonNullValues : 0
+                };
+            }),
+            typeCounts: schema.reduce((counts, field) => {
+                counts[field.type] = (counts[field.type] || 0) + 1;
+                return counts;
+            }, {}),
+            unknownOverrides: Object.keys(this.overrides).filter(fieldName => !knownFields.has(fieldName))
+        };
+    }
+
+    /**
+     * Coerce a cleaned string value to a column type.
+     * Returns { value } or { error } when the value does not fit the type.
+     */
+    coerce(value, type) {
+        const text = String(value);
+
+        switch (type) {
+            case 'INT64':
+                if (/^-?\d+$/.test(text)) {
+                    const parsed = BigInt(text);
+                    if (parsed >= INT64_MIN && parsed <= INT64_MAX) return { value: parsed.toString() };
+                    return { error: 'out of INT64 range' };
+                }
+                return { error: 'not an integer' };
+            case 'NUMERIC':
+                if (/^-?\d{1,29}(\.\d{1,9})?$/.test(text)) return { value: text };
+                return { error: 'not a NUMERIC value (max 29 integer digits, 9 decimal places)' };
+            case 'BIGNUMERIC':
+                if (/^-?\d{1,38}(\.\d{1,38})?$/.test(text)) return { value: text };
+                return { error: 'not a BIGNUMERIC value (max 38 integer digits, 38 decimal places)' };
+            case 'FLOAT64': {
+                const parsed = Number(text);
+                if (text.trim() !== '' && Number.isFinite(parsed)) return { value: parsed };
+                return { error: 'not a number' };
+            }
+            case 'BOOL': {
+                const parsed = BOOL_VALUES[text.toLowerCase()];
+                if (parsed !== undefined) return { value: parsed };
+                return { error: 'not a boolean' };
+            }
+            case 'DATE': {
+                const parsed = SchemaInferrer.coerceDate(text);
+                if (parsed !== undefined) return { value: parsed };
+                return { error: 'not a date (YYYY-MM-DD)' };
+            }
+            case 'TIMESTAMP': {
+                // Plain dates are widened to midnight UTC (DATE + TIMESTAMP columns infer as TIMESTAMP)
+                const date = SchemaInferrer.coerceDate(text);
+                const parsed = date !== undefined ? `${date} 00:00:00` : SchemaInferrer.coerceTimestamp(text);
+                if (parsed !== undefined) return { value: parsed };
+                return { error: 'not a timestamp (YYYY-MM-DD HH:MM[:SS[.ffffff]][zone])' };
+            }
+            case 'JSON':
+                try {
+                    return { value: JSON.parse(text) };
+                } catch (error) {
+                    return { error: `not valid JSON (${error.message})` };
+                }
+            default:
+                return { value: text };
+        }
+    }
+
+    /**
+     * Record a value that could not be coerced (it is loaded as NULL)
+     */
+    recordFailure(rowNumber, fieldName, value, type, reason) {
+        const report = this.coercionFailures;
+        report.totalFailures++;
+        report.failuresByField[fieldName] = (report.failuresByField[fieldName] || 0) + 1;
+
+        if (report.samples.length < MAX_FAILURE_SAMPLES) {
+            report.samples.push({
+                row: rowNumber,
+                field: fieldName,
+                type: type,
+                value: String(value).substring(0, 200),
+                reason: reason
+            });
+        }
+    }
+
+    getCoercionReport() {
+        return {
+            totalFailures: this.coercionFailures.totalFailures,
+            failuresByField: { ...this.coercionFailures.failuresByField },
+            samples: this.coercionFailures.samples.slice(),
+            samplesTruncated: this.coercionFailures.totalFailures > this.coercionFailures.samples.length
+        };
+    }
+}
+
+SchemaInferrer.SUPPORTED_TYPES = SUPPORTED_TYPES;
+
+module.exports = SchemaInferrer;
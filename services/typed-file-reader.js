@@ -0,0 +1,492 @@
+// services/typed-file-reader.js - Parquet and Avro readers that keep the file's own schema
+const avro = require('avsc');
+const SchemaInferrer = require('./schema-inferrer');
+
+// The Parquet reader is an ES module, so it is loaded with import()
+const PARQUET_MODULE = 'hyparquet';
+const PARQUET_COMPRESSORS_MODULE = 'hyparquet-compressors';
+
+/**
+ * Microseconds or nanoseconds since the epoch as an ISO timestamp without losing precision
+ */
+function timestampFromUnits(value, unitsPerSecond) {
+    const units = BigInt(value);
+    const perSecond = BigInt(unitsPerSecond);
+    let seconds = units / perSecond;
+    let fraction = units % perSecond;
+    if (fraction < 0n) {
+        fraction += perSecond;
+        seconds -= 1n;
+    }
+    const digits = String(unitsPerSecond).length - 1;
+    const base = new Date(Number(seconds) * 1000).toISOString().substring(0, 19);
+    return `${base}.${String(fraction).padStart(digits, '0')}Z`;
+}
+
+function dateFromDays(days) {
+    return new Date(Number(days) * 86400000).toISOString().substring(0, 10);
+}
+
+/**
+ * Exact decimal string from an unscaled integer value
+ */
+function decimalFromUnscaled(unscaled, scale) {
+    const negative = unscaled < 0n;
+    const digits = (negative ? -unscaled : unscaled).toString().padStart(scale + 1, '0');
+    const text = scale > 0 ? `${digits.slice(0, -scale)}.${digits.slice(-scale)}` : digits;
+    return negative ? `-${text}` : text;
+}
+
+/**
+ * Exact decimal string from a two's complement big-endian unscaled value
+ */
+function decimalFromBytes(bytes, scale) {
+    let unscaled = 0n;
+    for (const byte of bytes) {
+        unscaled = (unscaled << 8n) | BigInt(byte);
+    }
+    if (bytes.length > 0 && bytes[0] & 0x80) {
+        unscaled -= 1n << BigInt(bytes.length * 8);
+    }
+    return decimalFromUnscaled(unscaled, scale);
+}
+
+/**
+ * BigQuery type that holds a decimal exactly: NUMERIC up to 29 integer digits and 9 decimal
+ * places, BIGNUMERIC up to 38 of each, text beyond that
+ */
+function decimalType(precision, scale) {
+    if (scale <= 9 && precision - scale <= 29) return 'NUMERIC';
+    if (scale <= 38 && precision - scale <= 38) return 'BIGNUMERIC';
+    return 'STRING';
+}
+
+// Avro longs are decoded as BigInt so 64-bit IDs keep every digit
+const AvroLongType = avro.types.LongType.__with({
+    fromBuffer: buffer => buffer.readBigInt64LE(),
+    toBuffer: value => {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigInt64LE(BigInt(value));
+        return buffer;
+    },
+    fromJSON: value => BigInt(value),
+    toJSON: value => Number(value),
+    isValid: value => typeof value === 'bigint',
+    compare: (a, b) => (a === b ? 0 : (a < b ? -1 : 1))
+});
+
+class AvroDateType extends avro.types.LogicalType {
+    _fromValue(value) { return dateFromDays(value); }
+    _toValue(value) { return Math.round(Date.parse(value) / 86400000); }
+    _resolve(type) { if (avro.Type.isType(type, 'int')) return value => value; }
+}
+
+class AvroTimestampMillisType extends avro.types.LogicalType {
+    _fromValue(value) { return timestampFromUnits(value, 1000); }
+    _toValue(value) { return BigInt(Date.parse(value)); }
+    _resolve(type) { if (avro.Type.isType(type, 'long')) return value => value; }
+}
+
+class AvroTimestampMicrosType extends avro.types.LogicalType {
+    _fromValue(value) { return timestampFromUnits(value, 1000000); }
+    _toValue(value) { return BigInt(Date.parse(value)) * 1000n; }
+    _resolve(type) { if (avro.Type.isType(type, 'long')) return value => value; }
+}
+
+class AvroDecimalType extends avro.types.LogicalType {
+    constructor(schema, opts) {
+        super(schema, opts);
+        this.scale = schema.scale || 0;
+    }
+    _fromValue(value) { return decimalFromBytes(value, this.scale); }
+    _toValue(value) { return Buffer.from(String(value)); }
+}
+
+const AVRO_LOGICAL_TYPES = {
+    'date': AvroDateType,
+    'timestamp-millis': AvroTimestampMillisType,
+    'timestamp-micros': AvroTimestampMicrosType,
+    'local-timestamp-millis': AvroTimestampMillisType,
+    'local-timestamp-micros': AvroTimestampMicrosType,
+    'decimal': AvroDecimalType
+};
+
+class TypedFileReader {
+    /**
+     * Make a decoded value JSON-safe: BigInt -> string, Date -> ISO string, bytes -> base64
+     */
+    static toJsonValue(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value.toISOString();
+        }
+        if (value instanceof Uint8Array) {
+            return Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64');
+        }
+        if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+            return Array.from(value, item => TypedFileReader.toJsonValue(item));
+        }
+        if (typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = TypedFileReader.toJsonValue(item);
+            }
+            return result;
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            return String(value);
+        }
+        return value;
+    }
+
+    /**
+     * Describe a schema skeleton (nested object with BigQuery type names as leaves) as a column list
+     */
+    static describeSkeleton(skeleton, prefix = '') {
+        const columns = [];
+        for (const [name, value] of Object.entries(skeleton)) {
+            const columnPath = prefix ? `${prefix}.${name}` : name;
+            if (typeof value === 'string') {
+                columns.push({ path: columnPath, type: value });
+            } else if (Array.isArray(value)) {
+                columns.push({ path: columnPath, type: 'REPEATED' });
+            } else if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+                columns.push(...TypedFileReader.describeSkeleton(value, columnPath));
+            } else {
+                columns.push({ path: columnPath, type: value ? 'MAP' : 'UNKNOWN' });
+            }
+        }
+        return columns;
+    }
+
+    static isTypeName(value) {
+        return SchemaInferrer.SUPPORTED_TYPES.includes(value);
+    }
+
+    // ---------------------------------------------------------------- Parquet
+
+    static async loadParquet() {
+        const [hyparquet, { compressors }] = await Promise.all([
+            import(PARQUET_MODULE),
+            import(PARQUET_COMPRESSORS_MODULE)
+        ]);
+        return { hyparquet, compressors };
+    }
+
+    static parquetParsers() {
+        return {
+            timestampFromMilliseconds: millis => timestampFromUnits(millis, 1000),
+            timestampFromMicroseconds: micros => timestampFromUnits(micros, 1000000),
+            timestampFromNanoseconds: nanos => timestampFromUnits(nanos, 1000000000),
+            dateFromDays: days => dateFromDays(days),
+            // JSON columns stay JSON text so they load as one JSON column instead of being flattened
+            jsonFromBytes: bytes => bytes && new TextDecoder().decode(bytes)
+        };
+    }
+
+    /**
+     * { precision, scale } of a Parquet DECIMAL column, or null
+     */
+    static parquetDecimal(element) {
+        const logicalType = element.logical_type;
+        if (element.converted_type !== 'DECIMAL' && !(logicalType && logicalType.type === 'DECIMAL')) {
+            return null;
+        }
+        const precision = element.precision !== undefined ? element.precision : (logicalType && logicalType.precision);
+        const scale = element.scale !== undefined ? element.scale : (logicalType && logicalType.scale);
+        return { precision: precision || 0, scale: scale || 0 };
+    }
+
+    /**
+     * Decimal columns read exactly: those stored as INT32, INT64 or FIXED_LEN_BYTE_ARRAY outside
+     * lists and maps, as { path, element, scale }. The reader turns decimals into doubles, so these
+     * are read as their unscaled values instead; BYTE_ARRAY decimals (rare) stay doubles.
+     */
+    static parquetExactDecimals(node, path = []) {
+        const { element, children } = node;
+        if (element.repetition_type === 'REPEATED') {
+            return [];
+        }
+        if (children.length > 0) {
+            const convertedType = element.converted_type;
+            const logicalType = element.logical_type && element.logical_type.type;
+            if (['LIST', 'MAP', 'MAP_KEY_VALUE'].includes(convertedType) || ['LIST', 'MAP'].includes(logicalType)) {
+                return [];
+            }
+            return children.flatMap(child => TypedFileReader.parquetExactDecimals(child, [...path, child.element.name]));
+        }
+
+        const decimal = TypedFileReader.parquetDecimal(element);
+        return decimal && ['INT32', 'INT64', 'FIXED_LEN_BYTE_ARRAY'].includes(element.type) ?
+            [{ path: path, element: element, scale: decimal.scale }] : [];
+    }
+
+    /**
+     * BigQuery type (or nested skeleton) for a node of the Parquet schema tree
+     */
+    static parquetSkeleton(node) {
+        const { element, children } = node;
+        const convertedType = element.converted_type;
+        const logicalType = element.logical_type && element.logical_type.type;
+
+        if (element.repetition_type === 'REPEATED') {
+            return [];
+        }
+
+        if (children.length > 0) {
+            if (convertedType === 'LIST' || logicalType === 'LIST') return [];
+            if (convertedType === 'MAP' || convertedType === 'MAP_KEY_VALUE' || logicalType === 'MAP') return {};
+            const skeleton = {};
+            children.forEach(child => {
+                skeleton[child.element.name] = TypedFileReader.parquetSkeleton(child);
+            });
+            return skeleton;
+        }
+
+        const decimal = TypedFileReader.parquetDecimal(element);
+        if (decimal) {
+            // BYTE_ARRAY decimals are decoded as doubles by the Parquet reader (see parquetExactDecimals)
+            return element.type === 'BYTE_ARRAY' ? 'FLOAT64' : decimalType(decimal.precision, decimal.scale);
+        }
+        if (convertedType === 'DATE' || logicalType === 'DATE') return 'DATE';
+        if ((convertedType && convertedType.startsWith('TIMESTAMP')) || logicalType === 'TIMESTAMP' || element.type === 'INT96') return 'TIMESTAMP';
+        if (convertedType === 'JSON' || logicalType === 'JSON') return 'JSON';
+        if (logicalType === 'FLOAT16') return 'FLOAT64';
+
+        switch (element.type) {
+            case 'BOOLEAN':
+                return 'BOOL';
+            case 'INT32':
+            case 'INT64':
+                return 'INT64';
+            case 'FLOAT':
+            case 'DOUBLE':
+                return 'FLOAT64';
+            default:
+                return 'STRING';
+        }
+    }
+
+    /**
+     * Read the Parquet footer: row groups and the schema skeleton
+     */
+    static async readParquetSchema(filePath) {
+        const { hyparquet } = await TypedFileReader.loadParquet();
+        try {
+            const file = await hyparquet.asyncBufferFromFile(filePath);
+            const metadata = await hyparquet.parquetMetadataAsync(file);
+            const skeleton = TypedFileReader.parquetSkeleton(hyparquet.parquetSchema(metadata));
+            return { file, metadata, skeleton };
+        } catch (error) {
+            throw new Error(`Parse error: not a readable Parquet file (${error.message})`);
+        }
+    }
+
+    /**
+     * Async generator over the rows of a Parquet file - one row group is in memory at a time
+     */
+    static async *readParquet(filePath) {
+        const { hyparquet, compressors } = await TypedFileReader.loadParquet();
+        const { file, metadata } = await TypedFileReader.readParquetSchema(filePath);
+        const parsers = TypedFileReader.parquetParsers();
+
+        // Read decimals as unscaled integers (no DECIMAL annotation) and scale them as exact text
+        const decimals = TypedFileReader.parquetExactDecimals(hyparquet.parquetSchema(metadata));
+        const unannotated = new Set(decimals.map(decimal => decimal.element));
+        metadata.schema = metadata.schema.map(element => unannotated.has(element) ?
+            { ...element, converted_type: undefined, logical_type: undefined } : element);
+        const exactDecimals = row => {
+            for (const { path, scale } of decimals) {
+                const parent = path.slice(0, -1).reduce((value, name) => (value && typeof value === 'object' ? value[name] : undefined), row);
+                const name = path[path.length - 1];
+                if (parent && typeof parent === 'object' && parent[name] !== null && parent[name] !== undefined) {
+                    const value = parent[name];
+                    parent[name] = value instanceof Uint8Array ? decimalFromBytes(value, scale) : decimalFromUnscaled(BigInt(value), scale);
+                }
+            }
+            return row;
+        };
+
+        let rowStart = 0;
+        for (const rowGroup of metadata.row_groups) {
+            const rowEnd = rowStart + Number(rowGroup.num_rows);
+            let rows;
+            try {
+                rows = await hyparquet.parquetReadObjects({ file, metadata, rowStart, rowEnd, compressors, parsers });
+            } catch (error) {
+                throw new Error(`Parse error: Parquet rows ${rowStart}-${rowEnd}: ${error.message}`);
+            }
+            for (const row of rows) {
+                yield TypedFileReader.toJsonValue(exactDecimals(row));
+            }
+            rowStart = rowEnd;
+        }
+    }
+
+    // ------------------------------------------------------------------- Avro
+
+    /**
+     * BigQuery type (or nested skeleton) for an Avro schema
+     */
+    static avroSkeleton(schema, namedTypes = {}) {
+        if (typeof schema === 'string') {
+            switch (schema) {
+                case 'boolean': return 'BOOL';
+                case 'int':
+                case 'long': return 'INT64';
+                case 'float':
+                case 'double': return 'FLOAT64';
+                case 'string':
+                case 'bytes': return 'STRING';
+                case 'null': return null;
+                default: return namedTypes[schema] !== undefined ? namedTypes[schema] : null;
+            }
+        }
+
+        if (Array.isArray(schema)) {
+            // Optional fields are ["null", type]; other unions have no single column type
+            const branches = schema.filter(branch => branch !== 'null');
+            return branches.length === 1 ? TypedFileReader.avroSkeleton(branches[0], namedTypes) : null;
+        }
+
+        if (!schema || typeof schema !== 'object') {
+            return null;
+        }
+
+        switch (schema.logicalType) {
+            case 'date':
+                return 'DATE';
+            case 'timestamp-millis':
+            case 'timestamp-micros':
+            case 'local-timestamp-millis':
+            case 'local-timestamp-micros':
+                return 'TIMESTAMP';
+            case 'decimal':
+                return decimalType(schema.precision || 0, schema.scale || 0);
+        }
+
+        let skeleton;
+        switch (schema.type) {
+            case 'record':
+            case 'error':
+                skeleton = {};
+                if (schema.name) namedTypes[schema.name] = skeleton;
+                schema.fields.forEach(field => {
+                    skeleton[field.name] = TypedFileReader.avroSkeleton(field.type, namedTypes);
+                });
+                return skeleton;
+            case 'enum':
+            case 'fixed':
+                skeleton = 'STRING';
+                if (schema.name) namedTypes[schema.name] = skeleton;
+                return skeleton;
+            case 'array':
+                return [];
+            case 'map':
+                return {};
+            default:
+                return TypedFileReader.avroSkeleton(schema.type, namedTypes);
+        }
+    }
+
+    static avroTypeFromSchema(schema) {
+        return avro.Type.forSchema(schema, {
+            registry: { long: AvroLongType },
+            logicalTypes: AVRO_LOGICAL_TYPES,
+            wrapUnions: 'auto'
+        });
+    }
+
+    /**
+     * Avro's snappy blocks are raw snappy data followed by a 4-byte CRC
+     */
+    static async createAvroCodecs() {
+        const { hyparquet } = await TypedFileReader.loadParquet();
+        const codecs = avro.streams.BlockDecoder.defaultCodecs();
+
+        codecs.snappy = (buffer, callback) => {
+            try {
+                const data = buffer.subarray(0, buffer.length - 4);
+                let length = 0;
+                let shift = 0;
+                let position = 0;
+                let byte;
+                do {
+                    byte = data[position++];
+                    length += (byte & 0x7f) * 2 ** shift;
+                    shift += 7;
+                } while (byte & 0x80);
+                const output = new Uint8Array(length);
+                hyparquet.snappyUncompress(data, output);
+                callback(null, Buffer.from(output.buffer, output.byteOffset, output.byteLength));
+            } catch (error) {
+                callback(error);
+            }
+        };
+
+        return codecs;
+    }
+
+    /**
+     * Read just the header of an Avro container stream and return the schema skeleton
+     */
+    static async readAvroSchema(input) {
+        const decoder = new avro.streams.BlockDecoder({
+            codecs: await TypedFileReader.createAvroCodecs(),
+            parseHook: schema => TypedFileReader.avroTypeFromSchema(schema)
+        });
+
+        try {
+            return await new Promise((resolve, reject) => {
+                decoder.on('metadata', (type, codec, header) => {
+                    resolve(TypedFileReader.avroSkeleton(JSON.parse(header.meta['avro.schema'].toString())));
+                });
+                decoder.on('error', reject);
+                decoder.on('finish', () => reject(new Error('no Avro header found')));
+                input.on('error', reject);
+                input.pipe(decoder);
+            });
+        } catch (error) {
+            throw new Error(`Parse error: not a readable Avro file (${error.message})`);
+        } finally {
+            input.destroy();
+            decoder.destroy();
+        }
+    }
+
+    /**
+     * Async generator over the records of an Avro container stream.
+     * onSchema is called with the schema skeleton once the header is read.
+     */
+    static async *readAvro(input, onSchema = () => {}) {
+        const decoder = new avro.streams.BlockDecoder({
+            codecs: await TypedFileReader.createAvroCodecs(),
+            parseHook: schema => TypedFileReader.avroTypeFromSchema(schema)
+        });
+        decoder.on('metadata', (type, codec, header) => {
+            const schema = JSON.parse(header.meta['avro.schema'].toString());
+            onSchema(TypedFileReader.avroSkeleton(schema), codec);
+        });
+
+        input.on('error', error => decoder.destroy(error));
+        input.pipe(decoder);
+
+        try {
+            for await (const record of decoder) {
+                yield TypedFileReader.toJsonValue(record);
+            }
+        } catch (error) {
+            throw new Error(`Parse error: not a readable Avro file (${error.message})`);
+        } finally {
+            input.destroy();
+            decoder.destroy();
+        }
+    }
+}
+
+module.exports = TypedFileReader;
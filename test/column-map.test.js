@@ -0,0 +1,57 @@
+// test/column-map.test.js - Source -> target column maps: parsing, resolution and the target view
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ColumnMap = require('../services/column-map');
+
+test('parses objects, JSON text and "source = target" entries', () => {
+    assert.deepEqual(ColumnMap.parse({ a: 'b' }), { a: 'b' });
+    assert.deepEqual(ColumnMap.parse('{"a": "b"}'), { a: 'b' });
+    assert.deepEqual(ColumnMap.parse('sys_created_on = created_at, number -> ticket_number\nstate: status'), {
+        sys_created_on: 'created_at',
+        number: 'ticket_number',
+        state: 'status'
+    });
+    assert.deepEqual(ColumnMap.parse(''), {});
+    assert.throws(() => ColumnMap.parse('just_a_name'), /Invalid column map entry: 'just_a_name'/);
+    assert.throws(() => ColumnMap.parse('{"a":'), /Invalid column map/);
+});
+
+test('drops identity entries and rejects names that are not column names', () => {
+    assert.deepEqual(new ColumnMap({ a: 'a', b: ' c ' }).columns, { b: 'c' });
+    assert.throws(() => new ColumnMap({ a: 'b; DROP TABLE x' }), /'b; DROP TABLE x' is not a column name/);
+    assert.throws(() => new ColumnMap(['a']), /expected an object/);
+    assert.throws(() => ColumnMap.fromRequest({ columnMap: 'a = `b`' }), /is not a column name/);
+});
+
+test('exposes mapped target columns under their source names and hides shadowed ones', () => {
+    const columnMap = new ColumnMap({ created_on: 'Created_At', state: 'status' });
+    const { query, shadowedColumns } = columnMap.viewQuery('p.d.tickets', ['id', 'created_at', 'status', 'state']);
+
+    assert.equal(query, 'SELECT * EXCEPT(`created_at`, `status`, `state`), `created_at` AS `created_on`, `status` AS `state` FROM `p.d.tickets`');
+    assert.deepEqual(shadowedColumns, ['state']);
+});
+
+test('selects only the mapped columns when every target column is mapped', () => {
+    const { query } = new ColumnMap({ a: 'x' }).viewQuery('p.d.t', ['x']);
+
+    assert.equal(query, 'SELECT `x` AS `a` FROM `p.d.t`');
+});
+
+test('fails when a mapped target column is not in the target table', () => {
+    assert.throws(() => new ColumnMap({ a: 'missing' }).viewQuery('p.d.t', ['x']),
+        /target column 'missing' not found in p\.d\.t/);
+});
+
+test('resolves the request map first, then the map saved for the pair', () => {
+    const store = { get: (source, target) => source === 'file.csv' && target === 'p.d.t' ? { columns: { a: 'saved_a' } } : null };
+
+    const fromRequest = ColumnMap.resolve({ columnMap: new ColumnMap({ a: 'b' }), source: 'file.csv', target: 'p.d.t' }, store);
+    assert.deepEqual(fromRequest.describe(), { source: 'request', pair: 'file.csv -> p.d.t', columns: { a: 'b' } });
+
+    const saved = ColumnMap.resolve({ columnMap: new ColumnMap(), source: 'file.csv', target: 'p.d.t' }, store);
+    assert.deepEqual(saved.describe(), { source: 'saved', pair: 'file.csv -> p.d.t', columns: { a: 'saved_a' } });
+
+    const none = ColumnMap.resolve({ columnMap: null, source: 'other.csv', target: 'p.d.t' }, store);
+    assert.equal(none.source, 'none');
+    assert.ok(none.isEmpty());
+});
@@ -0,0 +1,92 @@
+// test/delimited-parser.test.js - CSV/TSV parsing: quoting, NULLs, headers and errors
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DelimitedParser = require('../services/delimited-parser');
+
+test('parses quoted fields holding delimiters, quotes and line breaks', () => {
+    const { records, headers, rowCount } = new DelimitedParser().parse('id,name,note\n1,"Smith, J","said ""hi""\nthen left"\n');
+
+    assert.deepEqual(headers, ['id', 'name', 'note']);
+    assert.equal(rowCount, 2);
+    assert.deepEqual(records, [{ id: '1', name: 'Smith, J', note: 'said "hi"\nthen left' }]);
+});
+
+test('reads unquoted empty fields as NULL and quoted empty fields as empty strings', () => {
+    const { records } = new DelimitedParser().parse('a,b,c\n,"",x\n');
+
+    assert.deepEqual(records, [{ a: null, b: '', c: 'x' }]);
+});
+
+test('handles CRLF line ends, blank lines and a last row without a line break', () => {
+    const { records } = new DelimitedParser().parse('a,b\r\n1,2\r\n\r\n3,4');
+
+    assert.deepEqual(records, [{ a: '1', b: '2' }, { a: '3', b: '4' }]);
+});
+
+test('gives the same records when fed in chunks split inside quotes', () => {
+    const parser = new DelimitedParser();
+    const records = [];
+    for (const chunk of ['a,b\n"x', '""y",', '2\r', '\n']) {
+        records.push(...parser.feed(chunk));
+    }
+    records.push(...parser.finish());
+
+    assert.deepEqual(records, [{ a: 'x"y', b: '2' }]);
+});
+
+test('names blank headers by position and de-duplicates repeated ones', () => {
+    const { headers } = new DelimitedParser().parse('id,,id,name,id\n1,2,3,4,5\n');
+
+    assert.deepEqual(headers, ['id', 'column_2', 'id_2', 'name', 'id_3']);
+});
+
+test('never de-duplicates a header onto a name used elsewhere in the row', () => {
+    const parser = new DelimitedParser();
+
+    assert.deepEqual(parser.buildHeaders(['id', 'id_2', 'id']), ['id', 'id_2', 'id_3']);
+    assert.deepEqual(parser.buildHeaders(['id', 'id', 'id_2']), ['id', 'id_3', 'id_2']);
+});
+
+test('numbers the columns when the file has no header row', () => {
+    const { records } = new DelimitedParser({ hasHeader: false }).parse('1,2\n');
+
+    assert.deepEqual(records, [{ column_1: '1', column_2: '2' }]);
+});
+
+test('reports the row and line of a row with the wrong number of columns', () => {
+    const parser = new DelimitedParser();
+
+    assert.throws(() => parser.parse('a,b\n1,2\n"multi\nline",2,3\n'), error => {
+        assert.match(error.message, /^Row 3 \(line 3\): expected 2 columns but found 3/);
+        assert.equal(error.rowNumber, 3);
+        assert.equal(error.lineNumber, 3);
+        return true;
+    });
+});
+
+test('rejects an unterminated quoted field and text after a closing quote', () => {
+    assert.throws(() => new DelimitedParser().parse('a\n"open\n'), /unterminated quoted field starting at line 2/);
+    assert.throws(() => new DelimitedParser().parse('a\n"x"y\n'), /unexpected character 'y' after closing quote/);
+});
+
+test('checks the delimiter and quote character', () => {
+    assert.throws(() => new DelimitedParser({ delimiter: ';;' }), /Delimiter must be a single character/);
+    assert.throws(() => new DelimitedParser({ delimiter: '"' }), /must be different/);
+});
+
+test('builds options from request values and the file name', () => {
+    assert.equal(DelimitedParser.optionsFromRequest({}, 'data.TSV').delimiter, '\t');
+    assert.equal(DelimitedParser.optionsFromRequest({ delimiter: 'semicolon' }, 'data.csv').delimiter, ';');
+    assert.equal(DelimitedParser.optionsFromRequest({ quoteChar: 'none' }).quoteChar, null);
+    assert.equal(DelimitedParser.optionsFromRequest({ hasHeader: 'false' }).hasHeader, false);
+
+    const { records } = new DelimitedParser(DelimitedParser.optionsFromRequest({ delimiter: 'pipe', quoteChar: 'none' }))
+        .parse('a|b\n"x|y\n');
+    assert.deepEqual(records, [{ a: '"x', b: 'y' }]);
+});
+
+test('decodes other encodings and strips the BOM', () => {
+    assert.equal(DelimitedParser.decode(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), 'a');
+    assert.equal(DelimitedParser.decode(Buffer.from([0x63, 0x61, 0x66, 0xe9]), 'latin1'), 'café');
+    assert.throws(() => DelimitedParser.createDecoder('klingon'), /Unsupported encoding: klingon/);
+});
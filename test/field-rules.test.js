@@ -0,0 +1,64 @@
+// test/field-rules.test.js - Per-field tolerances and normalization rules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FieldRules = require('../services/field-rules');
+
+test('prefers an exact field name over patterns, then the first matching pattern', () => {
+    const rules = new FieldRules({
+        '*_amount': { absoluteTolerance: 1 },
+        'total_*': { absoluteTolerance: 2 },
+        'total_amount': { absoluteTolerance: 3 }
+    });
+
+    assert.equal(rules.ruleFor('total_amount').numeric.absolute, 3);
+    assert.equal(rules.ruleFor('net_amount').numeric.absolute, 1);
+    assert.equal(rules.ruleFor('total_tax').numeric.absolute, 2);
+    assert.equal(rules.ruleFor('name'), null);
+});
+
+test('normalizes tolerances, durations and time zones', () => {
+    const rule = new FieldRules({
+        updated: { timestampTolerance: '1.5s', timezone: 'Europe/Berlin', targetTimezone: '+02:00' },
+        amount: { relativeTolerance: '0.01' },
+        name: { trim: 1, caseInsensitive: true }
+    });
+
+    assert.deepEqual(rule.ruleFor('updated').timestamp, { toleranceMs: 1500, sourceTimezone: 'Europe/Berlin', targetTimezone: '+02:00' });
+    assert.deepEqual(rule.ruleFor('amount').numeric, { absolute: null, relative: 0.01 });
+    assert.equal(rule.ruleFor('amount').timestamp, null);
+    assert.equal(rule.ruleFor('name').trim, true);
+    assert.equal(FieldRules.parseDuration(60, 'f'), 60000);
+    assert.equal(FieldRules.parseDuration('2m', 'f'), 120000);
+});
+
+test('rejects invalid rules', () => {
+    assert.throws(() => new FieldRules([]), /expected an object of \{ field: rule \}/);
+    assert.throws(() => new FieldRules({ a: 5 }), /Invalid rule for 'a': expected an object/);
+    assert.throws(() => new FieldRules({ a: { absoluteTolerance: -1 } }), /absoluteTolerance -1/);
+    assert.throws(() => new FieldRules({ a: { timestampTolerance: 'soon' } }), /timestampTolerance soon/);
+    assert.throws(() => new FieldRules({ a: { timezone: "UTC'; --" } }), /use a zone name/);
+    assert.throws(() => new FieldRules({ a: { regex: '(' } }), /regex \(/);
+    assert.throws(() => FieldRules.fromRequest({ fieldRules: '{' }), /Invalid field rules/);
+});
+
+test('builds tolerance conditions that treat unparseable values as no match', () => {
+    const condition = FieldRules.toleranceCondition('j', 't', new FieldRules({ a: { absoluteTolerance: 0.5 } }).ruleFor('a'));
+
+    assert.equal(condition, 'COALESCE((ABS(SAFE_CAST(j AS FLOAT64) - SAFE_CAST(t AS FLOAT64)) <= 0.5), FALSE)');
+    assert.equal(FieldRules.toleranceCondition('j', 't', new FieldRules({ a: {} }).ruleFor('a')), 'FALSE');
+});
+
+test('parses timestamps written without a zone in the rule\'s zone', () => {
+    const rule = new FieldRules({ a: { sourceTimezone: 'Europe/Berlin', timestampTolerance: '2s' } }).ruleFor('a');
+    const condition = FieldRules.toleranceCondition('j', 't', rule);
+
+    assert.match(condition, /SAFE\.TIMESTAMP\(j, 'Europe\/Berlin'\)/);
+    assert.match(condition, /SAFE_CAST\(t AS TIMESTAMP\), MILLISECOND\)\) <= 2000/);
+});
+
+test('normalizes text on the real NULL so the NULL marker is never folded', () => {
+    const rule = new FieldRules({ a: { trim: true, caseInsensitive: true, nullEqualsEmpty: true } }).ruleFor('a');
+
+    assert.equal(FieldRules.normalizedExpression('v', rule), "COALESCE(NULLIF(LOWER(TRIM(NULLIF(v, 'NULL'))), ''), 'NULL')");
+    assert.equal(FieldRules.normalizedExpression('v', new FieldRules({ a: {} }).ruleFor('a')), 'v');
+});
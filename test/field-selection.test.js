@@ -0,0 +1,73 @@
+// test/field-selection.test.js - Include/exclude patterns and presets for the compared fields
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FieldSelection = require('../services/field-selection');
+const { SOURCE_FILE_COLUMN } = require('../services/dataset-reader');
+
+test('parses lists from arrays and comma or newline separated text, keeping regexes whole', () => {
+    assert.deepEqual(FieldSelection.parseList(['a', ' b ']), ['a', 'b']);
+    assert.deepEqual(FieldSelection.parseList('a, b\nc'), ['a', 'b', 'c']);
+    assert.deepEqual(FieldSelection.parseList('/^u_[a-z]{1,3}$/i, name'), ['/^u_[a-z]{1,3}$/i', 'name']);
+    assert.deepEqual(FieldSelection.parseList(undefined), []);
+});
+
+test('matches names, case-insensitive globs and regexes', () => {
+    const glob = FieldSelection.compilePattern('sys_*_on', 'test');
+    assert.ok(glob.test('SYS_CREATED_ON'));
+    assert.ok(!glob.test('sys_created_by'));
+
+    const single = FieldSelection.compilePattern('u_?', 'test');
+    assert.ok(single.test('u_a'));
+    assert.ok(!single.test('u_ab'));
+
+    const regex = FieldSelection.compilePattern('/^u_.*_date$/', 'test');
+    assert.ok(regex.test('u_close_date'));
+    assert.ok(!regex.test('U_CLOSE_DATE'));
+
+    assert.ok(FieldSelection.compilePattern('a.b', 'test').test('a.b'));
+    assert.ok(!FieldSelection.compilePattern('a.b', 'test').test('axb'));
+    assert.throws(() => FieldSelection.compilePattern('/(/', 'test'), /Invalid field pattern: \/\(\//);
+});
+
+test('skips key columns, the dataset source column, fields outside the include list and excluded fields', () => {
+    const selection = new FieldSelection({ include: ['amount*', 'name', 'missing_field'], exclude: ['*_raw'] });
+    const result = selection.select(['id', SOURCE_FILE_COLUMN, 'name', 'amount', 'amount_raw', 'notes'], ['id']);
+
+    assert.deepEqual(result.fields, ['name', 'amount']);
+    assert.deepEqual(result.skipped, [
+        { field: 'id', reason: 'primary key column (records are matched on it)' },
+        { field: SOURCE_FILE_COLUMN, reason: 'dataset source file column' },
+        { field: 'amount_raw', reason: 'excluded by exclude list (*_raw)' },
+        { field: 'notes', reason: 'not in the include list' }
+    ]);
+    assert.deepEqual(result.unmatchedIncludes, ['missing_field']);
+});
+
+test('applies the servicenow preset excludes', () => {
+    const result = new FieldSelection({ preset: 'servicenow' }).select(['short_description', 'work_comments', 'sys_tags', 'state']);
+
+    assert.deepEqual(result.fields, ['state']);
+    assert.equal(result.skipped[0].reason, "excluded by preset 'servicenow' (*description*)");
+});
+
+test('builds options from request values, with comparisonFields as an older name for includeFields', () => {
+    assert.deepEqual(FieldSelection.optionsFromRequest({ comparisonFields: 'a', includeFields: 'b', excludeFields: 'c' }), {
+        preset: null,
+        include: ['a', 'b'],
+        exclude: ['c']
+    });
+    assert.throws(() => FieldSelection.optionsFromRequest({ fieldPreset: 'nope' }), /Unknown field preset 'nope'/);
+});
+
+test('resolves the request selection first, then the one saved for the data source', () => {
+    const store = { get: dataSource => dataSource === 'incidents' ? { dataSource: 'incidents', exclude: ['notes'] } : null };
+
+    const fromRequest = FieldSelection.resolve({ options: { preset: null, include: ['a'], exclude: [] }, dataSource: 'incidents' }, store);
+    assert.equal(fromRequest.source, 'request');
+    assert.deepEqual(fromRequest.describe().include, ['a']);
+
+    const saved = FieldSelection.resolve({ options: { preset: null, include: [], exclude: [] }, dataSource: 'incidents' }, store);
+    assert.deepEqual(saved.describe(), { source: 'saved', dataSource: 'incidents', preset: null, include: [], exclude: ['notes'] });
+
+    assert.equal(FieldSelection.resolve({ options: null, dataSource: 'other' }, store).source, 'default');
+});
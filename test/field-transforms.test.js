@@ -0,0 +1,81 @@
+// test/field-transforms.test.js - Expected-value transforms: the expression language and the SQL snippet allow-list
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FieldTransforms = require('../services/field-transforms');
+
+const snippet = sql => new FieldTransforms({ expected: { sql: sql } }).get('expected');
+
+test('compiles expressions over source columns', () => {
+    const transform = new FieldTransforms({ full_name: "upper(first_name) || ' ' || last_name" }).get('full_name');
+
+    assert.equal(transform.kind, 'expression');
+    assert.deepEqual(transform.columns, ['first_name', 'last_name']);
+    assert.match(transform.sql, /UPPER\(CAST\(json_table\.`first_name` AS STRING\)\)/);
+});
+
+test('rejects unknown functions and non-literal map() keys in expressions', () => {
+    assert.throws(() => new FieldTransforms({ a: 'drop(b)' }), /Invalid transform for 'a': unknown function drop\(\)/);
+    assert.throws(() => new FieldTransforms({ a: "map(b, c, 'x')" }), /map\(\) keys must be literal values/);
+    assert.throws(() => new FieldTransforms({ 'a b': 'c' }), /'a b' is not a column name/);
+});
+
+test('accepts SQL snippets made of allowed functions, keywords, literals and columns', () => {
+    const accepted = [
+        "CONCAT(first_name, ' ', last_name)",
+        'SAFE_CAST(amount AS NUMERIC) * 100',
+        "CASE WHEN state IN ('1', '2') THEN 'open' ELSE 'closed' END",
+        "SAFE.PARSE_DATE('%d/%m/%Y', opened)",
+        'TIMESTAMP_ADD(created, INTERVAL 1 HOUR)',
+        "EXTRACT(YEAR FROM created AT TIME ZONE 'Europe/Berlin')",
+        'SPLIT(tags, ",")[SAFE_OFFSET(0)]',
+        "r'\\d+' IS NOT NULL AND `select_count` BETWEEN 1 AND 5",
+        "'SELECT * FROM secrets; -- not code'"
+    ];
+    for (const sql of accepted) {
+        assert.doesNotThrow(() => snippet(sql), sql);
+    }
+});
+
+test('rejects SQL snippets that are more than an expression over the source row', () => {
+    const rejected = {
+        '(SELECT MAX(amount) FROM `p.d.t`)': /'SELECT' is not allowed/,
+        'amount UNION ALL amount': /'UNION' is not allowed/,
+        'amount -- comment': /comments are not allowed/,
+        'amount /* x */': /comments are not allowed/,
+        'amount # x': /comments are not allowed/,
+        'amount, name': /',' outside a function call/,
+        'amount; DROP TABLE x': /unexpected ';'/,
+        'EXTERNAL_QUERY(x, y)': /function EXTERNAL_QUERY\(\) is not allowed/,
+        'SESSION_USER()': /function SESSION_USER\(\) is not allowed/,
+        'other_table.amount': /'\.' is only allowed after SAFE/,
+        '`p.d.t`': /`p\.d\.t` is not a column name/,
+        'UPPER(name': /unbalanced '\('/,
+        'name)': /unbalanced '\)'/,
+        'ARRAY(name)[0]': /function ARRAY\(\) is not allowed/,
+        'SUM(amount) OVER (PARTITION BY name)': /function SUM\(\) is not allowed/
+    };
+    for (const [sql, reason] of Object.entries(rejected)) {
+        assert.throws(() => snippet(sql), error => {
+            assert.match(error.message, /^Invalid transform for 'expected': SQL snippets must be a single expression over the source columns/, sql);
+            assert.match(error.message, reason, sql);
+            return true;
+        });
+    }
+});
+
+test('qualifies snippet columns with the source table alias, leaving literals and keywords alone', () => {
+    const transform = snippet("CONCAT(key_value, ' key_value ', `v0`, SAFE.PARSE_DATE('%Y', opened), CAST(n AS INT64))");
+
+    assert.equal(transform.sql,
+        "(CONCAT(json_table.`key_value`, ' key_value ', json_table.`v0`, SAFE.PARSE_DATE('%Y', json_table.`opened`), CAST(json_table.`n` AS INT64)))");
+    assert.deepEqual(transform.columns, ['key_value', 'v0', 'opened', 'n']);
+});
+
+test('validates transform targets and the source columns they read', () => {
+    const transforms = new FieldTransforms({ total: { sql: 'net + tax' } });
+
+    assert.doesNotThrow(() => transforms.validate(['id', 'net', 'tax'], ['id', 'total'], ['id']));
+    assert.throws(() => transforms.validate(['id', 'net'], ['id', 'total'], ['id']), /uses 'tax', not a column of the source file/);
+    assert.throws(() => transforms.validate(['net', 'tax'], ['id'], ['id']), /'total' is not a column of the target table/);
+    assert.throws(() => new FieldTransforms({ id: 'x' }).validate(['x'], ['id'], ['id']), /is a primary key column/);
+});
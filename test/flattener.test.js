@@ -0,0 +1,103 @@
+// test/flattener.test.js - Flattening nested records into columns: depth, rules, reference objects, name collisions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Flattener = require('../services/flattener');
+
+test('expands nested objects up to the max depth and keeps deeper objects and arrays as JSON', () => {
+    const flattener = new Flattener({ preset: 'generic', maxDepth: 1 });
+
+    assert.deepEqual(flattener.flatten({
+        id: 1,
+        owner: { name: 'Ann', address: { city: 'Oslo', geo: { lat: 59.9 } } },
+        tags: ['a', 'b'],
+        closed: null
+    }), {
+        id: 1,
+        owner_name: 'Ann',
+        owner_address: '{"city":"Oslo","geo":{"lat":59.9}}',
+        tags: '["a","b"]',
+        closed: null
+    });
+});
+
+test('joins nested names with the configured separator', () => {
+    assert.deepEqual(new Flattener({ preset: 'generic', separator: '__' }).flatten({ a: { b: 1 } }), { a__b: 1 });
+});
+
+test('applies json, pick and explode rules, with * matching any key or index', () => {
+    const flattener = new Flattener({
+        preset: 'generic',
+        rules: { 'meta': 'json', 'owner': 'pick:name', 'lines': 'explode', 'lines.*.extra': 'json' }
+    });
+
+    assert.deepEqual(flattener.flatten({
+        meta: { a: 1 },
+        owner: { name: 'Ann', id: 7 },
+        lines: [{ amount: 5, extra: { x: 1 } }, { amount: 6 }]
+    }), {
+        meta: '{"a":1}',
+        owner: 'Ann',
+        lines_0_amount: 5,
+        lines_0_extra: '{"x":1}',
+        lines_1_amount: 6
+    });
+});
+
+test('splits ServiceNow reference objects into one column per part', () => {
+    const flattener = new Flattener({ preset: 'servicenow' });
+
+    assert.deepEqual(flattener.flatten({
+        assigned_to: { display_value: 'Ann', link: 'https://example.service-now.com/api/now/table/sys_user/1', value: '1' },
+        state: { display_value: 'Open', value: '1' },
+        empty_ref: { display_value: '', link: null, value: '' }
+    }), {
+        assigned_to_display_value: 'Ann',
+        assigned_to_link: 'https://example.service-now.com/api/now/table/sys_user/1',
+        assigned_to_value: '1',
+        state_display_value: 'Open',
+        state_value: '1',
+        empty_ref_display_value: '',
+        empty_ref_value: ''
+    });
+});
+
+test('expands an object with keys besides the reference keys as an ordinary object', () => {
+    const flattener = new Flattener({ preset: 'servicenow' });
+
+    assert.deepEqual(flattener.flatten({ weight: { value: 5, unit: 'kg' } }), { weight_value: 5, weight_unit: 'kg' });
+});
+
+test('fails when two source paths flatten to the same column', () => {
+    const flattener = new Flattener({ preset: 'generic' });
+
+    assert.throws(() => flattener.flatten({ a_b: 1, a: { b: 2 } }),
+        /Flattened column 'a_b' comes from both 'a_b' and 'a\.b'/);
+    assert.deepEqual(new Flattener({ preset: 'generic', separator: '__' }).flatten({ a_b: 1, a: { b: 2 } }), { a_b: 1, a__b: 2 });
+});
+
+test('builds options from request values', () => {
+    const flattener = Flattener.fromRequest({
+        flattenPreset: 'generic',
+        flattenMaxDepth: '0',
+        flattenSeparator: '.',
+        flattenRules: '{"a":"json"}'
+    });
+
+    assert.deepEqual(flattener.describe(), {
+        preset: 'generic',
+        maxDepth: 0,
+        separator: '.',
+        referenceKeys: [],
+        rules: { a: { action: 'json' } }
+    });
+    assert.deepEqual(flattener.flatten({ b: { c: 1 } }), { b: '{"c":1}' });
+});
+
+test('rejects unknown presets and invalid options and rules', () => {
+    assert.throws(() => new Flattener({ preset: 'nope' }), /Unknown flatten preset 'nope'/);
+    assert.throws(() => new Flattener({ preset: 'generic', separator: '' }), /Invalid flatten separator/);
+    assert.throws(() => new Flattener({ preset: 'generic', maxDepth: -1 }), /Invalid flatten max depth/);
+    assert.throws(() => new Flattener({ preset: 'generic', rules: { a: 'drop' } }), /Invalid flatten rule for 'a'/);
+    assert.throws(() => Flattener.optionsFromRequest({ flattenMaxDepth: 'deep' }), /Invalid flatten max depth: deep/);
+    assert.throws(() => Flattener.optionsFromRequest({ flattenRules: '{' }), /Invalid flatten rules/);
+});